@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Send, Bot, User, Plus, MessageSquare, Menu, ChevronRight, Copy, Edit2, Check, FileText, Sparkles, Activity, Cpu, Zap, Sun, Moon, Wand2, X, ArrowRight, AlertTriangle, Globe } from 'lucide-react';
+import { Send, Bot, User, Plus, MessageSquare, Menu, ChevronRight, Copy, Edit2, Check, FileText, Sparkles, Activity, Cpu, Zap, Sun, Moon, Wand2, X, ArrowRight, AlertTriangle, Globe, Square, Pin, PinOff, Archive, ArchiveRestore, Trash2, Search, RefreshCw, ChevronLeft, LogOut, Lock, BarChart3, ExternalLink, BookOpen, Paperclip, Loader2, Brain } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
@@ -9,7 +9,863 @@ import axios from 'axios';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
 
+// Web search toggle cycles through these (the server's `webSearch` modes)
+const SEARCH_MODES = ['off', 'auto', 'always'];
+
+// Smart prompt rewrite modes (the server's SMART_PROMPT_MODES), in the order they are offered
+const SMART_PROMPT_MODES = [
+  ['shorter', 'Shorter'],
+  ['precise', 'More precise'],
+  ['detailed', 'More detailed'],
+  ['format', 'Add output format']
+];
+
+// Files the server can read (see server/documents/extract.js), for the attach dialog
+const ATTACHMENT_TYPES = '.pdf,.md,.markdown,.mdx,.txt,.log,.csv,.tsv,.rst,.js,.jsx,.mjs,.ts,.tsx,.py,.rb,.go,.rs,.java,.kt,.c,.h,.cpp,.hpp,.cs,.php,.sh,.sql,.html,.css,.scss,.json,.yaml,.yml,.toml,.xml';
+
+// Past this, the input is better sent as an attachment (retrieved in parts) than pasted whole
+const LONG_INPUT_TOKENS = 2000;
+
+// Send the stored session token with every request (axios here, fetch via authHeaders)
+function authHeaders() {
+  const token = localStorage.getItem('sanyai_token');
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Attach the token to every axios request, and announce when the server rejects it
+axios.interceptors.request.use(config => {
+  config.headers = { ...config.headers, ...authHeaders() };
+  return config;
+});
+axios.interceptors.response.use(null, error => {
+  if (error.response?.status === 401 && !error.config.url.includes('/auth/')) {
+    window.dispatchEvent(new Event('sanyai:unauthorized'));
+  }
+  return Promise.reject(error);
+});
+
+// Turn [n] citations into #cite-n links for the markdown renderer (code is left alone)
+function linkCitations(content, sources) {
+  if (!sources?.length) return content;
+  return content
+    .split(/(```[\s\S]*?```|`[^`\n]*`)/)
+    .map((part, i) => i % 2 === 1 ? part : part.replace(/\[(\d{1,2})\](?!\()/g, (match, n) =>
+      sources.some(source => source.id === Number(n)) ? `[${n}](#cite-${n})` : match
+    ))
+    .join('');
+}
+
+function hostnameOf(link) {
+  try {
+    return new URL(link).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return link;
+  }
+}
+
+// Source links and favicons come from search providers: anything but http(s) (javascript:, data:) is dropped
+function webLink(link) {
+  try {
+    return ['http:', 'https:'].includes(new URL(link).protocol) ? link : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function SourceIcon({ source, size = 14 }) {
+  const [failed, setFailed] = useState(false);
+  if (!webLink(source.favicon) || failed) return <Globe size={size} className="text-[var(--text-muted)] flex-shrink-0" />;
+  return <img src={source.favicon} alt="" width={size} height={size} onError={() => setFailed(true)} className="rounded-sm flex-shrink-0" />;
+}
+
+// Title, site and snippet of a source, shown when hovering a citation or a source card
+function SourcePreview({ source }) {
+  return (
+    <span className="pointer-events-none absolute bottom-full left-1/2 -translate-x-1/2 mb-2 w-72 p-3 rounded-xl glass-panel-strong bg-[var(--bg-secondary)]/95 border border-[var(--border-light)] shadow-2xl opacity-0 group-hover/source:opacity-100 transition-opacity z-20 text-left normal-case">
+      <span className="flex items-center gap-2 text-xs text-[var(--text-secondary)]">
+        <SourceIcon source={source} size={12} /> {hostnameOf(source.link)}
+      </span>
+      <span className="block mt-1 text-sm font-medium text-[var(--text-primary)] leading-snug">{source.title}</span>
+      {source.snippet && <span className="block mt-1 text-xs text-[var(--text-secondary)] leading-relaxed line-clamp-4">{source.snippet}</span>}
+    </span>
+  );
+}
+
+// Inline citation marker: [n] in the answer, linked to its source
+function Citation({ source }) {
+  return (
+    <span className="relative inline-block group/source align-super mx-0.5">
+      <a
+        href={webLink(source.link)}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 rounded-md text-[10px] font-bold no-underline bg-[var(--accent)]/15 text-[var(--accent)] border border-[var(--accent)]/30 hover:bg-[var(--accent)] hover:text-black transition-colors"
+      >
+        {source.id}
+      </a>
+      <SourcePreview source={source} />
+    </span>
+  );
+}
+
+function SourceCards({ sources }) {
+  return (
+    <div className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-2">
+      {sources.map(source => (
+        <a
+          key={source.id}
+          href={webLink(source.link)}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="relative group/source flex flex-col gap-1 p-3 rounded-xl glass-panel border border-[var(--border-light)] hover:border-[var(--accent)]/50 transition-colors no-underline"
+        >
+          <span className="flex items-center gap-2 text-[11px] text-[var(--text-secondary)]">
+            <SourceIcon source={source} size={12} />
+            <span className="truncate">{hostnameOf(source.link)}</span>
+            <span className="ml-auto font-mono text-[var(--accent)]">{source.id}</span>
+          </span>
+          <span className="text-xs font-medium text-[var(--text-primary)] line-clamp-2 leading-snug">{source.title}</span>
+          <SourcePreview source={source} />
+        </a>
+      ))}
+    </div>
+  );
+}
+
+// Word-level changes from the original prompt to the rewrite (the server's `diff`)
+function PromptDiff({ parts }) {
+  return (
+    <span className="whitespace-pre-wrap">
+      {parts.map((part, idx) => (
+        part.type === 'equal' ? <span key={idx}>{part.text}</span>
+          : part.type === 'added' ? <ins key={idx} className="no-underline bg-green-500/20 text-green-400 rounded px-0.5">{part.text}</ins>
+          : <del key={idx} className="bg-red-500/10 text-red-400/80 rounded px-0.5">{part.text}</del>
+      ))}
+    </span>
+  );
+}
+
+// The attached files (and pages or lines) an answer was given
+function DocumentSources({ sources }) {
+  return (
+    <div className="mt-4 flex flex-wrap items-center gap-1.5 text-xs text-[var(--text-muted)]">
+      <Paperclip size={12} />
+      <span>From your files:</span>
+      {sources.map(source => (
+        <span key={source.citation} className="px-2 py-0.5 rounded-full bg-[var(--bg-tertiary)] border border-[var(--border-light)] text-[var(--text-secondary)]">
+          {source.citation}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Stored messages -> displayed messages: the token cards come from the usage saved on each reply,
+// so a reloaded chat looks the same as it did live (prompts show the input tokens of their reply)
+function withTokenCounts(rows) {
+  return rows.map((msg, i) => {
+    if (msg.role === 'assistant') {
+      return msg.output_tokens != null ? { ...msg, tokens: msg.output_tokens } : msg;
+    }
+    const reply = rows[i + 1];
+    return reply?.input_tokens != null ? { ...msg, tokens: reply.input_tokens, exactTokens: true } : msg;
+  });
+}
+
+// "42s", "5m", "3h" for a Retry-After value in seconds
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.ceil(seconds / 60)}m`;
+  return `${Math.ceil(seconds / 3600)}h`;
+}
+
+function loadSession() {
+  try {
+    const user = JSON.parse(localStorage.getItem('sanyai_user'));
+    return localStorage.getItem('sanyai_token') && user ? { user } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Read a Server-Sent Events body, calling onEvent(event, data) for each complete event
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+// Render a search snippet with its [start, end) highlight ranges marked
+function HighlightedSnippet({ snippet, highlights }) {
+  const parts = [];
+  let cursor = 0;
+  highlights.forEach(([start, end], i) => {
+    if (start > cursor) parts.push(snippet.slice(cursor, start));
+    parts.push(<mark key={i} className="bg-[var(--accent)]/30 text-[var(--text-primary)] rounded px-0.5">{snippet.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(snippet.slice(cursor));
+  return <>{parts}</>;
+}
+
+function formatCost(usd) {
+  return usd > 0 && usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+}
+
+// Usage dashboard: tokens and estimated cost by day, model and chat (GET /usage)
+function UsageDashboard({ onClose, onOpenChat }) {
+  const [days, setDays] = useState(30);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setError(null);
+    axios.get(`${API_URL}/usage`, { params: { days } })
+      .then(res => setReport(res.data))
+      .catch(error => {
+        console.error("Failed to load usage", error);
+        setError("Could not load usage.");
+      });
+  }, [days]);
+
+  const maxDayTokens = Math.max(1, ...(report?.by_day || []).map(d => d.input_tokens + d.output_tokens));
+
+  const breakdown = (title, rows, labelOf, onSelect) => (
+    <div className="space-y-2">
+      <h4 className="text-xs font-bold uppercase tracking-wider text-[var(--text-secondary)]">{title}</h4>
+      {rows.length === 0 ? (
+        <div className="text-sm text-[var(--text-muted)]">No usage yet.</div>
+      ) : (
+        <div className="rounded-xl border border-[var(--border-light)] overflow-hidden">
+          {rows.slice(0, 8).map((row, idx) => (
+            <div
+              key={idx}
+              onClick={onSelect ? () => onSelect(row) : undefined}
+              className={`flex items-center gap-3 px-3 py-2 text-sm border-b border-[var(--border-light)] last:border-b-0 ${onSelect ? 'cursor-pointer hover:bg-[var(--bg-tertiary)]' : ''}`}
+            >
+              <span className="flex-1 truncate">{labelOf(row)}</span>
+              <span className="text-xs font-mono text-[var(--text-secondary)]">{(row.input_tokens + row.output_tokens).toLocaleString()} toks</span>
+              <span className="w-20 text-right font-mono text-[var(--accent)]">{formatCost(row.cost)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-40 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ y: 20, scale: 0.97 }}
+        animate={{ y: 0, scale: 1 }}
+        exit={{ y: 20, scale: 0.97 }}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-3xl max-h-[90vh] overflow-y-auto custom-scrollbar glass-panel-strong bg-[var(--bg-secondary)]/95 rounded-[2rem] border border-[var(--border-light)] p-6 space-y-6 shadow-2xl"
+      >
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <BarChart3 className="text-[var(--accent)]" size={20} />
+            <h3 className="text-lg font-bold">Usage</h3>
+          </div>
+          <div className="flex items-center gap-2">
+            <select
+              value={days}
+              onChange={(e) => setDays(Number(e.target.value))}
+              className="bg-[var(--bg-tertiary)] border border-[var(--border-light)] rounded-lg px-2 py-1 text-sm outline-none"
+            >
+              <option value={7}>Last 7 days</option>
+              <option value={30}>Last 30 days</option>
+              <option value={90}>Last 90 days</option>
+            </select>
+            <button onClick={onClose} className="p-2 rounded-full text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-[var(--bg-tertiary)]">
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="text-sm text-red-400">{error}</div>}
+
+        {report && (
+          <>
+            <div className="grid grid-cols-3 gap-3">
+              {[
+                ['Model Calls', report.totals.calls.toLocaleString()],
+                ['Tokens', (report.totals.input_tokens + report.totals.output_tokens).toLocaleString()],
+                ['Estimated Cost', formatCost(report.totals.cost)]
+              ].map(([label, value]) => (
+                <div key={label} className="p-4 rounded-2xl bg-[var(--bg-tertiary)] border border-[var(--border-light)]">
+                  <div className="text-[10px] font-bold uppercase tracking-widest text-[var(--text-secondary)]">{label}</div>
+                  <div className="text-2xl font-mono font-bold mt-1">{value}</div>
+                </div>
+              ))}
+            </div>
+
+            <div className="space-y-2">
+              <h4 className="text-xs font-bold uppercase tracking-wider text-[var(--text-secondary)]">Tokens per Day</h4>
+              <div className="flex items-end gap-1 h-32 p-3 rounded-xl bg-[var(--bg-tertiary)] border border-[var(--border-light)]">
+                {report.by_day.length === 0 && <div className="m-auto text-sm text-[var(--text-muted)]">No usage yet.</div>}
+                {report.by_day.map(day => (
+                  <div
+                    key={day.date}
+                    className="flex-1 min-w-[4px] bg-[var(--accent)]/70 hover:bg-[var(--accent)] rounded-t transition-colors"
+                    style={{ height: `${Math.max(4, ((day.input_tokens + day.output_tokens) / maxDayTokens) * 100)}%` }}
+                    title={`${day.date}: ${(day.input_tokens + day.output_tokens).toLocaleString()} tokens, ${formatCost(day.cost)}`}
+                  />
+                ))}
+              </div>
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-6">
+              {breakdown('By Model', report.by_model, row => row.model)}
+              {breakdown('By Chat', report.by_chat, row => row.chat_title || 'New Chat', row => onOpenChat(row.chat_id))}
+            </div>
+          </>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+// What the assistant remembers about the user across chats: on/off switch, and every memory to edit or delete
+function MemoryPanel({ onClose }) {
+  const [enabled, setEnabled] = useState(false);
+  const [memories, setMemories] = useState(null);
+  const [error, setError] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [newText, setNewText] = useState('');
+  const [newKind, setNewKind] = useState('fact');
+
+  useEffect(() => {
+    axios.get(`${API_URL}/memory`)
+      .then(res => {
+        setEnabled(res.data.enabled);
+        setMemories(res.data.memories);
+      })
+      .catch(error => {
+        console.error("Failed to load memory", error);
+        setError("Could not load memory.");
+      });
+  }, []);
+
+  const request = async (action, fallback) => {
+    setError(null);
+    try {
+      await action();
+    } catch (error) {
+      setError(error.response?.data?.error || fallback);
+    }
+  };
+
+  const toggleEnabled = () => request(async () => {
+    const res = await axios.patch(`${API_URL}/memory`, { enabled: !enabled });
+    setEnabled(res.data.enabled);
+  }, "Could not change the memory setting.");
+
+  const addMemory = (e) => {
+    e.preventDefault();
+    if (!newText.trim()) return;
+    request(async () => {
+      const res = await axios.post(`${API_URL}/memory`, { content: newText, kind: newKind });
+      setMemories(prev => [...prev, res.data.memory]);
+      setNewText('');
+    }, "Could not add the memory.");
+  };
+
+  const saveEdit = (id) => request(async () => {
+    const res = await axios.patch(`${API_URL}/memory/${id}`, { content: editText });
+    setMemories(prev => prev.map(m => m.id === id ? res.data.memory : m));
+    setEditingId(null);
+  }, "Could not save the memory.");
+
+  const toggleKind = (memory) => request(async () => {
+    const res = await axios.patch(`${API_URL}/memory/${memory.id}`, { kind: memory.kind === 'fact' ? 'preference' : 'fact' });
+    setMemories(prev => prev.map(m => m.id === memory.id ? res.data.memory : m));
+  }, "Could not save the memory.");
+
+  const deleteMemory = (id) => request(async () => {
+    await axios.delete(`${API_URL}/memory/${id}`);
+    setMemories(prev => prev.filter(m => m.id !== id));
+  }, "Could not delete the memory.");
+
+  const clearAll = () => {
+    if (!window.confirm("Forget everything remembered about you? This can't be undone.")) return;
+    request(async () => {
+      await axios.delete(`${API_URL}/memory`);
+      setMemories([]);
+    }, "Could not clear memory.");
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-40 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ y: 20, scale: 0.97 }}
+        animate={{ y: 0, scale: 1 }}
+        exit={{ y: 20, scale: 0.97 }}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-2xl max-h-[90vh] overflow-y-auto custom-scrollbar glass-panel-strong bg-[var(--bg-secondary)]/95 rounded-[2rem] border border-[var(--border-light)] p-6 space-y-6 shadow-2xl"
+      >
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Brain className="text-[var(--accent)]" size={20} />
+            <h3 className="text-lg font-bold">Memory</h3>
+          </div>
+          <button onClick={onClose} className="p-2 rounded-full text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-[var(--bg-tertiary)]">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="flex items-center gap-4 p-4 rounded-2xl bg-[var(--bg-tertiary)] border border-[var(--border-light)]">
+          <div className="flex-1 text-sm">
+            <div className="font-medium">Remember things about me across chats</div>
+            <div className="text-xs text-[var(--text-secondary)] mt-1">
+              Facts and preferences from your conversations are saved here and used to tailor answers in every chat.
+            </div>
+          </div>
+          <button
+            onClick={toggleEnabled}
+            disabled={memories === null}
+            className={`relative w-11 h-6 rounded-full transition-colors shrink-0 ${enabled ? 'bg-[var(--accent)]' : 'bg-[var(--border-light)]'}`}
+            title={enabled ? "Turn memory off" : "Turn memory on"}
+          >
+            <span className={`absolute top-1 w-4 h-4 rounded-full bg-white transition-all ${enabled ? 'left-6' : 'left-1'}`} />
+          </button>
+        </div>
+
+        {error && <div className="text-sm text-red-400">{error}</div>}
+
+        {memories && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <h4 className="text-xs font-bold uppercase tracking-wider text-[var(--text-secondary)]">Remembered ({memories.length})</h4>
+              {memories.length > 0 && (
+                <button onClick={clearAll} className="text-xs text-[var(--text-secondary)] hover:text-red-400 transition-colors">
+                  Clear all
+                </button>
+              )}
+            </div>
+            {memories.length === 0 ? (
+              <div className="text-sm text-[var(--text-muted)]">Nothing remembered yet.</div>
+            ) : (
+              <div className="rounded-xl border border-[var(--border-light)] overflow-hidden">
+                {memories.map(memory => (
+                  <div key={memory.id} className="group flex items-center gap-3 px-3 py-2 text-sm border-b border-[var(--border-light)] last:border-b-0">
+                    <button
+                      onClick={() => toggleKind(memory)}
+                      className={`text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded-full shrink-0 ${memory.kind === 'preference' ? 'bg-[var(--accent)]/20 text-[var(--accent)]' : 'bg-[var(--bg-tertiary)] text-[var(--text-secondary)]'}`}
+                      title="Switch between fact and preference"
+                    >
+                      {memory.kind}
+                    </button>
+                    {editingId === memory.id ? (
+                      <>
+                        <input
+                          autoFocus
+                          value={editText}
+                          onChange={(e) => setEditText(e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') saveEdit(memory.id);
+                            if (e.key === 'Escape') setEditingId(null);
+                          }}
+                          maxLength={300}
+                          className="flex-1 bg-[var(--bg-tertiary)] border border-[var(--border-light)] rounded-lg px-2 py-1 outline-none focus:border-[var(--accent)]"
+                        />
+                        <button onClick={() => saveEdit(memory.id)} className="p-1 text-[var(--text-secondary)] hover:text-[var(--accent)]" title="Save">
+                          <Check size={14} />
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <span className="flex-1">{memory.content}</span>
+                        <button
+                          onClick={() => { setEditingId(memory.id); setEditText(memory.content); }}
+                          className="p-1 opacity-0 group-hover:opacity-100 text-[var(--text-secondary)] hover:text-[var(--accent)] transition-opacity"
+                          title="Edit"
+                        >
+                          <Edit2 size={14} />
+                        </button>
+                      </>
+                    )}
+                    <button
+                      onClick={() => deleteMemory(memory.id)}
+                      className="p-1 opacity-0 group-hover:opacity-100 text-[var(--text-secondary)] hover:text-red-400 transition-opacity"
+                      title="Forget"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <form onSubmit={addMemory} className="flex items-center gap-2 pt-2">
+              <select
+                value={newKind}
+                onChange={(e) => setNewKind(e.target.value)}
+                className="bg-[var(--bg-tertiary)] border border-[var(--border-light)] rounded-lg px-2 py-1.5 text-sm outline-none"
+              >
+                <option value="fact">Fact</option>
+                <option value="preference">Preference</option>
+              </select>
+              <input
+                value={newText}
+                onChange={(e) => setNewText(e.target.value)}
+                placeholder="e.g. Prefers answers with code examples"
+                maxLength={300}
+                className="flex-1 bg-[var(--bg-tertiary)] border border-[var(--border-light)] rounded-lg px-3 py-1.5 text-sm outline-none focus:border-[var(--accent)]"
+              />
+              <button
+                type="submit"
+                disabled={!newText.trim()}
+                className="p-2 rounded-lg bg-[var(--accent)] text-black disabled:opacity-40 transition-opacity"
+                title="Add memory"
+              >
+                <Plus size={16} />
+              </button>
+            </form>
+          </div>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+// Create, edit and delete personas: a name, a system prompt and optional defaults for new turns
+function PersonaEditor({ personas, models, defaultSystemPrompt, onClose, onChange }) {
+  const blank = { name: '', system_prompt: defaultSystemPrompt, model: '', depth: '', web_search: '' };
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(blank);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const startEdit = (persona) => {
+    setError(null);
+    setEditing(persona ? persona.id : 'new');
+    setForm(persona
+      ? { name: persona.name, system_prompt: persona.system_prompt, model: persona.model || '', depth: persona.depth || '', web_search: persona.web_search || '' }
+      : blank);
+  };
+
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const save = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    // Empty selects mean "no default": the chat keeps whatever is chosen in the input bar
+    const body = {
+      name: form.name,
+      system_prompt: form.system_prompt,
+      model: form.model || null,
+      depth: form.depth || null,
+      web_search: form.web_search || null
+    };
+    try {
+      if (editing === 'new') {
+        const res = await axios.post(`${API_URL}/personas`, body);
+        onChange([...personas, res.data.persona]);
+      } else {
+        const res = await axios.patch(`${API_URL}/personas/${editing}`, body);
+        onChange(personas.map(p => p.id === editing ? res.data.persona : p));
+      }
+      setEditing(null);
+    } catch (error) {
+      setError(error.response?.data?.error || "Could not save the persona.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const deletePersona = async (persona) => {
+    if (!window.confirm(`Delete "${persona.name}"? Its chats continue with the default persona.`)) return;
+    setError(null);
+    try {
+      await axios.delete(`${API_URL}/personas/${persona.id}`);
+      onChange(personas.filter(p => p.id !== persona.id));
+      if (editing === persona.id) setEditing(null);
+    } catch (error) {
+      setError(error.response?.data?.error || "Could not delete the persona.");
+    }
+  };
+
+  const inputClass = "w-full bg-[var(--bg-tertiary)] border border-[var(--border-light)] rounded-lg px-3 py-1.5 text-sm outline-none focus:border-[var(--accent)]";
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-40 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ y: 20, scale: 0.97 }}
+        animate={{ y: 0, scale: 1 }}
+        exit={{ y: 20, scale: 0.97 }}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-2xl max-h-[90vh] overflow-y-auto custom-scrollbar glass-panel-strong bg-[var(--bg-secondary)]/95 rounded-[2rem] border border-[var(--border-light)] p-6 space-y-6 shadow-2xl"
+      >
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Bot className="text-[var(--accent)]" size={20} />
+            <h3 className="text-lg font-bold">Personas</h3>
+          </div>
+          <button onClick={onClose} className="p-2 rounded-full text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-[var(--bg-tertiary)]">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="text-xs text-[var(--text-secondary)]">
+          A persona replaces the assistant's system prompt in the chats that use it, and can preset their model, response length and web search.
+        </div>
+
+        {error && <div className="text-sm text-red-400">{error}</div>}
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <h4 className="text-xs font-bold uppercase tracking-wider text-[var(--text-secondary)]">Your personas ({personas.length})</h4>
+            {editing === null && (
+              <button onClick={() => startEdit(null)} className="flex items-center gap-1 text-xs text-[var(--text-secondary)] hover:text-[var(--accent)] transition-colors">
+                <Plus size={12} /> New persona
+              </button>
+            )}
+          </div>
+          {personas.length === 0 ? (
+            <div className="text-sm text-[var(--text-muted)]">No personas yet. Chats use the default Sanyai assistant.</div>
+          ) : (
+            <div className="rounded-xl border border-[var(--border-light)] overflow-hidden">
+              {personas.map(persona => (
+                <div key={persona.id} className={`group flex items-center gap-3 px-3 py-2 text-sm border-b border-[var(--border-light)] last:border-b-0 ${editing === persona.id ? 'bg-[var(--bg-tertiary)]' : ''}`}>
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium truncate">{persona.name}</div>
+                    <div className="text-xs text-[var(--text-secondary)] truncate">{persona.system_prompt}</div>
+                  </div>
+                  <button
+                    onClick={() => startEdit(persona)}
+                    className="p-1 opacity-0 group-hover:opacity-100 text-[var(--text-secondary)] hover:text-[var(--accent)] transition-opacity"
+                    title="Edit"
+                  >
+                    <Edit2 size={14} />
+                  </button>
+                  <button
+                    onClick={() => deletePersona(persona)}
+                    className="p-1 opacity-0 group-hover:opacity-100 text-[var(--text-secondary)] hover:text-red-400 transition-opacity"
+                    title="Delete"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {editing !== null && (
+          <form onSubmit={save} className="space-y-3 p-4 rounded-2xl bg-[var(--bg-tertiary)]/50 border border-[var(--border-light)]">
+            <h4 className="text-xs font-bold uppercase tracking-wider text-[var(--text-secondary)]">{editing === 'new' ? 'New persona' : 'Edit persona'}</h4>
+            <input
+              autoFocus
+              value={form.name}
+              onChange={setField('name')}
+              placeholder="Name, e.g. Code reviewer"
+              maxLength={60}
+              className={inputClass}
+            />
+            <textarea
+              value={form.system_prompt}
+              onChange={setField('system_prompt')}
+              placeholder="System prompt: who the assistant is and how it should answer"
+              maxLength={8000}
+              rows={8}
+              className={`${inputClass} resize-y custom-scrollbar font-mono text-xs`}
+            />
+            <div className="grid grid-cols-3 gap-2">
+              <label className="text-xs text-[var(--text-secondary)] space-y-1">
+                <span>Model</span>
+                <select value={form.model} onChange={setField('model')} className={inputClass}>
+                  <option value="">Don't change</option>
+                  {models.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                </select>
+              </label>
+              <label className="text-xs text-[var(--text-secondary)] space-y-1">
+                <span>Length</span>
+                <select value={form.depth} onChange={setField('depth')} className={inputClass}>
+                  <option value="">Don't change</option>
+                  {['Concise', 'Short', 'Medium', 'Large'].map(d => <option key={d} value={d}>{d}</option>)}
+                </select>
+              </label>
+              <label className="text-xs text-[var(--text-secondary)] space-y-1">
+                <span>Web search</span>
+                <select value={form.web_search} onChange={setField('web_search')} className={inputClass}>
+                  <option value="">Don't change</option>
+                  {SEARCH_MODES.map(mode => <option key={mode} value={mode}>{mode}</option>)}
+                </select>
+              </label>
+            </div>
+            <div className="flex justify-end gap-2">
+              <button type="button" onClick={() => setEditing(null)} className="px-3 py-1.5 rounded-lg text-sm text-[var(--text-secondary)] hover:text-[var(--text-primary)]">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving || !form.name.trim() || !form.system_prompt.trim()}
+                className="px-3 py-1.5 rounded-lg text-sm font-medium bg-[var(--accent)] text-black disabled:opacity-40 transition-opacity"
+              >
+                {isSaving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+// Sign-in / registration screen shown until the user has a session
+function AuthScreen({ onAuthenticated }) {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      const res = await axios.post(`${API_URL}/auth/${mode}`, { username: username.trim(), password });
+      onAuthenticated(res.data);
+    } catch (error) {
+      setError(error.response?.data?.error || `Could not reach ${API_URL}. Check if Backend is running.`);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex h-screen w-full items-center justify-center mesh-bg text-[var(--text-primary)] font-sans p-4">
+      <motion.form
+        onSubmit={submit}
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-sm glass-panel-strong rounded-[2rem] border border-[var(--border-light)] p-8 space-y-5 shadow-2xl"
+      >
+        <div className="flex items-center gap-3">
+          <div className="w-12 h-12 rounded-2xl bg-[var(--accent)] text-black flex items-center justify-center shadow-[0_0_20px_rgba(234,179,8,0.4)]">
+            <Bot size={26} />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold tracking-tight">Sanyai</h1>
+            <p className="text-xs text-[var(--text-secondary)]">{mode === 'login' ? 'Sign in to your chats' : 'Create an account'}</p>
+          </div>
+        </div>
+
+        <input
+          type="text"
+          autoFocus
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username or email"
+          className="w-full bg-[var(--bg-tertiary)] rounded-xl px-4 py-3 outline-none border border-[var(--border-light)] focus:border-[var(--accent)]/50 placeholder-[var(--text-muted)]"
+        />
+        <input
+          type="password"
+          autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          className="w-full bg-[var(--bg-tertiary)] rounded-xl px-4 py-3 outline-none border border-[var(--border-light)] focus:border-[var(--accent)]/50 placeholder-[var(--text-muted)]"
+        />
+
+        {error && (
+          <div className="flex items-start gap-2 text-sm text-red-400 bg-red-500/10 p-2 rounded-lg border border-red-500/20">
+            <AlertTriangle size={14} className="mt-0.5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting || !username.trim() || !password}
+          className="w-full py-3 rounded-xl font-bold bg-[var(--accent)] text-black shadow-lg hover:shadow-[0_0_20px_rgba(234,179,8,0.4)] disabled:opacity-40 transition-all flex items-center justify-center gap-2"
+        >
+          <Lock size={16} />
+          {mode === 'login' ? 'Sign in' : 'Create account'}
+        </button>
+
+        <button
+          type="button"
+          onClick={() => { setMode(mode === 'login' ? 'register' : 'login'); setError(null); }}
+          className="w-full text-xs text-[var(--text-secondary)] hover:text-[var(--accent)] transition-colors"
+        >
+          {mode === 'login' ? "No account yet? Create one" : 'Already have an account? Sign in'}
+        </button>
+      </motion.form>
+    </div>
+  );
+}
+
 function App() {
+  const [session, setSession] = useState(loadSession);
+
+  const signOut = () => {
+    ['sanyai_token', 'sanyai_user', 'sanyai_chat_id'].forEach(key => localStorage.removeItem(key));
+    setSession(null);
+  };
+
+  const signIn = ({ token, user }) => {
+    localStorage.setItem('sanyai_token', token);
+    localStorage.setItem('sanyai_user', JSON.stringify(user));
+    setSession({ user });
+  };
+
+  // Drop the session once the server rejects its token (expired or revoked)
+  useEffect(() => {
+    window.addEventListener('sanyai:unauthorized', signOut);
+    return () => window.removeEventListener('sanyai:unauthorized', signOut);
+  }, []);
+
+  if (!session) {
+    return <AuthScreen onAuthenticated={signIn} />;
+  }
+  return <ChatApp user={session.user} onSignOut={signOut} />;
+}
+
+function ChatApp({ user, onSignOut }) {
   const [chats, setChats] = useState([]);
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
@@ -20,11 +876,50 @@ function App() {
   const [estimatedTokens, setEstimatedTokens] = useState(0);
   const [theme, setTheme] = useState('dark');
   const [depth, setDepth] = useState('Short');
-  const [isWebSearch, setIsWebSearch] = useState(false);
+  const [searchMode, setSearchMode] = useState(() => {
+    const stored = localStorage.getItem('sanyai_search_mode');
+    return SEARCH_MODES.includes(stored) ? stored : 'off';
+  });
+  const [isDeepResearch, setIsDeepResearch] = useState(false);
   const [smartPromptData, setSmartPromptData] = useState(null);
   const [isSmartPromptLoading, setIsSmartPromptLoading] = useState(false);
+  const [smartPromptMode, setSmartPromptMode] = useState('shorter');
+  // Answers typed into the panel, by question index, and those the current rewrite was given
+  const [smartPromptAnswers, setSmartPromptAnswers] = useState({});
+  const [smartPromptAnswered, setSmartPromptAnswered] = useState([]);
+  const [smartPromptUsesHistory, setSmartPromptUsesHistory] = useState(true);
+  const [showPromptDiff, setShowPromptDiff] = useState(true);
+  const [smartPromptError, setSmartPromptError] = useState(null);
+  const [isStreaming, setIsStreaming] = useState(false);
+  // Queries the current reply is searching the web for (shown while waiting for its first token)
+  const [pendingSearch, setPendingSearch] = useState(null);
+  const [editingChatId, setEditingChatId] = useState(null);
+  const [editingTitle, setEditingTitle] = useState('');
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editingContent, setEditingContent] = useState('');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [models, setModels] = useState([]);
+  const [selectedModel, setSelectedModel] = useState(() => localStorage.getItem('sanyai_model') || '');
+  const [quota, setQuota] = useState(null);
+  const [showUsage, setShowUsage] = useState(false);
+  const [showMemory, setShowMemory] = useState(false);
+  const [personas, setPersonas] = useState([]);
+  const [defaultSystemPrompt, setDefaultSystemPrompt] = useState('');
+  const [personaId, setPersonaId] = useState(null);
+  const [showPersonas, setShowPersonas] = useState(false);
+  const [attachments, setAttachments] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+  const [uploadWarnings, setUploadWarnings] = useState([]);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const pendingScrollRef = useRef(null);
 
   // Apply theme
   useEffect(() => {
@@ -32,9 +927,50 @@ function App() {
     localStorage.setItem('theme', theme);
   }, [theme]);
 
-  // Load initial chats
+  // Load chats (again whenever the archive view is toggled)
   useEffect(() => {
     fetchChats();
+  }, [showArchived]);
+
+  // Load the model registry; fall back to the server default if the stored choice is gone
+  useEffect(() => {
+    axios.get(`${API_URL}/models`)
+      .then(res => {
+        const chatModels = (res.data.models || []).filter(m => m.capabilities.includes('chat'));
+        setModels(chatModels);
+        setSelectedModel(prev => chatModels.some(m => m.id === prev) ? prev : res.data.defaults?.chat || '');
+      })
+      .catch(error => console.error("Failed to load models", error));
+  }, []);
+
+  useEffect(() => {
+    if (selectedModel) localStorage.setItem('sanyai_model', selectedModel);
+  }, [selectedModel]);
+
+  useEffect(() => {
+    localStorage.setItem('sanyai_search_mode', searchMode);
+  }, [searchMode]);
+
+  useEffect(() => {
+    fetchQuota();
+  }, []);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/personas`)
+      .then(res => {
+        setPersonas(res.data.personas || []);
+        setDefaultSystemPrompt(res.data.default_system_prompt || '');
+      })
+      .catch(error => console.error("Failed to load personas", error));
+  }, []);
+
+  // The open chat's persona presets the input bar, also when the personas or models arrive after the chat
+  useEffect(() => {
+    applyPersonaDefaults(personas.find(p => p.id === personaId));
+  }, [personaId, personas, models]);
+
+  // Restore the last open chat
+  useEffect(() => {
     const storedChatId = localStorage.getItem('sanyai_chat_id');
     if (storedChatId) {
         setCurrentChatId(storedChatId);
@@ -43,9 +979,37 @@ function App() {
   }, []);
 
   useEffect(() => {
+    // A search hit waits for its chat to load, then scrolls to the matching message
+    if (pendingScrollRef.current) {
+      const target = document.getElementById(`message-${pendingScrollRef.current}`);
+      if (target) {
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        pendingScrollRef.current = null;
+        return;
+      }
+    }
     scrollToBottom();
   }, [messages]);
 
+  // Debounced search across chat history
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!query) {
+      setSearchResults(null);
+      return;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const res = await axios.get(`${API_URL}/search`, { params: { q: query } });
+        setSearchResults(res.data.results || []);
+      } catch (error) {
+        console.error("Search failed", error);
+        setSearchResults([]);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
   // Estimate tokens on input change
   useEffect(() => {
     const count = Math.ceil(input.length / 4);
@@ -60,26 +1024,91 @@ function App() {
     setTheme(prev => prev === 'dark' ? 'light' : 'dark');
   };
 
-  const fetchChats = async () => {
+  // Without a cursor the list is replaced by the first page; with one the next page is appended
+  const fetchChats = async (cursor = null) => {
     try {
-        const res = await axios.get(`${API_URL}/chats`);
+        const res = await axios.get(`${API_URL}/chats`, {
+            params: { cursor: cursor || undefined, archived: showArchived || undefined }
+        });
         if (res.data.chats) {
-            setChats(res.data.chats);
+            setChats(prev => cursor ? [...prev, ...res.data.chats] : res.data.chats);
+            setNextCursor(res.data.next_cursor || null);
         }
     } catch (error) {
         console.error("Failed to fetch chats", error);
     }
   };
 
+  // Rate limit and token quotas, refreshed after every model call
+  const fetchQuota = async () => {
+    try {
+        const res = await axios.get(`${API_URL}/quota`);
+        setQuota(res.data);
+    } catch (error) {
+        console.error("Failed to fetch quota", error);
+    }
+  };
+
+  const jumpToSearchResult = async (result) => {
+    setHighlightedMessageId(result.message_id);
+    setTimeout(() => setHighlightedMessageId(null), 3000);
+    if (window.innerWidth < 768) setSidebarOpen(false);
+
+    if (result.chat_id === currentChatId && messages.some(m => m.id === result.message_id)) {
+      document.getElementById(`message-${result.message_id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      return;
+    }
+
+    pendingScrollRef.current = result.message_id;
+    const path = result.chat_id === currentChatId ? messages : await loadMessages(result.chat_id);
+    if (path?.some(m => m.id === result.message_id)) return;
+
+    // The hit is on a branch that isn't selected: switch to it, or give up on scrolling
+    try {
+      const res = await axios.post(`${API_URL}/chat/${result.chat_id}/messages/${result.message_id}/select`);
+      setMessages(withTokenCounts(res.data.messages || []));
+    } catch (error) {
+      console.error("Failed to open the branch of the search result", error);
+      pendingScrollRef.current = null;
+    }
+  };
+
+  const updateChatFlags = async (chat, flags) => {
+    try {
+      await axios.patch(`${API_URL}/chat/${chat.id}`, flags);
+    } catch (error) {
+      console.error("Failed to update chat", error);
+    }
+    fetchChats();
+  };
+
+  const deleteChat = async (chat) => {
+    if (!window.confirm(`Delete "${chat.title || 'New Chat'}"? This cannot be undone.`)) return;
+    try {
+      await axios.delete(`${API_URL}/chat/${chat.id}`);
+      setChats(prev => prev.filter(c => c.id !== chat.id));
+      if (currentChatId === chat.id) startNewChat();
+    } catch (error) {
+      console.error("Failed to delete chat", error);
+    }
+  };
+
+  // Open a chat; resolves its active path, or null when it couldn't be loaded
   const loadMessages = async (id) => {
     setIsLoading(true);
     try {
       const res = await axios.get(`${API_URL}/chat/${id}`);
-      setMessages(res.data.messages || []);
+      setMessages(withTokenCounts(res.data.messages || []));
+      setPersonaId(res.data.persona_id || null);
+      // Applied here too: opening another chat with the same persona doesn't change personaId
+      applyPersonaDefaults(personas.find(p => p.id === res.data.persona_id));
       setCurrentChatId(id);
       localStorage.setItem('sanyai_chat_id', id);
+      fetchAttachments(id);
+      return res.data.messages || [];
     } catch (error) {
       console.error("Failed to load messages", error);
+      return null;
     } finally {
         setIsLoading(false);
     }
@@ -88,10 +1117,114 @@ function App() {
   const startNewChat = () => {
     setCurrentChatId(null);
     setMessages([]);
+    setPersonaId(null);
+    setAttachments([]);
+    setUploadError(null);
+    setUploadWarnings([]);
     localStorage.removeItem('sanyai_chat_id');
     if (window.innerWidth < 768) setSidebarOpen(false);
   };
 
+  // A persona's saved model, depth and web search, where it has them, replace the input bar's
+  const applyPersonaDefaults = (persona) => {
+    if (persona?.model && models.some(m => m.id === persona.model)) setSelectedModel(persona.model);
+    if (persona?.depth) setDepth(persona.depth);
+    if (persona?.web_search) setSearchMode(persona.web_search);
+  };
+
+  // Switch persona: its defaults are applied to the input bar, and an open chat continues with it
+  const selectPersona = async (id) => {
+    const persona = personas.find(p => p.id === id) || null;
+    setPersonaId(persona?.id || null);
+    applyPersonaDefaults(persona);
+    if (!currentChatId) return;
+    try {
+      await axios.patch(`${API_URL}/chat/${currentChatId}`, { persona_id: persona?.id || null });
+    } catch (error) {
+      console.error("Failed to switch persona", error);
+    }
+  };
+
+  // The editor's list replaces ours; a deleted persona's chat falls back to the default one
+  const updatePersonas = (next) => {
+    setPersonas(next);
+    if (personaId && !next.some(p => p.id === personaId)) setPersonaId(null);
+  };
+
+  const fetchAttachments = async (chatId) => {
+    try {
+      const res = await axios.get(`${API_URL}/chat/${chatId}/documents`);
+      setAttachments(res.data.documents || []);
+    } catch (error) {
+      console.error("Failed to load attachments", error);
+      setAttachments([]);
+    }
+  };
+
+  // Upload the picked files one by one; the first upload in a new chat creates the chat
+  const uploadFiles = async (files) => {
+    if (files.length === 0) return;
+    setIsUploading(true);
+    setUploadError(null);
+    setUploadWarnings([]);
+    let chatId = currentChatId;
+    try {
+      for (const file of files) {
+        const res = await axios.post(`${API_URL}/documents`, file, {
+          params: { chat_id: chatId || undefined, filename: file.name },
+          headers: { 'Content-Type': 'application/octet-stream' }
+        });
+        if (!chatId) {
+          chatId = res.data.chat_id;
+          setCurrentChatId(chatId);
+          localStorage.setItem('sanyai_chat_id', chatId);
+          if (personaId) await axios.patch(`${API_URL}/chat/${chatId}`, { persona_id: personaId });
+          fetchChats();
+        }
+        setAttachments(prev => [...prev, res.data.document]);
+        // Attached, but some of the file's text could not be read
+        if (res.data.warnings?.length) {
+          setUploadWarnings(prev => [...prev, ...res.data.warnings.map(warning => `${file.name}: ${warning}`)]);
+        }
+      }
+    } catch (error) {
+      console.error("Failed to upload file", error);
+      setUploadError(error.response?.data?.error || "Upload failed. Please try again.");
+    } finally {
+      setIsUploading(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
+  const removeAttachment = async (attachment) => {
+    setAttachments(prev => prev.filter(d => d.id !== attachment.id));
+    try {
+      await axios.delete(`${API_URL}/chat/${attachment.chat_id}/documents/${attachment.id}`);
+    } catch (error) {
+      console.error("Failed to remove attachment", error);
+      fetchAttachments(attachment.chat_id);
+    }
+  };
+
+  const startRenaming = (chat) => {
+    setEditingChatId(chat.id);
+    setEditingTitle(chat.title || '');
+  };
+
+  const renameChat = async (id) => {
+    const title = editingTitle.trim();
+    setEditingChatId(null);
+    if (!title) return;
+
+    setChats(prev => prev.map(chat => chat.id === id ? { ...chat, title } : chat));
+    try {
+      await axios.patch(`${API_URL}/chat/${id}`, { title });
+    } catch (error) {
+      console.error("Failed to rename chat", error);
+      fetchChats();
+    }
+  };
+
   const handleCopy = (text, id) => {
     navigator.clipboard.writeText(text);
     setCopiedId(id);
@@ -105,25 +1238,75 @@ function App() {
     setTimeout(() => setCopiedId(null), 2000);
   };
 
-  const handleEdit = (text) => {
-    setInput(text);
-    inputRef.current?.focus();
+  const handleEdit = (msg) => {
+    // Messages that were never saved can't be forked; reuse their text as a new prompt instead
+    if (!currentChatId) {
+      setInput(msg.content);
+      inputRef.current?.focus();
+      return;
+    }
+    setEditingMessageId(msg.id);
+    setEditingContent(msg.content);
   };
 
-  const handleSmartPrompt = async () => {
+  // Resend an edited prompt: it becomes a new branch from that point, the old one stays reachable
+  const submitEdit = async (msg) => {
+    const content = editingContent.trim();
+    setEditingMessageId(null);
+    if (!content || content === msg.content || isLoading) return;
+
+    const userMessage = {
+      role: 'user',
+      content: content,
+      id: Date.now().toString(),
+      tokens: Math.ceil(content.length / 4)
+    };
+    setMessages(prev => [...prev.slice(0, prev.findIndex(m => m.id === msg.id)), userMessage]);
+
+    await streamReply(`/chat/${currentChatId}/messages/${msg.id}/edit`, {
+      message: content,
+      depth: depth,
+      webSearch: searchMode,
+      deepResearch: searchMode !== 'off' && isDeepResearch,
+      model: selectedModel || undefined
+    }, { userMessageId: userMessage.id });
+    fetchChats();
+  };
+
+  // Review the input with the smart prompt model; the open panel re-runs it with another mode,
+  // with or without the chat's history, or with answers to its questions
+  const handleSmartPrompt = async ({ mode = smartPromptMode, answers = smartPromptAnswered, useHistory = smartPromptUsesHistory } = {}) => {
     if (!input.trim()) return;
     setIsSmartPromptLoading(true);
+    setSmartPromptError(null);
     try {
-        const res = await axios.post(`${API_URL}/smart-prompt`, { prompt: input });
+        const res = await axios.post(`${API_URL}/smart-prompt`, {
+            prompt: input,
+            mode,
+            answers,
+            chat_id: useHistory && currentChatId ? currentChatId : undefined
+        });
+        setSmartPromptMode(mode);
+        setSmartPromptUsesHistory(useHistory);
+        setSmartPromptAnswered(answers);
+        setSmartPromptAnswers({});
         setSmartPromptData(res.data);
     } catch (error) {
         console.error("Smart Prompt failed", error);
-        // Optional: Notify user of smart prompt failure
+        setSmartPromptError(error.response?.data?.error || "Smart Prompt failed. Try again.");
     } finally {
         setIsSmartPromptLoading(false);
+        fetchQuota();
     }
   };
 
+  const answerSmartPrompt = () => {
+    const answers = smartPromptData.questions
+      .map((q, idx) => ({ question: q.question, answer: (smartPromptAnswers[idx] || '').trim() }))
+      .filter(a => a.answer);
+    if (answers.length > 0) handleSmartPrompt({ answers: [...smartPromptAnswered, ...answers].slice(-5) });
+  };
+
   const acceptSmartPrompt = () => {
     if (smartPromptData) {
         setInput(smartPromptData.optimizedPrompt);
@@ -131,64 +1314,112 @@ function App() {
     }
   };
 
-  const sendMessage = async (e) => {
-    e.preventDefault();
-    if (!input.trim() || isLoading) return;
+  // Stream an assistant reply from `path` into the message list.
+  // Resolves with the `meta` and `done` payloads (done is null if stopped), or null on error.
+  const streamReply = async (path, body, { userMessageId } = {}) => {
+    let assistantId = Date.now().toString() + 'a';
+    let meta = {};
+    let done = null;
+    let sources;
+    let searchQueries;
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setIsLoading(true);
 
-    const userMessage = { 
-        role: 'user', 
-        content: input, 
-        id: Date.now().toString(),
-        tokens: estimatedTokens 
+    // Append a streamed delta to the in-progress assistant message, creating it on the first token
+    const appendDelta = (content) => {
+      setIsStreaming(true);
+      setMessages(prev => {
+        if (!prev.some(msg => msg.id === assistantId)) {
+          return [...prev, { role: 'assistant', content, id: assistantId, streaming: true, sources, search_queries: searchQueries }];
+        }
+        return prev.map(msg => msg.id === assistantId ? { ...msg, content: msg.content + content } : msg);
+      });
     };
-    
-    setMessages(prev => [...prev, userMessage]);
-    const currentInput = input;
-    setInput('');
-    setIsLoading(true);
 
     try {
-      const res = await axios.post(`${API_URL}/chat`, {
-        chat_id: currentChatId,
-        message: currentInput,
-        depth: depth,
-        webSearch: isWebSearch
+      const res = await fetch(`${API_URL}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream', ...authHeaders() },
+        body: JSON.stringify({ ...body, stream: true }),
+        signal: controller.signal
       });
 
-      if (!currentChatId) {
-        const newChatId = res.data.chat_id;
-        setCurrentChatId(newChatId);
-        localStorage.setItem('sanyai_chat_id', newChatId);
-        fetchChats();
+      if (res.status === 401) {
+        onSignOut();
+        return null;
+      }
+      if (!res.ok) {
+        const errorBody = await res.json().catch(() => ({}));
+        let message = errorBody.error || res.statusText;
+        if (res.status === 429 && res.headers.get('Retry-After')) {
+          message += ` Try again in ${formatWait(Number(res.headers.get('Retry-After')))}.`;
+        }
+        throw { status: res.status, message: message };
       }
 
-      const { response, usage } = res.data;
-
-      // Update user message with exact input tokens
-      setMessages(prev => prev.map(msg => 
-        msg.id === userMessage.id 
-            ? { ...msg, tokens: usage?.input_tokens || msg.tokens, exactTokens: true } 
-            : msg
-      ));
+      await readEventStream(res, (event, data) => {
+        if (event === 'meta') {
+          meta = data;
+          // Adopt the server's ids so follow-up actions (regenerate, versions) can address the messages
+          assistantId = data.message_id || assistantId;
+          if (data.user_message_id && userMessageId) {
+            setMessages(prev => prev.map(msg => msg.id === userMessageId
+              ? { ...msg, id: data.user_message_id, clientKey: msg.id, siblings: data.user_siblings || [data.user_message_id] }
+              : msg));
+          }
+        } else if (event === 'search') {
+          searchQueries = data.queries;
+          setPendingSearch(data.queries);
+        } else if (event === 'sources') {
+          sources = data.sources;
+          setMessages(prev => prev.map(msg => msg.id === assistantId ? { ...msg, sources } : msg));
+        } else if (event === 'delta') {
+          appendDelta(data.content);
+        } else if (event === 'done') {
+          done = data;
+        } else if (event === 'error') {
+          throw { status: 500, message: data.error };
+        }
+      });
 
-      const assistantMessage = { 
-        role: 'assistant', 
-        content: response,
-        id: Date.now().toString() + 'a',
-        tokens: usage?.output_tokens
-      };
-      setMessages(prev => [...prev, assistantMessage]);
+      // Update the prompt with exact input tokens, and finalize the assistant message
+      setMessages(prev => prev.map(msg => {
+        if (msg.id === done?.parent_id) {
+          return { ...msg, tokens: done.usage?.input_tokens || msg.tokens, exactTokens: true };
+        }
+        if (msg.id === assistantId) {
+          return {
+            ...msg,
+            streaming: false,
+            tokens: done?.usage?.output_tokens,
+            model: done?.model,
+            siblings: done?.siblings,
+            depth: done?.depth,
+            web_search: done?.web_search,
+            latency_ms: done?.latency_ms,
+            sources: done?.sources,
+            search_queries: done?.search_queries,
+            document_sources: done?.document_sources
+          };
+        }
+        return msg;
+      }));
+      return { meta, done };
     } catch (error) {
-      console.error("Error sending message", error);
+      if (error.name === 'AbortError') {
+        // Stopped by the user: keep the partial answer as-is (the server stores it too)
+        setMessages(prev => prev.map(msg => msg.id === assistantId ? { ...msg, streaming: false, stopped: true } : msg));
+        return { meta, done: null };
+      }
+
+      console.error("Error streaming reply", error);
       let errorText = "Error: Could not reach the server. Please try again.";
-      
-      const attemptedUrl = `${API_URL}/chat`;
 
-      if (error.response) {
-        // The request was made and the server responded with a status code
-        // that falls out of the range of 2xx
-        errorText = `Error ${error.response.status}: ${error.response.data?.error || error.response.statusText}`;
-      } else if (error.request) {
+      if (error.status) {
+        // The server responded with an error status, or reported one mid-stream
+        errorText = `Error ${error.status}: ${error.message}`;
+      } else if (error instanceof TypeError) {
         // The request was made but no response was received
         errorText = `Network Error: No response from ${API_URL}. Check if Backend is running.`;
       } else {
@@ -205,12 +1436,82 @@ function App() {
         id: Date.now().toString() + 'e',
         isError: true
       };
-      setMessages(prev => [...prev, errorMessage]);
+      setMessages(prev => [...prev.filter(msg => msg.id !== assistantId), errorMessage]);
+      return null;
     } finally {
+      abortControllerRef.current = null;
+      setIsStreaming(false);
+      setPendingSearch(null);
       setIsLoading(false);
+      fetchQuota();
     }
   };
 
+  const sendMessage = async (e) => {
+    e.preventDefault();
+    if (!input.trim() || isLoading) return;
+
+    const userMessage = { 
+        role: 'user', 
+        content: input, 
+        id: Date.now().toString(),
+        tokens: estimatedTokens 
+    };
+    
+    setMessages(prev => [...prev, userMessage]);
+    const currentInput = input;
+    setInput('');
+
+    const result = await streamReply('/chat', {
+      chat_id: currentChatId,
+      persona_id: currentChatId ? undefined : personaId || undefined,
+      message: currentInput,
+      depth: depth,
+      webSearch: searchMode,
+      deepResearch: searchMode !== 'off' && isDeepResearch,
+      model: selectedModel || undefined
+    }, { userMessageId: userMessage.id });
+
+    const newChatId = result?.meta.chat_id;
+    if (!currentChatId && newChatId) {
+      setCurrentChatId(newChatId);
+      localStorage.setItem('sanyai_chat_id', newChatId);
+    }
+    // Refresh titles, previews and ordering in the sidebar
+    fetchChats();
+  };
+
+  // Re-run the turn behind an assistant message; the new answer becomes another version of it
+  const regenerateMessage = async (msg) => {
+    if (isLoading || !currentChatId) return;
+
+    setMessages(prev => prev.slice(0, prev.findIndex(m => m.id === msg.id)));
+    await streamReply(`/chat/${currentChatId}/messages/${msg.id}/regenerate`, {
+      depth: depth,
+      webSearch: searchMode,
+      deepResearch: searchMode !== 'off' && isDeepResearch,
+      model: selectedModel || undefined
+    });
+    fetchChats();
+  };
+
+  // Show another version of a message (offset -1 / +1 among its siblings)
+  const selectVersion = async (msg, offset) => {
+    const targetId = msg.siblings?.[msg.siblings.indexOf(msg.id) + offset];
+    if (!targetId || isLoading) return;
+
+    try {
+      const res = await axios.post(`${API_URL}/chat/${currentChatId}/messages/${targetId}/select`);
+      setMessages(withTokenCounts(res.data.messages || []));
+    } catch (error) {
+      console.error("Failed to switch version", error);
+    }
+  };
+
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
   return (
     <div className="flex h-screen w-full mesh-bg text-[var(--text-primary)] overflow-hidden font-sans transition-colors duration-300">
       
@@ -249,39 +1550,189 @@ function App() {
             </motion.button>
         </div>
 
+        <div className="px-4 pb-2">
+            <div className="relative">
+                <Search size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-[var(--text-muted)]" />
+                <input
+                    type="text"
+                    value={searchQuery}
+                    onChange={(e) => setSearchQuery(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Escape' && setSearchQuery('')}
+                    placeholder="Search chats..."
+                    className="w-full bg-[var(--bg-tertiary)]/50 text-sm text-[var(--text-primary)] placeholder-[var(--text-muted)] rounded-lg py-2 pl-9 pr-8 border border-[var(--border-light)] focus:outline-none focus:border-[var(--accent)]/50 transition-colors"
+                />
+                {searchQuery && (
+                    <button
+                        onClick={() => setSearchQuery('')}
+                        className="absolute right-2 top-1/2 -translate-y-1/2 p-1 text-[var(--text-muted)] hover:text-[var(--text-primary)]"
+                        title="Clear search"
+                    >
+                        <X size={12} />
+                    </button>
+                )}
+            </div>
+        </div>
+
+        {searchResults !== null ? (
+        <div className="flex-1 overflow-y-auto px-3 py-2 space-y-1">
+            <div className="text-[10px] font-bold uppercase tracking-widest text-[var(--text-secondary)] px-3 py-2 opacity-70">
+                {searchResults.length} {searchResults.length === 1 ? 'Result' : 'Results'}
+            </div>
+            {searchResults.map(result => (
+                <button
+                    key={result.message_id}
+                    onClick={() => jumpToSearchResult(result)}
+                    className="w-full text-left px-3 py-2.5 rounded-lg hover:bg-[var(--bg-tertiary)] transition-colors"
+                >
+                    <div className="flex items-center gap-2 text-xs font-medium text-[var(--text-primary)] truncate">
+                        {result.role === 'user' ? <User size={12} className="flex-shrink-0" /> : <Bot size={12} className="flex-shrink-0 text-[var(--accent)]" />}
+                        <span className="truncate">{result.chat_title || 'New Chat'}</span>
+                    </div>
+                    <div className="mt-1 text-[11px] leading-snug text-[var(--text-secondary)] line-clamp-3">
+                        <HighlightedSnippet snippet={result.snippet} highlights={result.highlights} />
+                    </div>
+                </button>
+            ))}
+        </div>
+        ) : (
         <div className="flex-1 overflow-y-auto px-3 py-2 space-y-1">
-            <div className="text-[10px] font-bold uppercase tracking-widest text-[var(--text-secondary)] px-3 py-2 opacity-70">History</div>
+            <div className="flex items-center justify-between px-3 py-2">
+                <div className="text-[10px] font-bold uppercase tracking-widest text-[var(--text-secondary)] opacity-70">
+                    {showArchived ? 'Archived' : 'History'}
+                </div>
+                <button
+                    onClick={() => setShowArchived(!showArchived)}
+                    className="text-[10px] font-medium text-[var(--text-secondary)] hover:text-[var(--accent)] transition-colors"
+                >
+                    {showArchived ? 'Back to chats' : 'Archived'}
+                </button>
+            </div>
             {chats.map(chat => (
-                <motion.button
+                <motion.div
                     key={chat.id}
                     layout
+                    role="button"
                     whileHover={{ x: 4, backgroundColor: 'var(--bg-tertiary)' }}
                     onClick={() => {
+                        if (editingChatId === chat.id) return;
                         loadMessages(chat.id);
                         if (window.innerWidth < 768) setSidebarOpen(false);
                     }}
-                    className={`flex items-center gap-3 w-full px-3 py-3 text-sm text-left rounded-lg transition-colors truncate group relative overflow-hidden
+                    className={`flex items-center gap-3 w-full px-3 py-3 text-sm text-left rounded-lg transition-colors cursor-pointer group relative overflow-hidden
                         ${currentChatId === chat.id ? 'bg-[var(--accent)]/10 text-[var(--accent)] border border-[var(--accent)]/20' : 'text-[var(--text-secondary)] hover:text-[var(--text-primary)]'}
                     `}
                 >
-                    <MessageSquare size={16} className={currentChatId === chat.id ? "animate-pulse" : ""} />
-                    <span className="truncate relative z-10">{chat.id.slice(0, 12)}...</span>
+                    <MessageSquare size={16} className={`flex-shrink-0 ${currentChatId === chat.id ? "animate-pulse" : ""}`} />
+                    <div className="flex-1 min-w-0 relative z-10">
+                        {editingChatId === chat.id ? (
+                            <input
+                                autoFocus
+                                value={editingTitle}
+                                onChange={(e) => setEditingTitle(e.target.value)}
+                                onClick={(e) => e.stopPropagation()}
+                                onBlur={() => renameChat(chat.id)}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter') renameChat(chat.id);
+                                    if (e.key === 'Escape') setEditingChatId(null);
+                                }}
+                                className="w-full bg-[var(--bg-tertiary)] text-[var(--text-primary)] px-2 py-1 rounded-md border border-[var(--accent)]/50 focus:outline-none"
+                            />
+                        ) : (
+                            <>
+                                <div className="truncate font-medium">{chat.title || 'New Chat'}</div>
+                                {chat.last_message && (
+                                    <div className="truncate text-[11px] text-[var(--text-muted)]">{chat.last_message}</div>
+                                )}
+                            </>
+                        )}
+                    </div>
+                    {chat.pinned && editingChatId !== chat.id && (
+                        <Pin size={12} className="flex-shrink-0 text-[var(--accent)] group-hover:hidden" />
+                    )}
+                    {editingChatId !== chat.id && (
+                        <div className="relative z-10 hidden group-hover:flex items-center gap-0.5">
+                            {[
+                                { title: 'Rename chat', icon: Edit2, action: () => startRenaming(chat) },
+                                chat.pinned
+                                    ? { title: 'Unpin chat', icon: PinOff, action: () => updateChatFlags(chat, { pinned: false }) }
+                                    : { title: 'Pin chat', icon: Pin, action: () => updateChatFlags(chat, { pinned: true }) },
+                                chat.archived
+                                    ? { title: 'Unarchive chat', icon: ArchiveRestore, action: () => updateChatFlags(chat, { archived: false }) }
+                                    : { title: 'Archive chat', icon: Archive, action: () => updateChatFlags(chat, { archived: true }) },
+                                { title: 'Delete chat', icon: Trash2, action: () => deleteChat(chat), danger: true }
+                            ].map(({ title, icon: Icon, action, danger }) => (
+                                <button
+                                    key={title}
+                                    onClick={(e) => {
+                                        e.stopPropagation();
+                                        action();
+                                    }}
+                                    className={`p-1 rounded-md text-[var(--text-secondary)] transition-colors ${danger ? 'hover:text-red-500' : 'hover:text-[var(--accent)]'}`}
+                                    title={title}
+                                >
+                                    <Icon size={12} />
+                                </button>
+                            ))}
+                        </div>
+                    )}
                     {currentChatId === chat.id && <div className="absolute inset-0 bg-gradient-to-r from-[var(--accent)]/5 to-transparent" />}
-                </motion.button>
+                </motion.div>
             ))}
+            {chats.length === 0 && (
+                <div className="px-3 py-2 text-xs text-[var(--text-muted)]">
+                    {showArchived ? 'No archived chats.' : 'No chats yet.'}
+                </div>
+            )}
+            {nextCursor && (
+                <button
+                    onClick={() => fetchChats(nextCursor)}
+                    className="w-full px-3 py-2 text-xs font-medium text-[var(--text-secondary)] hover:text-[var(--accent)] rounded-lg hover:bg-[var(--bg-tertiary)] transition-colors"
+                >
+                    Load more
+                </button>
+            )}
         </div>
+        )}
 
         <div className="p-4 border-t border-[var(--border-light)]/50 bg-[var(--bg-tertiary)]/20">
-            <div className="flex items-center gap-3 p-2 rounded-xl hover:bg-[var(--bg-tertiary)] transition-colors cursor-pointer group">
+            <div className="flex items-center gap-3 p-2 rounded-xl hover:bg-[var(--bg-tertiary)] transition-colors group">
                 <div className="w-10 h-10 rounded-full bg-gradient-to-br from-[var(--accent)] to-yellow-600 text-black flex items-center justify-center font-bold shadow-[0_0_15px_rgba(234,179,8,0.3)] group-hover:scale-110 transition-transform">
-                    R
+                    {user.username.charAt(0).toUpperCase()}
                 </div>
-                <div className="flex-1">
-                    <div className="font-medium group-hover:text-[var(--accent)] transition-colors">Rahul</div>
+                <div className="flex-1 min-w-0">
+                    <div className="font-medium truncate group-hover:text-[var(--accent)] transition-colors">{user.username}</div>
                     <div className="text-xs text-[var(--text-secondary)] flex items-center gap-1">
-                        <Sparkles size={10} className="text-[var(--accent)]" /> Pro Member
+                        <Sparkles size={10} className="text-[var(--accent)]" /> Signed in
                     </div>
                 </div>
+                <button
+                    onClick={() => setShowPersonas(true)}
+                    className="p-2 rounded-lg text-[var(--text-secondary)] hover:text-[var(--accent)] hover:bg-[var(--bg-secondary)] transition-colors"
+                    title="Personas"
+                >
+                    <Bot size={16} />
+                </button>
+                <button
+                    onClick={() => setShowMemory(true)}
+                    className="p-2 rounded-lg text-[var(--text-secondary)] hover:text-[var(--accent)] hover:bg-[var(--bg-secondary)] transition-colors"
+                    title="Memory"
+                >
+                    <Brain size={16} />
+                </button>
+                <button
+                    onClick={() => setShowUsage(true)}
+                    className="p-2 rounded-lg text-[var(--text-secondary)] hover:text-[var(--accent)] hover:bg-[var(--bg-secondary)] transition-colors"
+                    title="Usage"
+                >
+                    <BarChart3 size={16} />
+                </button>
+                <button
+                    onClick={onSignOut}
+                    className="p-2 rounded-lg text-[var(--text-secondary)] hover:text-red-400 hover:bg-[var(--bg-secondary)] transition-colors"
+                    title="Sign out"
+                >
+                    <LogOut size={16} />
+                </button>
             </div>
         </div>
       </motion.aside>
@@ -361,11 +1812,12 @@ function App() {
                 ) : (
                     messages.map((msg, idx) => (
                         <motion.div 
-                            key={msg.id || idx}
+                            key={msg.clientKey || msg.id || idx}
+                            id={`message-${msg.id}`}
                             initial={{ opacity: 0, y: 20, scale: 0.98 }}
                             animate={{ opacity: 1, y: 0, scale: 1 }}
                             transition={{ duration: 0.3 }}
-                            className={`group flex gap-5 md:gap-8 ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}
+                            className={`group flex gap-5 md:gap-8 rounded-[2rem] transition-shadow duration-500 ${msg.role === 'user' ? 'justify-end' : 'justify-start'} ${highlightedMessageId === msg.id ? 'ring-2 ring-[var(--accent)]/60 ring-offset-4 ring-offset-[var(--bg-primary)]' : ''}`}
                         >
                             {msg.role !== 'user' && (
                                 <div className="w-12 h-12 rounded-2xl bg-gradient-to-br from-[var(--bg-tertiary)] to-[var(--bg-secondary)] flex items-center justify-center flex-shrink-0 text-[var(--accent)] shadow-lg border border-[var(--border-light)] mt-1">
@@ -376,6 +1828,22 @@ function App() {
                             <div className={`flex flex-col max-w-[90%] md:max-w-[85%] space-y-2 ${msg.role === 'user' ? 'items-end' : 'items-start'}`}>
                                 <div className="font-medium text-[11px] uppercase tracking-wider text-[var(--text-secondary)] mb-1 px-1 flex items-center gap-2 opacity-70">
                                     {msg.role === 'user' ? 'You' : 'Sanyai AI'}
+                                    {msg.role === 'assistant' && msg.model && (
+                                        <span className="normal-case tracking-normal font-mono text-[10px] px-1.5 py-0.5 rounded bg-[var(--bg-tertiary)] border border-[var(--border-light)]">
+                                            {models.find(m => m.id === msg.model)?.label || msg.model}
+                                        </span>
+                                    )}
+                                    {msg.role === 'assistant' && msg.depth && (
+                                        <span className="normal-case tracking-normal text-[10px] px-1.5 py-0.5 rounded bg-[var(--bg-tertiary)] border border-[var(--border-light)] flex items-center gap-1">
+                                            {msg.web_search && <Globe size={10} className="text-blue-400" />}
+                                            {msg.depth}
+                                        </span>
+                                    )}
+                                    {msg.role === 'assistant' && msg.latency_ms != null && (
+                                        <span className="normal-case tracking-normal font-mono text-[10px]">
+                                            {(msg.latency_ms / 1000).toFixed(1)}s
+                                        </span>
+                                    )}
                                 </div>
                                 
                                 <div className={`relative px-8 py-6 rounded-[2rem] text-base leading-relaxed shadow-lg transition-all duration-300 hover:shadow-2xl ${
@@ -385,7 +1853,41 @@ function App() {
                                 }`}>
                                     {msg.role === 'user' ? (
                                         <>
-                                            <div className="text-lg font-medium">{msg.content}</div>
+                                            {editingMessageId === msg.id ? (
+                                                <div className="flex flex-col gap-3 min-w-[280px] md:min-w-[480px]">
+                                                    <textarea
+                                                        autoFocus
+                                                        value={editingContent}
+                                                        onChange={(e) => setEditingContent(e.target.value)}
+                                                        onKeyDown={(e) => {
+                                                            if (e.key === 'Enter' && !e.shiftKey) {
+                                                                e.preventDefault();
+                                                                submitEdit(msg);
+                                                            }
+                                                            if (e.key === 'Escape') setEditingMessageId(null);
+                                                        }}
+                                                        rows={3}
+                                                        className="w-full bg-transparent text-lg font-medium text-[var(--text-primary)] border border-[var(--border-light)] rounded-xl p-3 outline-none focus:border-[var(--accent)] resize-y"
+                                                    />
+                                                    <div className="flex justify-end gap-2">
+                                                        <button
+                                                            onClick={() => setEditingMessageId(null)}
+                                                            className="px-4 py-1.5 text-sm rounded-full text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-[var(--bg-tertiary)] transition-colors"
+                                                        >
+                                                            Cancel
+                                                        </button>
+                                                        <button
+                                                            onClick={() => submitEdit(msg)}
+                                                            disabled={isLoading || !editingContent.trim()}
+                                                            className="px-4 py-1.5 text-sm font-bold rounded-full bg-[var(--accent)] text-black hover:opacity-90 disabled:opacity-40 transition-opacity"
+                                                        >
+                                                            Send
+                                                        </button>
+                                                    </div>
+                                                </div>
+                                            ) : (
+                                                <div className="text-lg font-medium">{msg.content}</div>
+                                            )}
                                             
                                             {/* BIG USER TOKEN DISPLAY */}
                                             {msg.tokens !== undefined && (
@@ -414,10 +1916,27 @@ function App() {
                                         <div className="glass-panel p-6 rounded-[2rem] rounded-tl-sm border border-[var(--border-light)] shadow-xl relative overflow-hidden">
                                             {/* Decorative top gradient */}
                                             <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-[var(--accent)] to-transparent opacity-50" />
+
+                                            {msg.search_queries?.length > 0 && (
+                                                <div className="mb-4 flex flex-wrap items-center gap-1.5 text-xs text-[var(--text-muted)]">
+                                                    <Search size={12} />
+                                                    <span>Searched for:</span>
+                                                    {msg.search_queries.map(query => (
+                                                        <span key={query} className="px-2 py-0.5 rounded-full bg-[var(--bg-tertiary)] border border-[var(--border-light)] text-[var(--text-secondary)]">
+                                                            {query}
+                                                        </span>
+                                                    ))}
+                                                </div>
+                                            )}
                                             
                                             <ReactMarkdown 
                                                 remarkPlugins={[remarkGfm]}
                                                 components={{
+                                                    a({node, href, children, ...props}) {
+                                                        const source = href?.startsWith('#cite-') && msg.sources?.find(s => `#cite-${s.id}` === href);
+                                                        if (source) return <Citation source={source} />;
+                                                        return <a href={href} {...props}>{children}</a>;
+                                                    },
                                                     code({node, inline, className, children, ...props}) {
                                                         const match = /language-(\w+)/.exec(className || '')
                                                         return !inline && match ? (
@@ -454,8 +1973,18 @@ function App() {
                                                     }
                                                 }}
                                             >
-                                                {msg.content}
+                                                {linkCitations(msg.content, msg.sources)}
                                             </ReactMarkdown>
+                                            {msg.sources?.length > 0 && !msg.streaming && <SourceCards sources={msg.sources} />}
+                                            {msg.document_sources?.length > 0 && !msg.streaming && <DocumentSources sources={msg.document_sources} />}
+                                            {msg.streaming && (
+                                                <span className="inline-block w-2 h-5 ml-1 align-middle bg-[var(--accent)] animate-pulse rounded-sm" />
+                                            )}
+                                            {msg.stopped && (
+                                                <div className="mt-4 text-xs text-[var(--text-muted)] flex items-center gap-1">
+                                                    <Square size={10} /> Generation stopped
+                                                </div>
+                                            )}
                                         </div>
                                         
                                         {/* BIG RESPONSE TOKEN DISPLAY */}
@@ -503,24 +2032,59 @@ function App() {
                                 </div>
                                 
                                 {/* Action Bar */}
-                                <div className={`flex items-center gap-2 px-4 opacity-0 group-hover:opacity-100 transition-opacity duration-300 ${msg.role === 'user' ? 'flex-row-reverse' : 'flex-row'}`}>
-                                    <button 
-                                        onClick={() => handleCopy(msg.content, msg.id)}
-                                        className="p-2 text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-[var(--bg-tertiary)] rounded-full transition-colors border border-transparent hover:border-[var(--border-light)]"
-                                        title="Copy text"
-                                    >
-                                        {copiedId === msg.id ? <Check size={14} className="text-green-500" /> : <Copy size={14} />}
-                                    </button>
-                                    
-                                    {msg.role === 'user' && (
+                                <div className={`flex items-center gap-2 px-4 ${msg.role === 'user' ? 'flex-row-reverse' : 'flex-row'}`}>
+                                    {msg.siblings?.length > 1 && (
+                                        <div className="flex items-center gap-1 text-xs font-mono text-[var(--text-secondary)]">
+                                            <button
+                                                onClick={() => selectVersion(msg, -1)}
+                                                disabled={isLoading || msg.siblings.indexOf(msg.id) === 0}
+                                                className="p-1 rounded-full hover:bg-[var(--bg-tertiary)] hover:text-[var(--text-primary)] disabled:opacity-30 transition-colors"
+                                                title="Previous version"
+                                            >
+                                                <ChevronLeft size={14} />
+                                            </button>
+                                            <span>{msg.siblings.indexOf(msg.id) + 1}/{msg.siblings.length}</span>
+                                            <button
+                                                onClick={() => selectVersion(msg, 1)}
+                                                disabled={isLoading || msg.siblings.indexOf(msg.id) === msg.siblings.length - 1}
+                                                className="p-1 rounded-full hover:bg-[var(--bg-tertiary)] hover:text-[var(--text-primary)] disabled:opacity-30 transition-colors"
+                                                title="Next version"
+                                            >
+                                                <ChevronRight size={14} />
+                                            </button>
+                                        </div>
+                                    )}
+                                    <div className={`flex items-center gap-2 opacity-0 group-hover:opacity-100 transition-opacity duration-300 ${msg.role === 'user' ? 'flex-row-reverse' : 'flex-row'}`}>
                                         <button 
-                                            onClick={() => handleEdit(msg.content)}
+                                            onClick={() => handleCopy(msg.content, msg.id)}
                                             className="p-2 text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-[var(--bg-tertiary)] rounded-full transition-colors border border-transparent hover:border-[var(--border-light)]"
-                                            title="Edit request"
+                                            title="Copy text"
                                         >
-                                            <Edit2 size={14} />
+                                            {copiedId === msg.id ? <Check size={14} className="text-green-500" /> : <Copy size={14} />}
                                         </button>
-                                    )}
+                                    
+                                        {msg.role === 'assistant' && !msg.isError && !msg.streaming && currentChatId && (
+                                            <button 
+                                                onClick={() => regenerateMessage(msg)}
+                                                disabled={isLoading}
+                                                className="p-2 text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-[var(--bg-tertiary)] rounded-full transition-colors border border-transparent hover:border-[var(--border-light)] disabled:opacity-40"
+                                                title="Regenerate response"
+                                            >
+                                                <RefreshCw size={14} />
+                                            </button>
+                                        )}
+
+                                        {msg.role === 'user' && (
+                                            <button 
+                                                onClick={() => handleEdit(msg)}
+                                                disabled={isLoading}
+                                                className="p-2 text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-[var(--bg-tertiary)] rounded-full transition-colors border border-transparent hover:border-[var(--border-light)]"
+                                                title="Edit request"
+                                            >
+                                                <Edit2 size={14} />
+                                            </button>
+                                        )}
+                                    </div>
                                 </div>
                             </div>
 
@@ -534,7 +2098,7 @@ function App() {
                 )}
                 </AnimatePresence>
                 
-                {isLoading && (
+                {isLoading && !isStreaming && (
                     <motion.div 
                         initial={{ opacity: 0, y: 10 }}
                         animate={{ opacity: 1, y: 0 }}
@@ -544,7 +2108,9 @@ function App() {
                              <Bot size={24} />
                         </div>
                         <div className="glass-panel px-6 py-4 rounded-3xl rounded-tl-sm flex items-center space-x-2">
-                            <span className="text-sm font-medium text-[var(--text-secondary)] mr-2">Thinking</span>
+                            <span className="text-sm font-medium text-[var(--text-secondary)] mr-2">
+                                {pendingSearch ? `Searching for ${pendingSearch.map(q => `“${q}”`).join(', ')}` : 'Thinking'}
+                            </span>
                             <div className="typing-dot bg-[var(--accent)]"></div>
                             <div className="typing-dot bg-[var(--accent)]"></div>
                             <div className="typing-dot bg-[var(--accent)]"></div>
@@ -579,25 +2145,86 @@ function App() {
                         ))}
                     </div>
 
+                    {personas.length > 0 && (
+                        <div className="glass-panel p-1 rounded-xl flex items-center gap-1 border border-[var(--border-light)] shadow-lg">
+                            <Bot size={14} className="ml-2 text-[var(--text-secondary)]" />
+                            <select
+                                value={personaId || ''}
+                                onChange={(e) => selectPersona(e.target.value)}
+                                disabled={isLoading}
+                                className="bg-transparent text-xs font-medium text-[var(--text-primary)] px-2 py-1.5 rounded-lg focus:outline-none cursor-pointer max-w-[10rem]"
+                                title="Persona"
+                            >
+                                <option value="" className="bg-[var(--bg-secondary)]">Sanyai (default)</option>
+                                {personas.map(p => (
+                                    <option key={p.id} value={p.id} className="bg-[var(--bg-secondary)]">
+                                        {p.name}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    {models.length > 0 && (
+                        <div className="glass-panel p-1 rounded-xl flex items-center gap-1 border border-[var(--border-light)] shadow-lg">
+                            <Cpu size={14} className="ml-2 text-[var(--text-secondary)]" />
+                            <select
+                                value={selectedModel}
+                                onChange={(e) => setSelectedModel(e.target.value)}
+                                className="bg-transparent text-xs font-medium text-[var(--text-primary)] px-2 py-1.5 rounded-lg focus:outline-none cursor-pointer"
+                                title="Model"
+                            >
+                                {models.map(m => (
+                                    <option key={m.id} value={m.id} className="bg-[var(--bg-secondary)]">
+                                        {m.label}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
                     <motion.button
-                        onClick={() => setIsWebSearch(!isWebSearch)}
+                        onClick={() => setSearchMode(SEARCH_MODES[(SEARCH_MODES.indexOf(searchMode) + 1) % SEARCH_MODES.length])}
                         whileHover={{ scale: 1.05 }}
                         whileTap={{ scale: 0.95 }}
                         className={`
                             px-4 py-2 rounded-xl transition-all duration-300 flex items-center gap-2 shadow-lg border
-                            ${isWebSearch
+                            ${searchMode === 'always'
                                 ? 'bg-blue-600 text-white border-blue-400 shadow-[0_0_15px_rgba(37,99,235,0.4)]'
-                                : 'bg-[var(--bg-tertiary)] text-[var(--text-secondary)] border-[var(--border-light)] hover:text-[var(--text-primary)]'
+                                : searchMode === 'auto'
+                                    ? 'bg-blue-600/20 text-blue-300 border-blue-400/60'
+                                    : 'bg-[var(--bg-tertiary)] text-[var(--text-secondary)] border-[var(--border-light)] hover:text-[var(--text-primary)]'
                             }
                         `}
-                        title="Toggle Web Search"
+                        title="Web Search: Off (never), Auto (the model decides) or Always. Click to switch."
                     >
-                        <Globe size={18} className={isWebSearch ? "animate-pulse" : ""} />
-                        <span className="text-xs font-bold uppercase tracking-wide">Web Search</span>
+                        <Globe size={18} className={searchMode === 'always' ? "animate-pulse" : ""} />
+                        <span className="text-xs font-bold uppercase tracking-wide">Web: {searchMode}</span>
                     </motion.button>
 
+                    {searchMode !== 'off' && (
+                        <motion.button
+                            onClick={() => setIsDeepResearch(!isDeepResearch)}
+                            initial={{ opacity: 0, scale: 0.9 }}
+                            animate={{ opacity: 1, scale: 1 }}
+                            whileHover={{ scale: 1.05 }}
+                            whileTap={{ scale: 0.95 }}
+                            className={`
+                                px-3 py-2 rounded-xl transition-all duration-300 flex items-center gap-2 shadow-lg border
+                                ${isDeepResearch
+                                    ? 'bg-blue-600/20 text-blue-300 border-blue-400/60'
+                                    : 'bg-[var(--bg-tertiary)] text-[var(--text-secondary)] border-[var(--border-light)] hover:text-[var(--text-primary)]'
+                                }
+                            `}
+                            title="Deep Research: read the top result pages, not just their snippets (slower)"
+                        >
+                            <BookOpen size={16} />
+                            <span className="text-xs font-bold uppercase tracking-wide">Deep</span>
+                        </motion.button>
+                    )}
+
                     <motion.button
-                        onClick={handleSmartPrompt}
+                        onClick={() => handleSmartPrompt({ answers: [] })}
                         disabled={!input.trim() || isSmartPromptLoading}
                         whileHover={{ scale: 1.05 }}
                         whileTap={{ scale: 0.95 }}
@@ -642,7 +2269,37 @@ function App() {
                                     </button>
                                 </div>
 
-                                <div className="grid md:grid-cols-2 gap-6">
+                                <div className="flex flex-wrap items-center gap-2 mb-4">
+                                    {SMART_PROMPT_MODES.map(([mode, label]) => (
+                                        <button
+                                            key={mode}
+                                            onClick={() => handleSmartPrompt({ mode })}
+                                            disabled={isSmartPromptLoading}
+                                            className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors disabled:opacity-50 ${
+                                                smartPromptData.mode === mode
+                                                    ? 'bg-[var(--accent)] text-black border-transparent'
+                                                    : 'bg-[var(--bg-tertiary)] text-[var(--text-secondary)] border-[var(--border-light)] hover:text-[var(--text-primary)]'
+                                            }`}
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                    {currentChatId && (
+                                        <label className="ml-auto flex items-center gap-2 text-xs text-[var(--text-secondary)] cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={smartPromptUsesHistory}
+                                                onChange={(e) => handleSmartPrompt({ useHistory: e.target.checked })}
+                                                disabled={isSmartPromptLoading}
+                                                className="accent-[var(--accent)]"
+                                            />
+                                            Use chat history
+                                        </label>
+                                    )}
+                                    {isSmartPromptLoading && <Loader2 size={14} className="animate-spin text-[var(--accent)]" />}
+                                </div>
+
+                                <div className={`grid md:grid-cols-2 gap-6 transition-opacity ${isSmartPromptLoading ? 'opacity-50' : ''}`}>
                                     {/* Issues Column */}
                                     <div className="space-y-3">
                                         <h4 className="text-xs font-bold uppercase tracking-wider text-[var(--text-secondary)]">Issues Detected</h4>
@@ -661,6 +2318,50 @@ function App() {
                                                 <span>No major issues detected.</span>
                                             </div>
                                         )}
+
+                                        {smartPromptData.questions.length > 0 && (
+                                            <div className="space-y-3 pt-2">
+                                                <h4 className="text-xs font-bold uppercase tracking-wider text-[var(--text-secondary)]">Clarify</h4>
+                                                {smartPromptData.questions.map((q, idx) => (
+                                                    <div key={idx} className="space-y-1.5">
+                                                        <div className="text-sm text-[var(--text-primary)]">{q.question}</div>
+                                                        {q.options.length > 0 && (
+                                                            <div className="flex flex-wrap gap-1.5">
+                                                                {q.options.map(option => (
+                                                                    <button
+                                                                        key={option}
+                                                                        onClick={() => setSmartPromptAnswers(prev => ({ ...prev, [idx]: option }))}
+                                                                        className={`px-2 py-0.5 rounded-full text-xs border transition-colors ${
+                                                                            smartPromptAnswers[idx] === option
+                                                                                ? 'border-[var(--accent)] text-[var(--accent)]'
+                                                                                : 'border-[var(--border-light)] text-[var(--text-secondary)] hover:text-[var(--text-primary)]'
+                                                                        }`}
+                                                                    >
+                                                                        {option}
+                                                                    </button>
+                                                                ))}
+                                                            </div>
+                                                        )}
+                                                        <input
+                                                            value={smartPromptAnswers[idx] || ''}
+                                                            onChange={(e) => setSmartPromptAnswers(prev => ({ ...prev, [idx]: e.target.value }))}
+                                                            onKeyDown={(e) => e.key === 'Enter' && answerSmartPrompt()}
+                                                            placeholder="Your answer"
+                                                            maxLength={500}
+                                                            className="w-full bg-[var(--bg-tertiary)] border border-[var(--border-light)] rounded-lg px-2 py-1 text-sm outline-none focus:border-[var(--accent)]"
+                                                        />
+                                                    </div>
+                                                ))}
+                                                <button
+                                                    onClick={answerSmartPrompt}
+                                                    disabled={isSmartPromptLoading || !Object.values(smartPromptAnswers).some(a => a.trim())}
+                                                    className="px-3 py-1.5 rounded-lg text-xs font-bold bg-[var(--bg-tertiary)] text-[var(--text-primary)] border border-[var(--border-light)] hover:border-[var(--accent)] disabled:opacity-50 transition-all flex items-center gap-2"
+                                                >
+                                                    <RefreshCw size={12} />
+                                                    Rewrite with answers
+                                                </button>
+                                            </div>
+                                        )}
                                         
                                         <div className="mt-4 p-3 rounded-xl bg-[var(--bg-tertiary)] border border-[var(--border-light)]">
                                             <div className="flex justify-between text-xs text-[var(--text-secondary)] mb-1">
@@ -676,14 +2377,32 @@ function App() {
                                                     {Math.round((1 - smartPromptData.optimizedTokens / smartPromptData.originalTokens) * 100)}% reduction
                                                 </div>
                                             )}
+                                            {smartPromptData.usedHistory && (
+                                                <div className="mt-1 text-[10px] text-[var(--text-muted)] text-right">
+                                                    Rewritten with this chat's recent messages
+                                                </div>
+                                            )}
+                                            {smartPromptData.cached && (
+                                                <div className="mt-1 text-[10px] text-[var(--text-muted)] text-right">
+                                                    Cached result from {new Date(smartPromptData.cachedAt).toLocaleString()}
+                                                </div>
+                                            )}
                                         </div>
                                     </div>
 
                                     {/* Optimization Column */}
                                     <div className="space-y-3 flex flex-col">
-                                        <h4 className="text-xs font-bold uppercase tracking-wider text-[var(--text-secondary)]">Suggested Prompt</h4>
-                                        <div className="flex-1 p-3 rounded-xl bg-[var(--bg-tertiary)] border border-[var(--accent)]/20 text-[var(--text-primary)] text-sm leading-relaxed overflow-y-auto max-h-[200px] custom-scrollbar">
-                                            {smartPromptData.optimizedPrompt}
+                                        <div className="flex items-center justify-between">
+                                            <h4 className="text-xs font-bold uppercase tracking-wider text-[var(--text-secondary)]">Suggested Prompt</h4>
+                                            <button
+                                                onClick={() => setShowPromptDiff(prev => !prev)}
+                                                className="text-xs text-[var(--text-secondary)] hover:text-[var(--accent)] transition-colors"
+                                            >
+                                                {showPromptDiff ? 'Hide changes' : 'Show changes'}
+                                            </button>
+                                        </div>
+                                        <div className="flex-1 p-3 rounded-xl bg-[var(--bg-tertiary)] border border-[var(--accent)]/20 text-[var(--text-primary)] text-sm leading-relaxed overflow-y-auto max-h-[300px] custom-scrollbar">
+                                            {showPromptDiff ? <PromptDiff parts={smartPromptData.diff} /> : smartPromptData.optimizedPrompt}
                                         </div>
                                     </div>
                                 </div>
@@ -733,6 +2452,9 @@ function App() {
                                     <span className="text-lg font-mono font-bold text-[var(--accent)] drop-shadow-[0_0_5px_rgba(234,179,8,0.5)]">
                                         {estimatedTokens}
                                     </span>
+                                    {estimatedTokens > LONG_INPUT_TOKENS && (
+                                        <span className="mt-1 text-[9px] text-[var(--text-secondary)]">Long text? Attach it as a file instead</span>
+                                    )}
                                 </div>
                                 <div className="w-8 h-8 rounded-full bg-[var(--accent)] text-black flex items-center justify-center animate-pulse">
                                     <Zap size={16} fill="black" />
@@ -742,7 +2464,75 @@ function App() {
                     )}
                 </AnimatePresence>
 
+                {smartPromptError && (
+                    <div className="mb-3 flex items-center gap-2 px-3 py-1.5 rounded-xl border border-red-500/30 bg-red-500/10 text-xs text-red-400">
+                        <AlertTriangle size={14} />
+                        <span className="flex-1">{smartPromptError}</span>
+                        <button onClick={() => setSmartPromptError(null)} className="hover:text-red-300">
+                            <X size={14} />
+                        </button>
+                    </div>
+                )}
+
+                {(attachments.length > 0 || isUploading || uploadError || uploadWarnings.length > 0) && (
+                    <div className="mb-3 flex flex-wrap items-center gap-2">
+                        {attachments.map(attachment => (
+                            <div
+                                key={attachment.id}
+                                className="flex items-center gap-2 pl-3 pr-1.5 py-1.5 rounded-xl glass-panel border border-[var(--border-light)] text-xs"
+                                title={`${attachment.token_count.toLocaleString()} tokens, ${attachment.chunk_count} chunks`}
+                            >
+                                <FileText size={14} className="text-[var(--accent)] flex-shrink-0" />
+                                <span className="max-w-[12rem] truncate text-[var(--text-primary)]">{attachment.filename}</span>
+                                <span className="text-[var(--text-muted)] font-mono">
+                                    {attachment.page_count ? `${attachment.page_count}p` : `${attachment.token_count.toLocaleString()}t`}
+                                </span>
+                                <button
+                                    type="button"
+                                    onClick={() => removeAttachment(attachment)}
+                                    className="p-0.5 rounded-md text-[var(--text-muted)] hover:text-red-400 hover:bg-[var(--bg-tertiary)] transition-colors"
+                                    title="Remove file"
+                                >
+                                    <X size={12} />
+                                </button>
+                            </div>
+                        ))}
+                        {isUploading && (
+                            <div className="flex items-center gap-2 px-3 py-1.5 rounded-xl glass-panel border border-[var(--border-light)] text-xs text-[var(--text-secondary)]">
+                                <Loader2 size={14} className="animate-spin" /> Reading file...
+                            </div>
+                        )}
+                        {uploadError && (
+                            <div className="flex items-center gap-2 px-3 py-1.5 rounded-xl border border-red-500/30 bg-red-500/10 text-xs text-red-400">
+                                <AlertTriangle size={14} /> {uploadError}
+                            </div>
+                        )}
+                        {uploadWarnings.map(warning => (
+                            <div key={warning} className="flex items-center gap-2 px-3 py-1.5 rounded-xl border border-yellow-500/30 bg-yellow-500/10 text-xs text-yellow-400">
+                                <AlertTriangle size={14} /> {warning}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
                 <form onSubmit={sendMessage} className="relative">
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        multiple
+                        accept={ATTACHMENT_TYPES}
+                        onChange={(e) => uploadFiles([...e.target.files])}
+                        className="hidden"
+                    />
+                    <button
+                        type="button"
+                        onClick={() => fileInputRef.current?.click()}
+                        disabled={isUploading || isLoading}
+                        className="absolute left-3 top-1/2 -translate-y-1/2 p-2 rounded-xl text-[var(--text-secondary)] hover:text-[var(--accent)] hover:bg-[var(--bg-secondary)] transition-colors disabled:opacity-50 z-10"
+                        title="Attach files (PDF, Markdown, text, code)"
+                    >
+                        <Paperclip size={20} />
+                    </button>
                     <input
                         ref={inputRef}
                         type="text"
@@ -751,7 +2541,7 @@ function App() {
                         placeholder="Message Sanyai..."
                         className="
                             w-full bg-[var(--bg-tertiary)] text-[var(--text-primary)] 
-                            rounded-[1.5rem] py-5 pl-8 pr-16 
+                            rounded-[1.5rem] py-5 pl-14 pr-16 
                             focus:outline-none input-focus-glow 
                             placeholder-[var(--text-muted)] border border-[var(--border-light)] 
                             focus:border-[var(--accent)]/50 transition-all duration-300 
@@ -759,6 +2549,18 @@ function App() {
                         "
                         disabled={isLoading}
                     />
+                    {isLoading ? (
+                    <motion.button
+                        type="button"
+                        onClick={stopGeneration}
+                        whileHover={{ scale: 1.1 }}
+                        whileTap={{ scale: 0.9 }}
+                        className="absolute right-3 top-1/2 -translate-y-1/2 p-3 rounded-xl transition-all duration-300 bg-[var(--bg-secondary)] text-[var(--text-primary)] border border-[var(--border-light)] hover:border-[var(--accent)]"
+                        title="Stop generating"
+                    >
+                        <Square size={20} className="fill-current" />
+                    </motion.button>
+                    ) : (
                     <motion.button
                         type="submit"
                         disabled={!input.trim() || isLoading}
@@ -775,16 +2577,52 @@ function App() {
                     >
                         <Send size={20} className={!input.trim() ? "" : "fill-current"} />
                     </motion.button>
+                    )}
                 </form>
                 
-                <div className="text-center mt-4">
+                <div className="flex items-center justify-center gap-4 mt-4">
                     <p className="text-[10px] text-[var(--text-muted)] font-medium tracking-wide">
                         Sanyai can make mistakes. Verify important info.
                     </p>
+                    {quota?.daily?.limit && (
+                        <div
+                            className="flex items-center gap-2 text-[10px] font-mono text-[var(--text-muted)]"
+                            title={`Daily: ${quota.daily.used.toLocaleString()} / ${quota.daily.limit.toLocaleString()} tokens` +
+                                (quota.monthly?.limit ? `\nMonthly: ${quota.monthly.used.toLocaleString()} / ${quota.monthly.limit.toLocaleString()} tokens` : '')}
+                        >
+                            <Zap size={10} className={quota.daily.remaining < quota.daily.limit * 0.1 ? 'text-red-400' : 'text-[var(--accent)]'} />
+                            <div className="w-16 h-1 rounded-full bg-[var(--bg-tertiary)] overflow-hidden">
+                                <div
+                                    className={`h-full rounded-full ${quota.daily.remaining < quota.daily.limit * 0.1 ? 'bg-red-400' : 'bg-[var(--accent)]'}`}
+                                    style={{ width: `${Math.min(100, (quota.daily.used / quota.daily.limit) * 100)}%` }}
+                                />
+                            </div>
+                            <span>{quota.daily.remaining.toLocaleString()} tokens left today</span>
+                        </div>
+                    )}
                 </div>
             </div>
         </div>
       </main>
+      <AnimatePresence>
+        {showUsage && (
+          <UsageDashboard
+            onClose={() => setShowUsage(false)}
+            onOpenChat={(id) => { setShowUsage(false); loadMessages(id); }}
+          />
+        )}
+        {showMemory && <MemoryPanel onClose={() => setShowMemory(false)} />}
+        {showPersonas && (
+          <PersonaEditor
+            personas={personas}
+            models={models}
+            defaultSystemPrompt={defaultSystemPrompt}
+            onClose={() => setShowPersonas(false)}
+            onChange={updatePersonas}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Debug Info Overlay */}
       <div className="fixed bottom-1 right-1 text-[10px] text-gray-500 opacity-30 hover:opacity-100 pointer-events-none z-50">
         API: {API_URL}
@@ -1,21 +1,239 @@
-
 -- Enable UUID extension
 create extension if not exists "uuid-ossp";
 
+-- Accounts for AUTH_BACKEND=local (with AUTH_BACKEND=supabase, users live in Supabase Auth instead)
+create table users (
+  id uuid primary key default uuid_generate_v4(),
+  username text not null unique,
+  password_hash text not null,  -- scrypt, see server/auth/localAuth.js
+  created_at timestamp with time zone default now()
+);
+
+-- Personas: a user's own assistants, with the system prompt and turn defaults of the chats that use them
+create table personas (
+  id uuid primary key default uuid_generate_v4(),
+  user_id uuid not null,
+  name text not null,
+  system_prompt text not null,
+  model text,                  -- defaults for the chat's turns; null: the request's or the server's
+  depth text check (depth in ('Concise', 'Short', 'Medium', 'Large')),
+  web_search text check (web_search in ('off', 'auto', 'always')),
+  created_at timestamp with time zone default now(),
+  updated_at timestamp with time zone default now()
+);
+
 -- Create chats table
 create table chats (
   id uuid primary key default uuid_generate_v4(),
-  created_at timestamp with time zone default now()
+  user_id uuid not null,       -- owner: users.id or the Supabase Auth user id
+  title text,
+  pinned boolean not null default false,
+  archived boolean not null default false,
+  summary text,                -- running summary of turns folded out of the context window
+  summary_through uuid,        -- last message included in the summary
+  current_leaf_id uuid,        -- tip of the active branch (see server/conversation.js)
+  persona_id uuid references personas(id) on delete set null,  -- null: the default Sanyai persona
+  created_at timestamp with time zone default now(),
+  updated_at timestamp with time zone default now()
 );
 
 -- Create messages table
 create table messages (
   id uuid primary key default uuid_generate_v4(),
   chat_id uuid references chats(id) on delete cascade not null,
+  parent_id uuid references messages(id) on delete cascade,  -- previous message; versions share a parent
   role text not null check (role in ('user', 'assistant')),
   content text not null,
+  model text,                  -- model that produced an assistant message
+  depth text,                  -- response depth requested for an assistant message
+  web_search boolean not null default false,
+  input_tokens integer,
+  output_tokens integer,
+  latency_ms integer,
+  sources jsonb not null default '[]',  -- web search sources used for an assistant message
+  search_queries jsonb not null default '[]',  -- web search queries generated for an assistant message
+  document_sources jsonb not null default '[]',  -- attached file excerpts (file, page/lines) an assistant message was given
+  content_tsv tsvector generated always as (to_tsvector('english', content)) stored,
+  created_at timestamp with time zone default now()
+);
+
+-- Tokens used per user and period ('day:YYYY-MM-DD', 'month:YYYY-MM'), for quotas
+create table token_usage (
+  user_id uuid not null,
+  period text not null,
+  tokens bigint not null default 0,
+  primary key (user_id, period)
+);
+
+-- Usage ledger: one row per model call (see server/usage.js)
+create table usage_events (
+  id uuid primary key default uuid_generate_v4(),
+  user_id uuid not null,
+  chat_id uuid references chats(id) on delete set null,
+  kind text not null,          -- chat, web_search, router, query_plan, smart_prompt, title, summary, memory
+  model text not null,
+  input_tokens integer not null default 0,
+  output_tokens integer not null default 0,
+  cost numeric(12, 6) not null default 0,  -- estimated USD
+  latency_ms integer,
+  created_at timestamp with time zone default now()
+);
+
+-- Response cache, when CACHE_BACKEND=storage (see server/cache.js)
+create table cache_entries (
+  key text primary key,        -- namespace + hash of the request
+  namespace text not null,     -- search, smart_prompt
+  label text,                  -- readable hint (query or prompt), for inspection
+  value jsonb not null,
+  created_at timestamp with time zone default now(),
+  expires_at timestamp with time zone not null
+);
+
+-- Per-user settings (long-term memory is opt-in)
+create table user_settings (
+  user_id uuid primary key,
+  memory_enabled boolean not null default false,
+  updated_at timestamp with time zone default now()
+);
+
+-- Long-term memory: facts and preferences learned about a user, shared by all their chats (see server/memory.js)
+create table memories (
+  id uuid primary key default uuid_generate_v4(),
+  user_id uuid not null,
+  content text not null,
+  kind text not null check (kind in ('fact', 'preference')),
+  source_chat_id uuid references chats(id) on delete set null,  -- chat it was learned in
+  created_at timestamp with time zone default now(),
+  updated_at timestamp with time zone default now()
+);
+
+-- Files attached to a chat, as extracted text split into chunks (see server/documents/index.js)
+create table documents (
+  id uuid primary key default uuid_generate_v4(),
+  chat_id uuid references chats(id) on delete cascade not null,
+  user_id uuid not null,
+  filename text not null,
+  kind text not null,          -- pdf, markdown, text, code
+  size_bytes integer not null,
+  page_count integer,          -- PDFs only
+  token_count integer not null,
+  chunk_count integer not null,
   created_at timestamp with time zone default now()
 );
 
+create table document_chunks (
+  id uuid primary key default uuid_generate_v4(),
+  document_id uuid references documents(id) on delete cascade not null,
+  chat_id uuid not null,
+  position integer not null,   -- order within the document
+  page integer,                -- PDF page
+  start_line integer,          -- line range in text and code files
+  end_line integer,
+  content text not null,
+  token_count integer not null
+);
+
 -- Create index for faster queries
 create index idx_messages_chat_id on messages(chat_id);
+create index idx_messages_parent_id on messages(parent_id);
+create index idx_documents_chat_id on documents(chat_id);
+create index idx_memories_user_id on memories(user_id, created_at);
+create index idx_personas_user_id on personas(user_id, created_at);
+create index idx_document_chunks_chat_id on document_chunks(chat_id, position);
+create index idx_chats_listing on chats(user_id, archived, pinned, updated_at desc, id desc);
+create index idx_messages_content_tsv on messages using gin(content_tsv);
+create index idx_usage_events_user on usage_events(user_id, created_at);
+
+-- Sidebar listing: chats with their message count and a preview of the latest message
+create or replace view chat_overview as
+select
+  c.*,
+  (select count(*) from messages m where m.chat_id = c.id) as message_count,
+  (select left(m.content, 120) from messages m where m.chat_id = c.id order by m.created_at desc limit 1) as last_message
+from chats c;
+
+-- Full-text search over message content, ranked, with ⟦highlighted⟧ snippets
+create or replace function search_messages(search_query text, owner uuid, max_results int default 20)
+returns table (
+  message_id uuid,
+  chat_id uuid,
+  chat_title text,
+  role text,
+  created_at timestamp with time zone,
+  rank real,
+  headline text
+)
+language sql stable as $$
+  select
+    m.id,
+    m.chat_id,
+    c.title,
+    m.role,
+    m.created_at,
+    ts_rank(m.content_tsv, q) as rank,
+    ts_headline('english', m.content, q, 'StartSel=⟦, StopSel=⟧, MinWords=15, MaxWords=35, MaxFragments=1')
+  from messages m
+  join chats c on c.id = m.chat_id
+  cross join websearch_to_tsquery('english', search_query) q
+  where m.content_tsv @@ q
+    and c.user_id = owner
+  order by rank desc, m.created_at desc
+  limit max_results;
+$$;
+
+-- Atomically add tokens to several period counters
+create or replace function add_token_usage(owner uuid, periods text[], amount bigint)
+returns void
+language sql as $$
+  insert into token_usage (user_id, period, tokens)
+  select owner, p, amount from unnest(periods) as p
+  on conflict (user_id, period) do update set tokens = token_usage.tokens + excluded.tokens;
+$$;
+
+-- Upgrading an existing database: run these before recreating the view above
+-- alter table chats add column if not exists title text;
+-- alter table chats add column if not exists updated_at timestamp with time zone default now();
+-- alter table chats add column if not exists pinned boolean not null default false;
+-- alter table chats add column if not exists archived boolean not null default false;
+-- create index if not exists idx_chats_listing on chats(archived, pinned, updated_at desc, id desc);
+-- alter table chats add column if not exists summary text;
+-- alter table chats add column if not exists summary_through uuid;
+-- alter table messages add column if not exists model text;
+-- alter table chats add column if not exists current_leaf_id uuid;
+-- alter table messages add column if not exists parent_id uuid references messages(id) on delete cascade;
+-- create index if not exists idx_messages_parent_id on messages(parent_id);
+-- update messages m set parent_id = prev.prev_id from (
+--   select id, lag(id) over (partition by chat_id order by created_at) as prev_id from messages
+-- ) prev where prev.id = m.id and m.parent_id is null;
+-- alter table messages add column if not exists content_tsv tsvector generated always as (to_tsvector('english', content)) stored;
+-- create index if not exists idx_messages_content_tsv on messages using gin(content_tsv);
+-- create table if not exists users (id uuid primary key default uuid_generate_v4(), username text not null unique, password_hash text not null, created_at timestamp with time zone default now());
+-- alter table chats add column if not exists user_id uuid;
+-- update chats set user_id = '<owner user id>' where user_id is null;  -- existing chats belong to nobody until assigned
+-- alter table chats alter column user_id set not null;
+-- drop index if exists idx_chats_listing;
+-- create index idx_chats_listing on chats(user_id, archived, pinned, updated_at desc, id desc);
+-- drop function if exists search_messages(text, int);
+-- create table if not exists token_usage (user_id uuid not null, period text not null, tokens bigint not null default 0, primary key (user_id, period));
+-- create table if not exists usage_events (id uuid primary key default uuid_generate_v4(), user_id uuid not null, chat_id uuid references chats(id) on delete set null, kind text not null, model text not null, input_tokens integer not null default 0, output_tokens integer not null default 0, cost numeric(12, 6) not null default 0, latency_ms integer, created_at timestamp with time zone default now());
+-- create index if not exists idx_usage_events_user on usage_events(user_id, created_at);
+-- alter table messages add column if not exists depth text;
+-- alter table messages add column if not exists web_search boolean not null default false;
+-- alter table messages add column if not exists input_tokens integer;
+-- alter table messages add column if not exists output_tokens integer;
+-- alter table messages add column if not exists latency_ms integer;
+-- alter table messages add column if not exists sources jsonb not null default '[]';
+-- alter table messages add column if not exists search_queries jsonb not null default '[]';
+-- create table if not exists cache_entries (key text primary key, namespace text not null, label text, value jsonb not null, created_at timestamp with time zone default now(), expires_at timestamp with time zone not null);
+-- alter table messages add column if not exists document_sources jsonb not null default '[]';
+-- create table if not exists documents (id uuid primary key default uuid_generate_v4(), chat_id uuid references chats(id) on delete cascade not null, user_id uuid not null, filename text not null, kind text not null, size_bytes integer not null, page_count integer, token_count integer not null, chunk_count integer not null, created_at timestamp with time zone default now());
+-- create table if not exists document_chunks (id uuid primary key default uuid_generate_v4(), document_id uuid references documents(id) on delete cascade not null, chat_id uuid not null, position integer not null, page integer, start_line integer, end_line integer, content text not null, token_count integer not null);
+-- create index if not exists idx_documents_chat_id on documents(chat_id);
+-- create index if not exists idx_document_chunks_chat_id on document_chunks(chat_id, position);
+-- create table if not exists user_settings (user_id uuid primary key, memory_enabled boolean not null default false, updated_at timestamp with time zone default now());
+-- create table if not exists memories (id uuid primary key default uuid_generate_v4(), user_id uuid not null, content text not null, kind text not null check (kind in ('fact', 'preference')), source_chat_id uuid references chats(id) on delete set null, created_at timestamp with time zone default now(), updated_at timestamp with time zone default now());
+-- create index if not exists idx_memories_user_id on memories(user_id, created_at);
+-- create table if not exists personas (id uuid primary key default uuid_generate_v4(), user_id uuid not null, name text not null, system_prompt text not null, model text, depth text check (depth in ('Concise', 'Short', 'Medium', 'Large')), web_search text check (web_search in ('off', 'auto', 'always')), created_at timestamp with time zone default now(), updated_at timestamp with time zone default now());
+-- create index if not exists idx_personas_user_id on personas(user_id, created_at);
+-- alter table chats add column if not exists persona_id uuid references personas(id) on delete set null;
+-- drop view if exists chat_overview;  -- then re-create it from its definition above (c.* picks up persona_id)
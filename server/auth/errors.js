@@ -0,0 +1,8 @@
+// Login/registration failures that should reach the client, with the HTTP status to answer
+export class AuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
@@ -0,0 +1,62 @@
+import { createLocalAuth } from './localAuth.js';
+import { createSupabaseAuth } from './supabaseAuth.js';
+
+export { AuthError } from './errors.js';
+
+// Auth interface shared by every backend:
+//   register(username, password) -> { token, user }
+//   login(username, password)    -> { token, user }
+//   verify(token)                -> user { id, username } or null (expired, forged or unknown)
+// register/login throw AuthError (with an HTTP status) for bad input, taken names and wrong credentials.
+
+// Pick a backend from AUTH_BACKEND ('supabase' | 'local').
+// Without an explicit choice, Supabase Auth is used together with Supabase storage, otherwise local accounts.
+export function createAuth(storage) {
+    const backend = (process.env.AUTH_BACKEND || (storage.name === 'supabase' ? 'supabase' : 'local')).toLowerCase();
+
+    if (backend === 'supabase') {
+        console.log("🔐 Using Supabase Auth");
+        return createSupabaseAuth();
+    }
+
+    if (backend === 'local') {
+        console.log("🔐 Using local accounts");
+        return createLocalAuth(storage);
+    }
+
+    throw new Error(`Unknown AUTH_BACKEND "${backend}". Expected "supabase" or "local".`);
+}
+
+// Express middleware: resolve `Authorization: Bearer <token>` to `req.user`, or answer 401
+export function requireAuth(auth) {
+    return async (req, res, next) => {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : null;
+
+        let user = null;
+        if (token) {
+            try {
+                user = await auth.verify(token);
+            } catch (error) {
+                console.warn("Auth Verify Error:", error.message);
+            }
+        }
+
+        if (!user) {
+            return res.status(401).json({ error: "Authentication required" });
+        }
+        req.user = user;
+        next();
+    };
+}
+
+// Express middleware (after requireAuth): only users listed in ADMIN_USERS (usernames or ids, comma-separated)
+export function requireAdmin() {
+    const admins = (process.env.ADMIN_USERS || '').split(',').map(name => name.trim()).filter(Boolean);
+    return (req, res, next) => {
+        if (!admins.includes(req.user.username) && !admins.includes(req.user.id)) {
+            return res.status(403).json({ error: "Admin access required" });
+        }
+        next();
+    };
+}
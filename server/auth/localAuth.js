@@ -0,0 +1,96 @@
+import { scrypt, randomBytes, timingSafeEqual, createHmac } from 'crypto';
+import { promisify } from 'util';
+import { AuthError } from './errors.js';
+
+// Local accounts: users are kept in storage with scrypt password hashes, and sessions are
+// stateless tokens signed with AUTH_SECRET (`<base64url payload>.<HMAC-SHA256 signature>`).
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+const TOKEN_TTL_SECONDS = (parseInt(process.env.AUTH_TOKEN_TTL_HOURS, 10) || 24 * 7) * 3600;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.@-]{3,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+async function hashPassword(password) {
+    const salt = randomBytes(16).toString('hex');
+    const key = await scryptAsync(password, salt, KEY_LENGTH);
+    return `scrypt:${salt}:${key.toString('hex')}`;
+}
+
+async function checkPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const key = await scryptAsync(password, salt, KEY_LENGTH);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === key.length && timingSafeEqual(expected, key);
+}
+
+export function createLocalAuth(storage) {
+    let secret = process.env.AUTH_SECRET;
+    if (!secret) {
+        console.warn("⚠️ AUTH_SECRET is not set. Using a random secret: everyone is signed out when the server restarts.");
+        secret = randomBytes(32).toString('hex');
+    }
+
+    function sign(body) {
+        return createHmac('sha256', secret).update(body).digest('base64url');
+    }
+
+    function issueToken(user) {
+        const payload = {
+            sub: user.id,
+            username: user.username,
+            exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS
+        };
+        const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        return `${body}.${sign(body)}`;
+    }
+
+    function session(user) {
+        return { token: issueToken(user), user: { id: user.id, username: user.username } };
+    }
+
+    return {
+        name: 'local',
+
+        async register(username, password) {
+            if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+                throw new AuthError("Username must be 3-64 characters: letters, digits, _ . @ -", 400);
+            }
+            if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+                throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+            }
+            if (await storage.getUserByUsername(username)) {
+                throw new AuthError("Username is already taken", 409);
+            }
+
+            const user = await storage.createUser({ username, password_hash: await hashPassword(password) });
+            return session(user);
+        },
+
+        async login(username, password) {
+            const user = typeof username === 'string' ? await storage.getUserByUsername(username) : null;
+            if (!user || typeof password !== 'string' || !(await checkPassword(password, user.password_hash))) {
+                throw new AuthError("Invalid username or password");
+            }
+            return session(user);
+        },
+
+        async verify(token) {
+            const [body, signature] = token.split('.');
+            if (!body || !signature) return null;
+
+            const expected = Buffer.from(sign(body));
+            const actual = Buffer.from(signature);
+            if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+            try {
+                const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+                if (!payload.sub || payload.exp < Date.now() / 1000) return null;
+                return { id: payload.sub, username: payload.username };
+            } catch (error) {
+                return null;
+            }
+        }
+    };
+}
@@ -0,0 +1,51 @@
+import { createClient } from '@supabase/supabase-js';
+import { AuthError } from './errors.js';
+
+// Supabase Auth: accounts are Supabase users (the username is their email address)
+// and tokens are the access tokens (JWTs) Supabase issues, verified on every request.
+export function createSupabaseAuth() {
+    const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        throw new Error("AUTH_BACKEND=supabase but SUPABASE_URL / SUPABASE_KEY are missing.");
+    }
+
+    // A dedicated client that keeps no session: signing someone in must not change
+    // the identity that the storage client queries with.
+    const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, {
+        auth: { persistSession: false, autoRefreshToken: false }
+    });
+
+    function toUser(user) {
+        return { id: user.id, username: user.email };
+    }
+
+    return {
+        name: 'supabase',
+
+        async register(username, password) {
+            const { data, error } = await supabase.auth.signUp({ email: username, password });
+            if (error) {
+                throw new AuthError(error.message, error.status || 400);
+            }
+            if (!data.session) {
+                // Projects with email confirmation enabled only create the session after confirming
+                throw new AuthError("Check your inbox to confirm the account, then sign in.", 403);
+            }
+            return { token: data.session.access_token, user: toUser(data.user) };
+        },
+
+        async login(username, password) {
+            const { data, error } = await supabase.auth.signInWithPassword({ email: username, password });
+            if (error) {
+                throw new AuthError("Invalid username or password");
+            }
+            return { token: data.session.access_token, user: toUser(data.user) };
+        },
+
+        async verify(token) {
+            const { data, error } = await supabase.auth.getUser(token);
+            if (error || !data.user) return null;
+            return toUser(data.user);
+        }
+    };
+}
@@ -0,0 +1,144 @@
+import { createHash } from 'crypto';
+import { envNumber } from './env.js';
+
+// Response Cache
+// Results of repeatable, expensive calls: web searches and deterministic model calls (smart prompt).
+// Entries live in an in-memory LRU of CACHE_MAX_ENTRIES (default 500). With CACHE_BACKEND=storage they
+// are also written to the storage backend (`cache_entries`), so they survive restarts.
+// Each namespace has its own TTL (0 turns caching off for it); expired entries are dropped when read.
+
+const MAX_ENTRIES = envNumber('CACHE_MAX_ENTRIES', 500);
+
+const TTLS = {
+    search: envNumber('SEARCH_CACHE_TTL_MS', 60 * 60 * 1000),
+    smart_prompt: envNumber('SMART_PROMPT_CACHE_TTL_MS', 24 * 60 * 60 * 1000)
+};
+
+// Stable key for a namespace and the values that determine the result
+function cacheKey(namespace, parts) {
+    return `${namespace}:${createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 32)}`;
+}
+
+export function createResponseCache(storage) {
+    const backend = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+    if (backend !== 'memory' && backend !== 'storage') {
+        throw new Error(`Unknown CACHE_BACKEND "${backend}". Expected "memory" or "storage".`);
+    }
+    const persistent = backend === 'storage';
+
+    // Insertion order is recency order: reads move an entry to the end, the first one is evicted
+    const memory = new Map();
+    const counters = {};
+
+    function count(namespace, field) {
+        counters[namespace] = counters[namespace] || { hits: 0, misses: 0 };
+        counters[namespace][field]++;
+    }
+
+    function remember(entry) {
+        memory.delete(entry.key);
+        memory.set(entry.key, entry);
+        if (memory.size > MAX_ENTRIES) memory.delete(memory.keys().next().value);
+    }
+
+    async function read(key) {
+        let entry = memory.get(key);
+        if (!entry && persistent) {
+            try {
+                entry = await storage.getCacheEntry(key);
+            } catch (error) {
+                console.warn("Cache Read Error:", error.message);
+            }
+        }
+        if (!entry) return null;
+
+        if (new Date(entry.expires_at).getTime() <= Date.now()) {
+            memory.delete(key);
+            return null;
+        }
+        remember(entry);
+        return entry;
+    }
+
+    async function write(entry) {
+        remember(entry);
+        if (!persistent) return;
+        try {
+            await storage.setCacheEntry(entry);
+        } catch (error) {
+            console.warn("Cache Write Error:", error.message);
+        }
+    }
+
+    // Cached value for `parts` in `namespace`, or compute(), store and return it.
+    // Resolves { value, cached, cachedAt }. Values for which shouldCache() is false (e.g. failed
+    // searches) are returned but not stored; `label` is a readable hint shown by inspect().
+    async function wrap(namespace, parts, { label = '', shouldCache = value => value != null } = {}, compute) {
+        const ttlMs = TTLS[namespace] ?? 0;
+        if (ttlMs <= 0) {
+            return { value: await compute(), cached: false, cachedAt: null };
+        }
+
+        const key = cacheKey(namespace, parts);
+        const entry = await read(key);
+        if (entry) {
+            count(namespace, 'hits');
+            return { value: entry.value, cached: true, cachedAt: entry.created_at };
+        }
+        count(namespace, 'misses');
+
+        const value = await compute();
+        if (shouldCache(value)) {
+            const now = Date.now();
+            await write({
+                key,
+                namespace,
+                label: String(label).slice(0, 200),
+                value,
+                created_at: new Date(now).toISOString(),
+                expires_at: new Date(now + ttlMs).toISOString()
+            });
+        }
+        return { value, cached: false, cachedAt: null };
+    }
+
+    // Settings, hit/miss counters since start and the live entries (without their values)
+    async function inspect({ namespace } = {}) {
+        let entries = [...memory.values()];
+        if (persistent) {
+            try {
+                entries = await storage.listCacheEntries({ namespace });
+            } catch (error) {
+                console.warn("Cache List Error (showing memory only):", error.message);
+            }
+        }
+
+        const now = Date.now();
+        return {
+            backend,
+            max_entries: MAX_ENTRIES,
+            ttl_ms: TTLS,
+            counters,
+            entries: entries
+                .filter(entry => (!namespace || entry.namespace === namespace) && new Date(entry.expires_at).getTime() > now)
+                .map(({ key, namespace, label, created_at, expires_at }) => ({ key, namespace, label, created_at, expires_at }))
+        };
+    }
+
+    // Remove one entry (`key`), a namespace, or everything; resolves the number of entries removed
+    async function purge({ namespace, key } = {}) {
+        let removed = 0;
+        memory.forEach((entry, entryKey) => {
+            if ((!key || entryKey === key) && (!namespace || entry.namespace === namespace)) {
+                memory.delete(entryKey);
+                removed++;
+            }
+        });
+        if (persistent) {
+            removed = Math.max(removed, await storage.deleteCacheEntries({ namespace, key }));
+        }
+        return removed;
+    }
+
+    return { name: backend, wrap, inspect, purge };
+}
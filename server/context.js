@@ -0,0 +1,161 @@
+import { createChatCompletion } from './providers.js';
+import { DEFAULT_MODELS, getModel } from './models.js';
+import { countTokens } from './tokens.js';
+
+// Context Window
+// Tokens of conversation (running summary + verbatim turns) sent to the chat model. When a chat's history
+// no longer fits its model's budget, the older turns are folded into a running summary, stored on the chat
+// with the id of the last message it covers (`summary_through`) so later turns resume from there.
+
+// Upper bound for a chat/web answer, further limited by each model's maxOutput
+export const MAX_RESPONSE_TOKENS = 2048;
+
+// --- Budgets ---
+
+// CONTEXT_BUDGETS is a JSON map of model id -> tokens, e.g. {"openai/gpt-oss-120b:groq": 24000}.
+// Otherwise the budget is CONTEXT_TOKEN_BUDGET, capped by what the model's context window leaves after its output.
+const DEFAULT_CONTEXT_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10) || 8000;
+let contextBudgets = {};
+try {
+    contextBudgets = JSON.parse(process.env.CONTEXT_BUDGETS || '{}');
+} catch (e) {
+    console.warn("⚠️ CONTEXT_BUDGETS is not valid JSON. Using the default budget for every model.");
+}
+
+function getContextBudget(modelId) {
+    if (contextBudgets[modelId]) return contextBudgets[modelId];
+    const model = getModel(modelId);
+    if (!model) return DEFAULT_CONTEXT_BUDGET;
+    return Math.min(DEFAULT_CONTEXT_BUDGET, model.contextLength - Math.min(MAX_RESPONSE_TOKENS, model.maxOutput));
+}
+
+// LangChain messages -> [{ role: 'user'|'assistant', content }] for the chat completion API
+export function toChatMessages(messages) {
+    return messages.map(msg => ({
+        role: msg._getType() === 'human' ? 'user' : 'assistant',
+        content: msg.content
+    }));
+}
+
+// --- Summary ---
+
+// Fold older turns into the chat's running summary.
+// Falls back to appending truncated turns verbatim so nothing is silently lost.
+async function summarizeTurns(previousSummary, turns, meter) {
+    const transcript = turns
+        .map(t => `${t.role === 'user' ? 'User' : 'Assistant'}: ${t.content}`)
+        .join('\n\n');
+
+    try {
+        const startedAt = Date.now();
+        const completion = await createChatCompletion({
+            model: DEFAULT_MODELS.summary,
+            messages: [
+                {
+                    role: "system",
+                    content: `You maintain a running summary of a conversation between a user and an AI assistant.
+Merge the new turns into the existing summary. Keep facts, decisions, names, numbers, code identifiers and open questions the assistant may need later. Drop pleasantries and formatting.
+Write plain prose or short bullet points, at most 300 words. Reply with the updated summary only.`
+                },
+                {
+                    role: "user",
+                    content: `### EXISTING SUMMARY:\n${previousSummary || "(none)"}\n\n### NEW TURNS:\n${transcript}`
+                }
+            ],
+            max_tokens: 600,
+            temperature: 0.2
+        });
+
+        const summary = completion.choices[0]?.message?.content?.trim();
+        await meter?.('summary', {
+            model: DEFAULT_MODELS.summary,
+            usage: {
+                input_tokens: completion.usage?.prompt_tokens ?? countTokens((previousSummary || '') + transcript),
+                output_tokens: completion.usage?.completion_tokens ?? countTokens(summary || '')
+            },
+            latencyMs: Date.now() - startedAt
+        });
+        if (summary) return summary;
+    } catch (error) {
+        console.warn("Summarization failed, keeping truncated turns:", error.message);
+    }
+
+    const truncated = turns
+        .map(t => `${t.role === 'user' ? 'User' : 'Assistant'}: ${t.content.slice(0, 300)}`)
+        .join('\n');
+    // Keep the newest part if repeated failures make the fallback grow
+    return [previousSummary, truncated].filter(Boolean).join('\n').slice(-4000);
+}
+
+// Share of the budget kept verbatim after summarizing, so we don't re-summarize on every turn
+const CONTEXT_KEEP_RATIO = 0.5;
+// Always send at least this many recent messages verbatim
+const MIN_RECENT_MESSAGES = 2;
+
+export function createContextManager(storage) {
+    // Fit the history into the model's token budget: recent turns stay verbatim,
+    // older ones are folded into a running summary persisted on the chat.
+    async function manageContext(state, config) {
+        const messages = state.messages;
+        const budget = getContextBudget(state.model);
+
+        let chat = null;
+        if (state.chatId) {
+            try {
+                chat = await storage.getChat(state.chatId);
+            } catch (error) {
+                console.warn("Context: could not load chat summary:", error.message);
+            }
+        }
+
+        // Resume after the last summarized message, unless it is no longer part of this history
+        let summary = null;
+        let start = 0;
+        if (chat?.summary && chat.summary_through) {
+            const index = messages.findIndex(msg => msg.id === chat.summary_through);
+            if (index !== -1) {
+                summary = chat.summary;
+                start = index + 1;
+            }
+        }
+
+        const tokenCounts = messages.map(msg => countTokens(msg.content));
+        const summaryTokens = summary ? countTokens(summary) : 0;
+        const pendingTokens = tokenCounts.slice(start).reduce((acc, n) => acc + n, 0);
+
+        if (summaryTokens + pendingTokens <= budget) {
+            return { context: messages.slice(start), summary };
+        }
+
+        // Over budget: keep the newest messages that fit in the keep window, fold the rest
+        const keepBudget = budget * CONTEXT_KEEP_RATIO;
+        let keepFrom = messages.length;
+        let keptTokens = 0;
+        while (keepFrom > start) {
+            const next = tokenCounts[keepFrom - 1];
+            const mustKeep = messages.length - keepFrom < MIN_RECENT_MESSAGES;
+            if (!mustKeep && keptTokens + next > keepBudget) break;
+            keptTokens += next;
+            keepFrom--;
+        }
+
+        if (keepFrom > start) {
+            const folded = toChatMessages(messages.slice(start, keepFrom));
+            console.log(`🧠 Summarizing ${folded.length} older messages (budget ${budget} tokens)`);
+            summary = await summarizeTurns(summary, folded, config?.configurable?.meter);
+
+            const summaryThrough = messages[keepFrom - 1].id;
+            if (chat && summaryThrough) {
+                try {
+                    await storage.updateChat(state.chatId, { summary, summary_through: summaryThrough });
+                } catch (error) {
+                    console.warn("Context: could not persist summary:", error.message);
+                }
+            }
+        }
+
+        return { context: messages.slice(keepFrom), summary };
+    }
+
+    return { manageContext };
+}
@@ -0,0 +1,48 @@
+// Conversation Tree Helpers
+// Messages form a tree through `parent_id`: regenerated replies (and edited prompts) are
+// siblings under the same parent. The chat's `current_leaf_id` marks the active branch,
+// and the active path from the root to that leaf is what the model sees as history.
+
+function childrenByParent(rows) {
+    const children = new Map();
+    rows.forEach(row => {
+        const key = row.parent_id || null;
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(row);
+    });
+    return children;
+}
+
+// Follow the most recent child from `messageId` down to a leaf
+export function findLatestLeaf(rows, messageId) {
+    const children = childrenByParent(rows);
+    let current = rows.find(row => row.id === messageId);
+    if (!current) return null;
+
+    while (children.has(current.id)) {
+        const kids = children.get(current.id);
+        current = kids[kids.length - 1];
+    }
+    return current;
+}
+
+// Messages on the path from the root to `leafId` (or to the newest message when the leaf is unknown),
+// each annotated with `siblings`: the ids of every version at its position, oldest first.
+export function buildActivePath(rows, leafId = null) {
+    if (rows.length === 0) return [];
+
+    const byId = new Map(rows.map(row => [row.id, row]));
+    const children = childrenByParent(rows);
+    let current = (leafId && byId.get(leafId)) || findLatestLeaf(rows, rows[rows.length - 1].id);
+
+    const path = [];
+    while (current) {
+        path.unshift(current);
+        current = current.parent_id ? byId.get(current.parent_id) : null;
+    }
+
+    return path.map(message => ({
+        ...message,
+        siblings: children.get(message.parent_id || null).map(sibling => sibling.id)
+    }));
+}
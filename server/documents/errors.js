@@ -0,0 +1,8 @@
+// Upload failures that should reach the client, with the HTTP status to answer
+export class DocumentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'DocumentError';
+        this.status = status;
+    }
+}
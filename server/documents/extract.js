@@ -0,0 +1,60 @@
+import path from 'path';
+import { extractPdfPages } from './pdf.js';
+import { DocumentError } from './errors.js';
+
+// Text Extraction
+// Uploaded files -> text pages. PDFs are read page by page; Markdown, plain text and source code
+// become a single page (page: null) whose line numbers are kept for citations.
+
+const MARKDOWN_EXTENSIONS = ['md', 'markdown', 'mdx'];
+const TEXT_EXTENSIONS = ['txt', 'text', 'log', 'csv', 'tsv', 'rst', 'adoc'];
+const CODE_EXTENSIONS = [
+    'js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'scala', 'swift', 'c', 'h', 'cc', 'cpp', 'hpp',
+    'cs', 'php', 'lua', 'r', 'sh', 'bash', 'zsh', 'ps1', 'sql', 'html', 'css', 'scss', 'vue', 'svelte', 'json', 'yaml', 'yml',
+    'toml', 'ini', 'xml', 'graphql', 'proto', 'tf'
+];
+const CODE_FILENAMES = ['dockerfile', 'makefile', 'procfile', 'gemfile', 'rakefile'];
+
+export const SUPPORTED_EXTENSIONS = ['pdf', ...MARKDOWN_EXTENSIONS, ...TEXT_EXTENSIONS, ...CODE_EXTENSIONS];
+
+// 'pdf' | 'markdown' | 'text' | 'code', or null for files we can't read
+function kindOf(filename, buffer) {
+    if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+    const base = path.basename(filename).toLowerCase();
+    const extension = base.includes('.') ? base.split('.').pop() : '';
+    if (extension === 'pdf') return 'pdf';
+    if (MARKDOWN_EXTENSIONS.includes(extension)) return 'markdown';
+    if (TEXT_EXTENSIONS.includes(extension)) return 'text';
+    if (CODE_EXTENSIONS.includes(extension) || CODE_FILENAMES.includes(base)) return 'code';
+    return null;
+}
+
+// { kind, pages: [{ page, text }], warnings } for an uploaded file; throws DocumentError for unsupported or empty files
+export function extractText(filename, buffer) {
+    const kind = kindOf(filename, buffer);
+    if (!kind) {
+        throw new DocumentError(`Unsupported file type. Upload a PDF, Markdown, text or code file (${SUPPORTED_EXTENSIONS.map(e => `.${e}`).join(', ')}).`, 415);
+    }
+
+    let pages;
+    let warnings = [];
+    if (kind === 'pdf') {
+        ({ pages, warnings } = extractPdfPages(buffer));
+    } else {
+        // NUL bytes don't occur in text files
+        if (buffer.subarray(0, 8192).includes(0)) {
+            throw new DocumentError("This file looks binary, not text.", 415);
+        }
+        const text = new TextDecoder('utf-8').decode(buffer).replace(/\r\n?/g, '\n');
+        pages = [{ page: null, text }];
+    }
+
+    if (!pages.some(page => page.text.trim())) {
+        throw new DocumentError(kind !== 'pdf'
+            ? "This file is empty."
+            : warnings.length > 0
+                ? "No readable text found in this PDF: its fonts have no text mapping (common for Chinese, Japanese and Korean PDFs)."
+                : "No text found in this PDF. Scanned (image-only) PDFs are not supported.", 422);
+    }
+    return { kind, pages, warnings };
+}
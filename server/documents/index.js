@@ -0,0 +1,246 @@
+import { Worker } from 'worker_threads';
+import { countTokens } from '../tokens.js';
+import { tokenize } from '../storage/search.js';
+import { queryTerms } from '../search/rank.js';
+import { extractText } from './extract.js';
+import { DocumentError } from './errors.js';
+import { envNumber } from '../env.js';
+
+export { DocumentError } from './errors.js';
+export { SUPPORTED_EXTENSIONS } from './extract.js';
+
+// Documents
+// Files attached to a chat are split into chunks of about DOCUMENT_CHUNK_TOKENS tokens (default 400)
+// when uploaded. Each turn, the chunks that best match the user's message are found with BM25 keyword
+// ranking (no embedding model or network needed) and up to DOCUMENT_CONTEXT_TOKENS (default 3000) of
+// them are given to the model, labelled with their file and page (or lines) for citations.
+//
+// Limits: DOCUMENT_MAX_BYTES per upload (default 10 MB), DOCUMENT_MAX_TOKENS of text per file
+// (default 100000) and DOCUMENT_MAX_PER_CHAT files (default 20). Uploads are read in a worker thread,
+// given DOCUMENT_PARSE_TIMEOUT_MS (default 30000) and 512 MB of memory, so other requests go on meanwhile.
+// At most DOCUMENT_MAX_PARSERS workers (default 2) run at once, and one per user; further uploads get a 429.
+
+export const MAX_DOCUMENT_BYTES = envNumber('DOCUMENT_MAX_BYTES', 10 * 1024 * 1024);
+export const MAX_DOCUMENTS_PER_CHAT = envNumber('DOCUMENT_MAX_PER_CHAT', 20);
+const MAX_DOCUMENT_TOKENS = envNumber('DOCUMENT_MAX_TOKENS', 100000);
+const CHUNK_TOKENS = envNumber('DOCUMENT_CHUNK_TOKENS', 400);
+const CONTEXT_TOKENS = envNumber('DOCUMENT_CONTEXT_TOKENS', 3000);
+// Tokens repeated from the end of one chunk at the start of the next, so a passage cut in two is still found
+const OVERLAP_TOKENS = Math.floor(CHUNK_TOKENS / 8);
+const MAX_CHUNKS_PER_TURN = 8;
+const PARSE_TIMEOUT_MS = envNumber('DOCUMENT_PARSE_TIMEOUT_MS', 30000);
+const WORKER_MEMORY_MB = 512;
+const MAX_PARSERS = Math.max(envNumber('DOCUMENT_MAX_PARSERS', 2), 1);
+
+// --- Chunking ---
+
+// Lines longer than a chunk (minified code, PDF paragraphs) are cut at spaces into chunk-sized pieces
+function splitLongLine(line) {
+    const maxLength = CHUNK_TOKENS * 3;
+    const pieces = [];
+    let rest = line;
+    while (rest.length > maxLength) {
+        const cut = rest.lastIndexOf(' ', maxLength);
+        const at = cut > maxLength / 2 ? cut : maxLength;
+        pieces.push(rest.slice(0, at));
+        rest = rest.slice(at).trimStart();
+    }
+    pieces.push(rest);
+    return pieces;
+}
+
+// Chunks of one page: whole lines up to CHUNK_TOKENS, the last lines of each repeated in the next
+function chunkPage({ page, text }) {
+    const lines = text.split('\n').flatMap((line, i) => splitLongLine(line).map(piece => ({
+        text: piece,
+        number: i + 1,
+        tokens: countTokens(piece) + 1
+    })));
+
+    const chunks = [];
+    let current = [];
+    let tokens = 0;
+    const emit = () => {
+        const content = current.map(line => line.text).join('\n').trim();
+        if (!content) return;
+        chunks.push({
+            page,
+            // Line numbers only mean something in text files; PDF lines are layout
+            start_line: page === null ? current[0].number : null,
+            end_line: page === null ? current[current.length - 1].number : null,
+            content,
+            token_count: tokens
+        });
+    };
+
+    for (const line of lines) {
+        if (current.length > 0 && tokens + line.tokens > CHUNK_TOKENS) {
+            emit();
+            const overlap = [];
+            let overlapTokens = 0;
+            for (let i = current.length - 1; i >= 0 && overlapTokens + current[i].tokens <= OVERLAP_TOKENS; i--) {
+                overlap.unshift(current[i]);
+                overlapTokens += current[i].tokens;
+            }
+            current = overlap;
+            tokens = overlapTokens;
+        }
+        current.push(line);
+        tokens += line.tokens;
+    }
+    if (current.length > 0) emit();
+    return chunks;
+}
+
+// Extract and chunk an uploaded file: { document, chunks, warnings } ready to store.
+// Throws DocumentError for unsupported, empty or too long files. Runs in the worker (see ingestDocument).
+export function readDocument(filename, buffer) {
+    const { kind, pages, warnings } = extractText(filename, buffer);
+
+    // Cheap length check first: counting the tokens of a huge file takes a while
+    const characters = pages.reduce((acc, page) => acc + page.text.length, 0);
+    if (characters > MAX_DOCUMENT_TOKENS * 8) {
+        throw new DocumentError(`This file has too much text (the limit is about ${MAX_DOCUMENT_TOKENS} tokens).`, 413);
+    }
+
+    const chunks = pages.flatMap(chunkPage).map((chunk, position) => ({ position, ...chunk }));
+    const tokenCount = pages.reduce((acc, page) => acc + countTokens(page.text), 0);
+    if (tokenCount > MAX_DOCUMENT_TOKENS) {
+        throw new DocumentError(`This file has ${tokenCount} tokens of text; the limit is ${MAX_DOCUMENT_TOKENS}.`, 413);
+    }
+
+    return {
+        document: {
+            filename,
+            kind,
+            size_bytes: buffer.length,
+            page_count: kind === 'pdf' ? pages.length : null,
+            token_count: tokenCount,
+            chunk_count: chunks.length
+        },
+        chunks,
+        warnings
+    };
+}
+
+// Users with a worker running; the size of the set is the number of workers
+const parsing = new Set();
+
+// readDocument in a worker thread, for `userId`. Rejects with DocumentError for unreadable files, for files
+// that take longer than DOCUMENT_PARSE_TIMEOUT_MS or more memory than the worker has, and (429) when the
+// user already has a file being read or DOCUMENT_MAX_PARSERS are running.
+export function ingestDocument(filename, buffer, userId) {
+    if (parsing.has(userId)) {
+        return Promise.reject(new DocumentError("Another of your files is still being read. Try again when it is done.", 429));
+    }
+    if (parsing.size >= MAX_PARSERS) {
+        return Promise.reject(new DocumentError("Too many files are being read right now. Try again in a moment.", 429));
+    }
+    parsing.add(userId);
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./worker.js', import.meta.url), {
+            workerData: { filename, bytes: new Uint8Array(buffer) },
+            resourceLimits: { maxOldGenerationSizeMb: WORKER_MEMORY_MB }
+        });
+        // Called again by the exit that follows a result; only the first outcome counts
+        let settled = false;
+        const settle = (error, result) => {
+            if (settled) return;
+            settled = true;
+            parsing.delete(userId);
+            clearTimeout(timer);
+            worker.terminate();
+            if (error) reject(error);
+            else resolve(result);
+        };
+        const timer = setTimeout(() => {
+            settle(new DocumentError("Reading this file took too long. It may be damaged or unusually complex.", 422));
+        }, PARSE_TIMEOUT_MS);
+
+        worker.once('message', ({ result, error }) => {
+            settle(error && (error.status ? new DocumentError(error.message, error.status) : new Error(error.message)), result);
+        });
+        worker.once('error', error => {
+            settle(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+                ? new DocumentError("Reading this file needs too much memory.", 413)
+                : error);
+        });
+        worker.once('exit', code => settle(new Error(`Document worker exited with code ${code}`)));
+    });
+}
+
+// --- Retrieval ---
+
+// BM25 parameters: term frequency saturation and document length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Chunks that contain a query term (prefix match, like search/rank.js), best BM25 score first
+export function rankChunks(chunks, query) {
+    const terms = queryTerms(query);
+    if (terms.length === 0 || chunks.length === 0) return [];
+
+    const tokenized = chunks.map(chunk => tokenize(chunk.content));
+    const averageLength = tokenized.reduce((acc, words) => acc + words.length, 0) / chunks.length || 1;
+    const frequencies = tokenized.map(words => terms.map(term => words.filter(word => word.startsWith(term)).length));
+    const idf = terms.map((term, t) => {
+        const containing = frequencies.filter(counts => counts[t] > 0).length;
+        return Math.log(1 + (chunks.length - containing + 0.5) / (containing + 0.5));
+    });
+
+    return chunks
+        .map((chunk, i) => {
+            const lengthNorm = K1 * (1 - B + B * tokenized[i].length / averageLength);
+            const score = frequencies[i].reduce((acc, tf, t) => acc + (tf ? idf[t] * tf * (K1 + 1) / (tf + lengthNorm) : 0), 0);
+            return { chunk, score };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score);
+}
+
+// "spec.pdf, p. 3", "notes.md, lines 10-42"
+export function citationFor(filename, chunk) {
+    if (chunk.page) return `${filename}, p. ${chunk.page}`;
+    if (chunk.start_line) {
+        return chunk.start_line === chunk.end_line
+            ? `${filename}, line ${chunk.start_line}`
+            : `${filename}, lines ${chunk.start_line}-${chunk.end_line}`;
+    }
+    return filename;
+}
+
+// The chunks to show the model for `query`, within DOCUMENT_CONTEXT_TOKENS, in document order and
+// labelled with `filename` and `citation`. Small attachments are sent whole; otherwise the best
+// BM25 matches, or the opening chunks of each file when nothing matches (e.g. "summarize this").
+export function selectChunks(documents, chunks, query) {
+    const order = new Map(documents.map((document, i) => [document.id, i]));
+    const candidates = chunks.filter(chunk => order.has(chunk.document_id));
+    const totalTokens = candidates.reduce((acc, chunk) => acc + chunk.token_count, 0);
+
+    let ranked = candidates;
+    let limit = candidates.length;
+    if (totalTokens > CONTEXT_TOKENS) {
+        ranked = rankChunks(candidates, query).map(({ chunk }) => chunk);
+        if (ranked.length === 0) {
+            ranked = [...candidates].sort((a, b) => a.position - b.position || order.get(a.document_id) - order.get(b.document_id));
+        }
+        limit = MAX_CHUNKS_PER_TURN;
+    }
+
+    const selected = [];
+    let budget = CONTEXT_TOKENS;
+    for (const chunk of ranked) {
+        if (selected.length >= limit) break;
+        if (chunk.token_count > budget) continue;
+        selected.push(chunk);
+        budget -= chunk.token_count;
+    }
+
+    return selected
+        .sort((a, b) => order.get(a.document_id) - order.get(b.document_id) || a.position - b.position)
+        .map(chunk => {
+            const filename = documents[order.get(chunk.document_id)].filename;
+            return { ...chunk, filename, citation: citationFor(filename, chunk) };
+        });
+}
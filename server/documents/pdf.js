@@ -0,0 +1,508 @@
+import zlib from 'zlib';
+import { DocumentError } from './errors.js';
+
+// PDF Text Extraction
+// Enough of the PDF format to read the text of ordinary documents without a dependency: objects (also
+// those packed into object streams), Flate-compressed streams, the page tree, and ToUnicode maps for
+// fonts with custom encodings. Scanned (image-only) pages and encrypted files yield no text, nor does
+// text in composite (CID) fonts without a ToUnicode map, e.g. some Japanese or Chinese PDFs; that is
+// reported in the warnings.
+//
+// Streams are decoded once and cached. Every use of decoded data counts against MAX_DECODED_BYTES per
+// document, so a small file of highly compressed streams (or one stream used by every page) is
+// rejected instead of being inflated and scanned again and again.
+
+const MAX_DECODED_BYTES = 32 * 1024 * 1024;
+
+// --- Lexer ---
+
+function isWhitespace(c) {
+    return c === ' ' || c === '\n' || c === '\r' || c === '\t' || c === '\f' || c === '\0';
+}
+
+const DELIMITERS = '()<>[]{}/%';
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+// Tokens of PDF syntax over a latin1 string (one char per byte):
+// { kind: 'number' | 'name' | 'string' | 'keyword', value } or { kind: '<<' | '>>' | '[' | ']' }
+function createLexer(src, start = 0) {
+    let pos = start;
+
+    function skipWhitespace() {
+        while (pos < src.length) {
+            if (isWhitespace(src[pos])) {
+                pos++;
+            } else if (src[pos] === '%') {
+                while (pos < src.length && src[pos] !== '\n' && src[pos] !== '\r') pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    function readRegular() {
+        const from = pos;
+        while (pos < src.length && !isWhitespace(src[pos]) && !DELIMITERS.includes(src[pos])) pos++;
+        return src.slice(from, pos);
+    }
+
+    function readLiteral() {
+        let out = '';
+        let depth = 1;
+        pos++;
+        while (pos < src.length) {
+            const c = src[pos++];
+            if (c === '\\') {
+                const e = src[pos++];
+                if (ESCAPES[e]) {
+                    out += ESCAPES[e];
+                } else if (e >= '0' && e <= '7') {
+                    let octal = e;
+                    while (octal.length < 3 && src[pos] >= '0' && src[pos] <= '7') octal += src[pos++];
+                    out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+                } else if (e === '\r') {
+                    if (src[pos] === '\n') pos++;
+                } else if (e !== '\n') {
+                    out += e;
+                }
+            } else if (c === '(') {
+                depth++;
+                out += c;
+            } else if (c === ')') {
+                if (--depth === 0) break;
+                out += c;
+            } else {
+                out += c;
+            }
+        }
+        return out;
+    }
+
+    function readHex() {
+        const end = src.indexOf('>', pos);
+        let hex = src.slice(pos + 1, end === -1 ? src.length : end).replace(/[^0-9a-f]/gi, '');
+        pos = end === -1 ? src.length : end + 1;
+        if (hex.length % 2) hex += '0';
+        return Buffer.from(hex, 'hex').toString('latin1');
+    }
+
+    function next() {
+        for (;;) {
+            skipWhitespace();
+            if (pos >= src.length) return null;
+            const c = src[pos];
+
+            if (c === '(') return { kind: 'string', value: readLiteral() };
+            if (c === '<') {
+                if (src[pos + 1] === '<') {
+                    pos += 2;
+                    return { kind: '<<' };
+                }
+                return { kind: 'string', value: readHex() };
+            }
+            if (c === '>' && src[pos + 1] === '>') {
+                pos += 2;
+                return { kind: '>>' };
+            }
+            if (c === '[' || c === ']') {
+                pos++;
+                return { kind: c };
+            }
+            if (c === '/') {
+                pos++;
+                const name = readRegular().replace(/#([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+                return { kind: 'name', value: `/${name}` };
+            }
+
+            const word = readRegular();
+            if (!word) {
+                // Stray delimiter (unbalanced ')' or '>', braces): skip it
+                pos++;
+                continue;
+            }
+            if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { kind: 'number', value: parseFloat(word) };
+            return { kind: 'keyword', value: word };
+        }
+    }
+
+    return {
+        next,
+        get pos() { return pos; },
+        set pos(value) { pos = value; }
+    };
+}
+
+// --- Objects ---
+
+// Names are kept as '/Name' strings, strings as { string }, references as { ref }, dictionaries as objects
+function parseValue(lexer, token = lexer.next()) {
+    if (!token) return null;
+    switch (token.kind) {
+        case 'number': {
+            // `12 0 R` is a reference to object 12
+            const saved = lexer.pos;
+            const generation = lexer.next();
+            if (generation?.kind === 'number') {
+                const keyword = lexer.next();
+                if (keyword?.kind === 'keyword' && keyword.value === 'R') return { ref: token.value };
+            }
+            lexer.pos = saved;
+            return token.value;
+        }
+        case '[': {
+            const array = [];
+            for (let next = lexer.next(); next && next.kind !== ']'; next = lexer.next()) {
+                array.push(parseValue(lexer, next));
+            }
+            return array;
+        }
+        case '<<': {
+            const dict = {};
+            for (let next = lexer.next(); next && next.kind !== '>>'; next = lexer.next()) {
+                if (next.kind === 'name') dict[next.value.slice(1)] = parseValue(lexer);
+            }
+            return dict;
+        }
+        case 'name':
+            return token.value;
+        case 'string':
+            return { string: token.value };
+        case 'keyword':
+            if (token.value === 'true') return true;
+            if (token.value === 'false') return false;
+            if (token.value === 'null') return null;
+            return { keyword: token.value };
+        default:
+            return null;
+    }
+}
+
+// Every `n g obj ... endobj` in the file; later definitions (incremental updates) replace earlier ones
+function readObjects(src) {
+    const objects = new Map();
+    const pattern = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+    while ((match = pattern.exec(src)) !== null) {
+        const lexer = createLexer(src, pattern.lastIndex);
+        const entry = { value: parseValue(lexer), stream: null };
+
+        const streamStart = /^\s*stream\r?\n/.exec(src.slice(lexer.pos, lexer.pos + 32));
+        if (streamStart) {
+            const start = lexer.pos + streamStart[0].length;
+            let end = src.indexOf('endstream', start);
+            if (end === -1) end = src.length;
+            entry.stream = { start, end };
+            pattern.lastIndex = end;
+        }
+        objects.set(Number(match[1]), entry);
+    }
+    return objects;
+}
+
+function createDocument(src) {
+    const objects = readObjects(src);
+    const decoded = new Map();
+    let budget = MAX_DECODED_BYTES;
+
+    function spend(bytes) {
+        budget -= bytes;
+        if (budget < 0) {
+            throw new DocumentError(`This PDF expands to more than ${MAX_DECODED_BYTES / (1024 * 1024)} MB of data and can't be read.`, 413);
+        }
+    }
+
+    function resolve(value, depth = 0) {
+        while (value && typeof value === 'object' && 'ref' in value && depth++ < 16) {
+            value = objects.get(value.ref)?.value ?? null;
+        }
+        return value;
+    }
+
+    // Decoded bytes of a stream object, or null for filters we can't decode.
+    // Throws DocumentError once the document's decoding budget is used up.
+    function streamData(entry) {
+        if (!entry?.stream) return null;
+        if (!decoded.has(entry)) decoded.set(entry, decodeStream(entry));
+        const data = decoded.get(entry);
+        if (data) spend(data.length);
+        return data;
+    }
+
+    function decodeStream(entry) {
+        const { start, end } = entry.stream;
+        const length = resolve(entry.value?.Length);
+        const raw = Buffer.from(src.slice(start, typeof length === 'number' && start + length <= end ? start + length : end), 'latin1');
+
+        const filter = resolve(entry.value?.Filter);
+        const filters = (Array.isArray(filter) ? filter : [filter]).map(f => resolve(f)).filter(Boolean);
+        let data = raw;
+        for (const name of filters) {
+            if (name !== '/FlateDecode' && name !== '/Fl') return null;
+            try {
+                data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: Math.max(budget, 1) });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') spend(budget + 1);
+                return null;
+            }
+        }
+        return data;
+    }
+
+    // Objects packed into object streams (PDF 1.5+); direct definitions take precedence
+    for (const entry of [...objects.values()]) {
+        if (entry.value?.Type !== '/ObjStm') continue;
+        const data = streamData(entry);
+        if (!data) continue;
+        const text = data.toString('latin1');
+        const first = resolve(entry.value.First);
+        const header = createLexer(text);
+        const count = resolve(entry.value.N) || 0;
+        for (let i = 0; i < count; i++) {
+            const number = header.next()?.value;
+            const offset = header.next()?.value;
+            if (typeof number !== 'number' || typeof offset !== 'number') break;
+            if (!objects.has(number)) {
+                objects.set(number, { value: parseValue(createLexer(text, first + offset)), stream: null });
+            }
+        }
+    }
+
+    return { objects, resolve, streamData };
+}
+
+// --- Fonts ---
+
+// Windows-1252 bytes that differ from latin1
+const WIN_ANSI = {
+    0x80: '€', 0x82: '‚', 0x84: '„', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”',
+    0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™', 0xa0: ' '
+};
+
+function decodeWinAnsi(bytes) {
+    let out = '';
+    for (let i = 0; i < bytes.length; i++) {
+        const code = bytes.charCodeAt(i);
+        out += WIN_ANSI[code] ?? bytes[i];
+    }
+    return out;
+}
+
+function utf16(hex) {
+    let out = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) out += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    return out;
+}
+
+// ToUnicode CMap -> { width (bytes per code), map: code -> text }
+function parseCMap(text) {
+    const map = new Map();
+    const range = /begincodespacerange\s*<([0-9a-f]+)>/i.exec(text);
+    const width = range ? Math.max(1, Math.ceil(range[1].length / 2)) : 2;
+
+    for (const [, body] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/gi)) {
+        for (const [, code, unicode] of body.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+            map.set(parseInt(code, 16), utf16(unicode));
+        }
+    }
+    for (const [, body] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/gi)) {
+        for (const [, low, high, target] of body.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi)) {
+            const from = parseInt(low, 16);
+            const to = Math.min(parseInt(high, 16), from + 0xffff);
+            if (target.startsWith('[')) {
+                [...target.matchAll(/<([0-9a-f]*)>/gi)].forEach(([, unicode], i) => {
+                    if (from + i <= to) map.set(from + i, utf16(unicode));
+                });
+            } else {
+                // Consecutive codes map to consecutive characters (the last UTF-16 unit is incremented)
+                const hex = target.slice(1, -1);
+                const prefix = utf16(hex.slice(0, -4));
+                const last = parseInt(hex.slice(-4) || '0', 16);
+                for (let code = from; code <= to; code++) {
+                    map.set(code, prefix + String.fromCharCode(last + code - from));
+                }
+            }
+        }
+    }
+    return { width, map };
+}
+
+// Decoder for the strings shown with a font: bytes -> text.
+// `unreadable` is called for each string of a font whose text can't be decoded.
+function fontDecoder(doc, fontRef, unreadable) {
+    const font = doc.resolve(fontRef);
+    const toUnicode = font?.ToUnicode?.ref !== undefined ? doc.objects.get(font.ToUnicode.ref) : null;
+    const cmapData = doc.streamData(toUnicode);
+    if (cmapData) {
+        const { width, map } = parseCMap(cmapData.toString('latin1'));
+        return bytes => {
+            let out = '';
+            for (let i = 0; i + width <= bytes.length; i += width) {
+                let code = 0;
+                for (let j = 0; j < width; j++) code = code * 256 + bytes.charCodeAt(i + j);
+                out += map.get(code) ?? (width === 1 ? decodeWinAnsi(bytes[i]) : '');
+            }
+            return out;
+        };
+    }
+    // Composite fonts use multi-byte glyph ids that mean nothing without a ToUnicode map
+    if (font?.Subtype === '/Type0') {
+        return bytes => {
+            if (bytes) unreadable();
+            return '';
+        };
+    }
+    return decodeWinAnsi;
+}
+
+// --- Content Streams ---
+
+// TJ spacing (thousandths of a text unit) wide enough to be a word gap
+const WORD_GAP = -180;
+
+// The text a page's content stream draws, with line breaks where the text moves to a new line
+function contentText(content, decoderFor) {
+    const lexer = createLexer(content);
+    let operands = [];
+    let decode = decodeWinAnsi;
+    let lastY = null;
+    let out = '';
+
+    const show = value => {
+        if (value?.string !== undefined) out += decode(value.string);
+    };
+
+    for (let token = lexer.next(); token; token = lexer.next()) {
+        if (token.kind !== 'keyword') {
+            operands.push(parseValue(lexer, token));
+            continue;
+        }
+        switch (token.value) {
+            case 'Tf':
+                decode = decoderFor(operands[0]);
+                break;
+            case 'Tj':
+                show(operands[0]);
+                break;
+            case "'":
+            case '"':
+                out += '\n';
+                show(operands[operands.length - 1]);
+                break;
+            case 'TJ':
+                (Array.isArray(operands[0]) ? operands[0] : []).forEach(item => {
+                    if (typeof item === 'number') {
+                        if (item < WORD_GAP) out += ' ';
+                    } else {
+                        show(item);
+                    }
+                });
+                break;
+            case 'Td':
+            case 'TD':
+                out += operands[1] ? '\n' : ' ';
+                break;
+            case 'T*':
+                out += '\n';
+                break;
+            case 'Tm': {
+                const y = operands[5];
+                out += lastY !== null && Math.abs(y - lastY) > 1 ? '\n' : ' ';
+                lastY = y;
+                break;
+            }
+            case 'ET':
+                out += ' ';
+                break;
+            case 'ID': {
+                // Inline image data is binary: skip to its end marker
+                const end = content.slice(lexer.pos).search(/\sEI(\s|$)/);
+                lexer.pos = end === -1 ? content.length : lexer.pos + end + 3;
+                break;
+            }
+            default:
+                break;
+        }
+        operands = [];
+    }
+    return out;
+}
+
+// --- Pages ---
+
+// Leaf pages in reading order, with the resources they inherit from the page tree
+function collectPages(doc) {
+    const catalog = [...doc.objects.values()].reverse().find(entry => entry.value?.Type === '/Catalog')?.value;
+    const pages = [];
+    const seen = new Set();
+
+    function visit(node, inheritedResources) {
+        if (!node || typeof node !== 'object' || seen.has(node)) return;
+        seen.add(node);
+        const resources = doc.resolve(node.Resources) || inheritedResources;
+        const kids = doc.resolve(node.Kids);
+        if (Array.isArray(kids)) {
+            kids.forEach(kid => visit(doc.resolve(kid), resources));
+        } else if (node.Type === '/Page' || node.Contents) {
+            pages.push({ node, resources });
+        }
+    }
+    visit(doc.resolve(catalog?.Pages), null);
+
+    if (pages.length > 0) return pages;
+    // No usable page tree: take the page objects in file order
+    return [...doc.objects.entries()]
+        .filter(([, entry]) => entry.value?.Type === '/Page')
+        .sort(([a], [b]) => a - b)
+        .map(([, entry]) => ({ node: entry.value, resources: doc.resolve(entry.value.Resources) }));
+}
+
+// Text of each page of a PDF: { pages: [{ page, text }], warnings } (page numbers start at 1)
+export function extractPdfPages(buffer) {
+    const src = buffer.toString('latin1');
+    if (!src.startsWith('%PDF-')) {
+        throw new DocumentError("Not a valid PDF file.", 415);
+    }
+    if (/\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(src)) {
+        throw new DocumentError("Encrypted PDFs are not supported.", 422);
+    }
+
+    const doc = createDocument(src);
+    const fontCache = new Map();
+    // Decoders are shared between pages, so they report against the page being read
+    const unreadablePages = new Set();
+    let pageNumber = 0;
+
+    const pages = collectPages(doc).map(({ node, resources }, i) => {
+        pageNumber = i + 1;
+        const fonts = doc.resolve(resources?.Font) || {};
+        const decoderFor = name => {
+            const ref = fonts[String(name).slice(1)];
+            const key = ref?.ref ?? ref;
+            if (!fontCache.has(key)) fontCache.set(key, fontDecoder(doc, ref, () => unreadablePages.add(pageNumber)));
+            return fontCache.get(key);
+        };
+
+        const contents = doc.resolve(node.Contents);
+        const refs = Array.isArray(contents) ? contents : [node.Contents];
+        const content = refs
+            .map(ref => doc.streamData(ref?.ref !== undefined ? doc.objects.get(ref.ref) : null))
+            .filter(Boolean)
+            .map(data => data.toString('latin1'))
+            .join('\n');
+
+        const text = contentText(content, decoderFor)
+            .split('\n')
+            .map(line => line.replace(/[\u0000-\u001f]/g, ' ').replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+        return { page: i + 1, text };
+    });
+
+    const warnings = [];
+    if (unreadablePages.size > 0) {
+        const numbers = [...unreadablePages];
+        warnings.push(`Some text on ${numbers.length === 1 ? `page ${numbers[0]}` : `${numbers.length} pages`} uses fonts without a text mapping (common for Chinese, Japanese and Korean PDFs) and could not be read.`);
+    }
+    return { pages, warnings };
+}
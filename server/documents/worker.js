@@ -0,0 +1,15 @@
+import { parentPort, workerData } from 'worker_threads';
+import { readDocument } from './index.js';
+import { DocumentError } from './errors.js';
+
+// Document Worker
+// Reads one upload off the main thread (started by ingestDocument in index.js) and posts back
+// { result } or { error: { message, status } }; status is set for DocumentErrors only.
+
+const { filename, bytes } = workerData;
+try {
+    const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    parentPort.postMessage({ result: readDocument(filename, buffer) });
+} catch (error) {
+    parentPort.postMessage({ error: { message: error.message, status: error instanceof DocumentError ? error.status : null } });
+}
@@ -0,0 +1,7 @@
+// Settings from environment variables, read once when a module is loaded
+
+// An integer setting; `fallback` when it is unset or not a number (0 stays 0, e.g. "unlimited" or "off")
+export function envNumber(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
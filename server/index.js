@@ -1,35 +1,44 @@
 
+// Loaded first: several modules read their configuration from the environment on import
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
-import { createClient } from '@supabase/supabase-js';
-import OpenAI from 'openai';
 import { StateGraph, START, END } from "@langchain/langgraph";
 import { HumanMessage, AIMessage, SystemMessage } from "@langchain/core/messages";
-import { encodingForModel } from "js-tiktoken";
-import fetch from 'node-fetch';
-
-dotenv.config();
-
-// Token Counter Helper
-function countTokens(text) {
-    try {
-        const enc = encodingForModel("gpt-4"); // Use gpt-4 encoding as a good approximation for most models
-        const tokens = enc.encode(text);
-        return tokens.length;
-    } catch (e) {
-        console.error("Token counting error:", e);
-        return Math.ceil(text.length / 4); // Fallback
-    }
-}
+import { randomUUID } from 'crypto';
+import { createStorage, encodeCursor, decodeCursor } from './storage/index.js';
+import { createAuth, requireAuth, requireAdmin, AuthError } from './auth/index.js';
+import { createLimits } from './limits.js';
+import { createUsageLedger } from './usage.js';
+import { createResponseCache } from './cache.js';
+import { countTokens } from './tokens.js';
+import { createMemory, MEMORY_KINDS, MAX_MEMORY_LENGTH } from './memory.js';
+import { createStructuredCompletion, StructuredOutputError } from './structured.js';
+import { analyzePrompt, wordDiff, SMART_PROMPT_MODES, DEFAULT_SMART_PROMPT_MODE, SMART_PROMPT_HISTORY_MESSAGES } from './smartPrompt.js';
+import { MODELS, DEFAULT_MODELS, getModel, hasCapability } from './models.js';
+import { PROVIDERS, createChatCompletion } from './providers.js';
+import { buildActivePath, findLatestLeaf } from './conversation.js';
+import { MAX_RESPONSE_TOKENS, toChatMessages, createContextManager } from './context.js';
+import { SEARCH_MODES, parseSearchMode, DEFAULT_SYSTEM_PROMPT, DEPTH_INSTRUCTIONS, MAX_PERSONAS, parsePersonaFields, turnSettings } from './personas.js';
+import { SEARCH_PROVIDERS, searchWebQueries, readPages } from './search/index.js';
+import { ingestDocument, selectChunks, DocumentError, MAX_DOCUMENT_BYTES, MAX_DOCUMENTS_PER_CHAT } from './documents/index.js';
+
+// Browser origins allowed to call the API: comma-separated CORS_ORIGINS ('*' allows any)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173,http://localhost:4173')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
 
 const app = express();
 app.use(cors({
-    origin: '*', // Allow all origins for now (simplifies debugging)
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+    methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Quota-Daily-Remaining', 'X-Quota-Monthly-Remaining']
 }));
-app.use(express.json());
+// File uploads are read raw by their route, whatever their Content-Type (see readUpload)
+const parseJson = express.json();
+app.use((req, res, next) => req.path === '/documents' ? next() : parseJson(req, res, next));
 
 // Request Logger Middleware
 app.use((req, res, next) => {
@@ -44,312 +53,301 @@ app.get('/', (req, res) => {
   res.send('Sanyai API is running. Use POST /chat to interact.');
 });
 
-// Supabase Setup
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
+// Storage Setup (Supabase or local file, see storage/index.js)
+const storage = await createStorage();
 
-let supabase = null;
-if (supabaseUrl && supabaseKey && supabaseKey !== 'INSERT_YOUR_SUPABASE_ANON_KEY_HERE') {
-  supabase = createClient(supabaseUrl, supabaseKey);
-  console.log("✅ Supabase Client Initialized");
-} else {
-  console.warn("⚠️ Supabase credentials missing or incomplete. Chat history will not be saved.");
-}
+// Auth Setup (Supabase Auth or local accounts, see auth/index.js)
+// Every chat belongs to one user; routes below that take `authenticate` only see the caller's chats.
+const auth = createAuth(storage);
+const authenticate = requireAuth(auth);
 
-// Hugging Face / OpenAI API Setup
-const HF_API_KEY = process.env.HF_ACCESS_TOKEN || process.env.HUGGINGFACE_API_KEY;
-const HF_MODEL = process.env.HF_MODEL || process.env.HUGGINGFACE_MODEL || 'openai/gpt-oss-120b:groq';
-const SERP_API_KEY = process.env.SERP_API_KEY;
+// Rate Limits & Quotas (see limits.js): `limited` goes after `authenticate` on every route that calls a model,
+// `authAttempts` on the routes that check a password
+const limits = createLimits(storage);
+const limited = limits.enforce;
+const authAttempts = limits.enforceAuth;
 
-// Initialize OpenAI Client pointed to HF Inference Endpoint
-const openai = new OpenAI({
-    baseURL: "https://router.huggingface.co/v1",
-    apiKey: HF_API_KEY
-});
+// Usage Ledger (see usage.js): every model call is recorded through a per-request `meter`
+const usageLedger = createUsageLedger(storage, limits);
+
+// Response Cache (see cache.js): web search results and smart prompt analyses
+const responseCache = createResponseCache(storage);
+const adminOnly = requireAdmin();
+
+// Initialize Long-Term Memory (opt-in per user)
+const memory = createMemory(storage);
+
+// Context Window (see context.js): long chats are sent as a running summary plus their recent turns
+const { manageContext } = createContextManager(storage);
+
+// Chats owned by someone else are reported as missing
+function ownsChat(chat, req) {
+    return Boolean(chat) && chat.user_id === req.user.id;
+}
+
+// Validate the user's answers to clarifying questions: [{ question, answer }] with both non-empty, or null
+function parseSmartPromptAnswers(answers) {
+    if (answers === undefined) return [];
+    if (!Array.isArray(answers) || answers.length > 5) return null;
+    const parsed = answers.map(a => ({
+        question: typeof a?.question === 'string' ? a.question.trim().slice(0, 300) : '',
+        answer: typeof a?.answer === 'string' ? a.answer.trim().slice(0, 500) : ''
+    }));
+    return parsed.every(a => a.question) ? parsed.filter(a => a.answer) : null;
+}
 
 // Smart Prompt Endpoint
-app.post('/smart-prompt', async (req, res) => {
+// Body: { prompt, mode (see SMART_PROMPT_MODES, default 'shorter'), chat_id (optional: rewrite in the
+// context of that chat's recent messages), answers (optional: [{ question, answer }] for earlier questions) }
+app.post('/smart-prompt', authenticate, limited, async (req, res) => {
     try {
-        const { prompt } = req.body;
-        if (!prompt) {
+        const { prompt, mode = DEFAULT_SMART_PROMPT_MODE, chat_id: chatId } = req.body;
+        if (!prompt || typeof prompt !== 'string') {
             return res.status(400).json({ error: "Prompt is required" });
         }
+        if (!Object.hasOwn(SMART_PROMPT_MODES, mode)) {
+            return res.status(400).json({ error: `mode must be one of: ${Object.keys(SMART_PROMPT_MODES).join(', ')}` });
+        }
+        const answers = parseSmartPromptAnswers(req.body.answers);
+        if (!answers) {
+            return res.status(400).json({ error: "answers must be a list of up to 5 { question, answer } pairs" });
+        }
 
-        console.log("Analyzing prompt for improvements...");
-
-        const completion = await openai.chat.completions.create({
-            model: "meta-llama/Llama-3.1-8B-Instruct:novita",
-            messages: [
-                {
-                    role: "system",
-                    content: `You are a JSON-generating AI. Your ONLY task is to analyze prompts and return a JSON object.
-                    
-                    CORE OBJECTIVE:
-                    Rewrite the user's prompt to be significantly shorter (fewer tokens) while maintaining 100% of the original intent.
-                    
-                    TASKS:
-                    1. Identify issues: Ambiguous references, Missing inputs, Conflicting instructions, Redundant phrasing.
-                    2. OPTIMIZE: Remove fluff, use precise terminology, and condense structure.
-                       - BAD: "Can you please write a function that will help me to calculate the sum of two numbers?" (18 tokens)
-                       - GOOD: "Write a function to sum two numbers." (7 tokens)
-                    
-                    OUTPUT FORMAT:
-                    Return ONLY a valid JSON object with this structure:
-                    {
-                        "issues": ["Issue 1", "Issue 2"],
-                        "optimized_prompt": "rewritten prompt here"
-                    }
-                    Do not include markdown formatting, explanations, or code blocks. Just the raw JSON string.`
-                },
-                { role: "user", content: prompt }
-            ],
-            max_tokens: 500,
-            temperature: 0.3,
-            response_format: { type: "json_object" }
-        });
-
-        const rawContent = completion.choices[0]?.message?.content || "{}";
-        console.log("Smart Prompt Raw Response:", rawContent);
-
-        // Robust JSON Parsing
-        let result;
-        try {
-            // 1. Try direct parse
-            result = JSON.parse(rawContent);
-        } catch (e1) {
-            try {
-                // 2. Try cleaning markdown code blocks
-                let jsonStr = rawContent.replace(/```json/g, '').replace(/```/g, '').trim();
-                result = JSON.parse(jsonStr);
-            } catch (e2) {
-                try {
-                    // 3. Try regex extraction of the first JSON object
-                    const match = rawContent.match(/\{[\s\S]*\}/);
-                    if (match) {
-                        result = JSON.parse(match[0]);
-                    } else {
-                        throw new Error("No JSON found");
-                    }
-                } catch (e3) {
-                    console.error("Failed to parse Smart Prompt JSON:", e3);
-                    result = { issues: ["Could not analyze prompt structure (JSON Parse Error)"], optimized_prompt: prompt };
-                }
+        let history = [];
+        if (chatId) {
+            const { chat, path } = await loadConversation(chatId);
+            if (!ownsChat(chat, req)) {
+                return res.status(404).json({ error: "Chat not found" });
             }
+            history = path.slice(-SMART_PROMPT_HISTORY_MESSAGES).map(({ role, content }) => ({ role, content }));
         }
 
-        const originalTokens = countTokens(prompt);
-        const optimizedTokens = countTokens(result.optimized_prompt || prompt);
+        // The analysis depends only on its inputs and the model, so repeated requests are served from the cache
+        const { value: result, cached, cachedAt } = await responseCache.wrap(
+            'smart_prompt',
+            [DEFAULT_MODELS.smartPrompt, mode, prompt, history, answers],
+            { label: `${mode}: ${prompt.slice(0, 120)}` },
+            () => analyzePrompt(prompt, { mode, history, answers, meter: usageLedger.meter(req.user, chatId || null) })
+        );
+        if (cached) console.log("♻️ Smart prompt cache hit");
+
+        const optimizedPrompt = result.optimized_prompt || prompt;
 
         res.json({
+            mode,
             issues: result.issues || [],
-            optimizedPrompt: result.optimized_prompt || prompt,
-            originalTokens,
-            optimizedTokens
+            questions: result.questions || [],
+            optimizedPrompt,
+            diff: wordDiff(prompt, optimizedPrompt),
+            usedHistory: history.length > 0,
+            originalTokens: countTokens(prompt),
+            optimizedTokens: countTokens(optimizedPrompt),
+            cached,
+            cachedAt
         });
 
     } catch (error) {
         console.error("Smart Prompt Error:", error);
+        if (error instanceof StructuredOutputError) {
+            return res.status(502).json({ error: "The smart prompt model returned an unusable analysis. Try again." });
+        }
         res.status(500).json({ error: "Failed to analyze prompt" });
     }
 });
 
-// --- Web Search Helper ---
-async function performWebSearch(query) {
-    if (!SERP_API_KEY) {
-        console.warn("⚠️ SERP_API_KEY missing. Skipping web search.");
-        return null;
-    }
-    console.log(`🔎 Performing Web Search (Google AI Mode) for: "${query}"`);
-    try {
-        const url = new URL("https://serpapi.com/search.json");
-        url.searchParams.append("engine", "google_ai_mode");
-        url.searchParams.append("q", query);
-        url.searchParams.append("api_key", SERP_API_KEY);
-
-        const res = await fetch(url);
-        const data = await res.json();
-        
-        console.log("SerpApi Response Keys:", Object.keys(data));
-        if (data.organic_results) console.log("Organic Results Count:", data.organic_results.length);
-        if (data.text_blocks) {
-            console.log("Text Blocks Count:", data.text_blocks.length);
-            console.log("First Text Block:", JSON.stringify(data.text_blocks[0], null, 2));
-        }
-        if (data.references) {
-            console.log("References Count:", data.references.length);
-            console.log("First Reference:", JSON.stringify(data.references[0], null, 2));
-        }
+// --- Chat Title Helpers ---
 
-        if (data.error) {
-            console.error("SerpApi Error:", data.error);
-            return null;
-        }
+const MAX_TITLE_LENGTH = 60;
 
-        // Extract meaningful chunks (text_blocks) - Top 10-15
-        let chunks = [];
-        if (data.text_blocks && Array.isArray(data.text_blocks)) {
-            // text_blocks usually contain meaningful content
-            chunks = data.text_blocks.map(b => b.snippet || b.title || b.text).filter(Boolean);
-        }
-        
-        // If no text_blocks, try organic_results snippets
-        if (chunks.length === 0 && data.organic_results) {
-             chunks = data.organic_results.map(r => r.snippet).filter(Boolean);
-        }
+// Heuristic title: the first few words of the user's message
+function fallbackTitle(message) {
+    const words = message.replace(/\s+/g, ' ').trim().split(' ').slice(0, 6).join(' ');
+    return words.length > MAX_TITLE_LENGTH ? words.slice(0, MAX_TITLE_LENGTH - 3) + '...' : words;
+}
 
-        // Limit to top 15 chunks
-        const topChunks = chunks.slice(0, 15);
-        console.log(`✅ Found ${topChunks.length} relevant chunks.`);
+const TITLE_SCHEMA = {
+    type: "object",
+    properties: { title: { type: "string", minLength: 1 } },
+    required: ["title"]
+};
 
-        // Extract sources
-        let sources = [];
-        
-        // Strategy 1: Organic Results (Standard Google)
-        if (data.organic_results) {
-             sources = data.organic_results.slice(0, 5).map(r => ({
-                title: r.title,
-                link: r.link,
-                favicon: r.favicon
-            }));
-        }
-        
-        // Strategy 2: References (Google AI Mode)
-        if (sources.length === 0 && data.references) {
-            sources = data.references.slice(0, 5).map(r => ({
-                title: r.title || r.source || "Source",
-                link: r.link,
-                favicon: r.source_icon
-            }));
-        }
-        
-        // Strategy 3: Text Blocks with inline links (Fallback)
-        if (sources.length < 3 && data.text_blocks) {
-             const blockSources = data.text_blocks.map(b => ({
-                title: b.title || b.source || "Source",
-                link: b.link || b.source_url,
-                favicon: null
-            })).filter(s => s.link);
-            
-            // Merge unique sources
-            blockSources.forEach(bs => {
-                if (!sources.find(s => s.link === bs.link) && sources.length < 5) {
-                    sources.push(bs);
+// Ask a cheap model for a short title; falls back to the heuristic on any failure.
+// meter (optional) records the call in the usage ledger.
+async function generateChatTitle(userMessage, assistantResponse, meter) {
+    try {
+        const { value } = await createStructuredCompletion({
+            model: DEFAULT_MODELS.title,
+            name: "chat_title",
+            schema: TITLE_SCHEMA,
+            messages: [
+                {
+                    role: "system",
+                    content: "Write a short title (3-6 words) for the conversation below: no quotes, no punctuation at the end, no emojis."
+                },
+                {
+                    role: "user",
+                    content: `User: ${userMessage.slice(0, 1000)}\n\nAssistant: ${assistantResponse.slice(0, 1000)}`
                 }
-            });
-        }
-        
-        console.log(`✅ Found ${sources.length} sources.`);
+            ],
+            max_tokens: 40,
+            temperature: 0.3
+        }, { timeout: 8000, maxRetries: 0, meter, kind: 'title' });
 
-        return {
-            context: topChunks.join("\n\n"),
-            sources: sources
-        };
+        const title = value.title
+            .replace(/^["'#*\s]+|["'*.\s]+$/g, '')
+            .split('\n')[0];
 
+        if (title) {
+            return title.slice(0, MAX_TITLE_LENGTH);
+        }
     } catch (error) {
-        console.error("Web Search Network Error:", error);
-        return null;
+        console.warn("Title generation failed, using heuristic:", error.message);
     }
+    return fallbackTitle(userMessage);
 }
 
-async function handleWebSearchFlow(query, depth = 'Short') {
-    const searchResult = await performWebSearch(query);
-    const context = searchResult?.context || "No web results found. Please answer based on your general knowledge.";
-    const sources = searchResult?.sources || [];
+// --- Web Search Helper ---
 
-    const depthInstructions = {
-        'Concise': "IMPORTANT CONSTRAINT: Keep your response extremely concise, approximately 100-150 words.",
-        'Short': "IMPORTANT CONSTRAINT: Keep your response short and to the point, approximately 200-300 words.",
-        'Medium': "IMPORTANT CONSTRAINT: Provide a standard medium-length response, approximately 400-600 words.",
-        'Large': "IMPORTANT CONSTRAINT: Provide a very detailed, comprehensive, and in-depth response, approximately 800-1000 words."
-    };
-    const depthInstruction = depthInstructions[depth] || depthInstructions['Short'];
+// Numbered context for the synthesis prompt: each chunk tagged with its citation number
+function formatSearchContext(chunks, sources) {
+    const passages = chunks.map(chunk => chunk.source ? `[${chunk.source}] ${chunk.text}` : `- ${chunk.text}`);
+    const sourceList = sources.map(s => `[${s.id}] ${s.title} (${s.link})`);
+    return `${passages.join("\n\n")}\n\n### SOURCES:\n${sourceList.join("\n")}`;
+}
 
-    const prompt = `
-    ### USER QUERY:
-    ${query}
+// Search context for the chat model: the numbered results and how to cite them
+function formatSearchInstructions(search) {
+    const context = search.chunks.length
+        ? formatSearchContext(search.chunks, search.sources)
+        : "No web results found. Please answer based on your general knowledge.";
+    return `### WEB SEARCH RESULTS (searched for ${search.queries.map(q => `"${q}"`).join(', ')}):\n${context}\n\n### INSTRUCTIONS:\nAnswer using these results where they are relevant, together with the conversation so far. Cite sources inline with their numbers in square brackets, e.g. [1] or [2][3], right after the statement they support. Only use numbers listed under SOURCES, and do not add a list of sources at the end.`;
+}
 
-    ### WEB SEARCH CONTEXT:
-    ${context}
+const MAX_SEARCH_QUERIES = 3;
+// Recent messages the query planner sees to resolve references ("his", "that one", "what about 2023")
+const PLAN_HISTORY_MESSAGES = 6;
 
-    ### INSTRUCTIONS:
-    1. Answer the user's query comprehensively using the provided context.
-    2. Cite the information implicitly by synthesizing it.
-    3. ${depthInstruction}
-    4. Format nicely with Markdown.
-    `;
+const SEARCH_QUERIES_SCHEMA = {
+    type: "object",
+    properties: {
+        queries: { type: "array", maxItems: MAX_SEARCH_QUERIES, items: { type: "string" } }
+    },
+    required: ["queries"]
+};
 
-    // Call Kimi Model
-    const KIMI_MODEL = "moonshotai/Kimi-K2-Instruct-0905:groq";
-    console.log("🤖 Calling Kimi Model for Web Search:", KIMI_MODEL);
+// Up to MAX_SEARCH_QUERIES distinct, non-empty queries; `fallback` when there are none
+function cleanQueries(queries, fallback) {
+    const seen = new Set();
+    const cleaned = (Array.isArray(queries) ? queries : [])
+        .filter(q => typeof q === 'string')
+        .map(q => q.trim().slice(0, 300))
+        .filter(q => q && !seen.has(q.toLowerCase()) && seen.add(q.toLowerCase()))
+        .slice(0, MAX_SEARCH_QUERIES);
+    return cleaned.length > 0 ? cleaned : [fallback];
+}
+
+// Rewrite the latest user message into standalone search queries using the recent conversation.
+// Falls back to the message itself when planning fails.
+async function planSearchQueries(history, { signal, meter } = {}) {
+    const latest = history[history.length - 1]?.content || "";
+    const transcript = history
+        .slice(-PLAN_HISTORY_MESSAGES)
+        .map(t => `${t.role === 'user' ? 'User' : 'Assistant'}: ${t.content.slice(0, 600)}`)
+        .join('\n\n');
 
     try {
-        const completion = await openai.chat.completions.create({
-            model: KIMI_MODEL,
+        const { value } = await createStructuredCompletion({
+            model: DEFAULT_MODELS.queryPlan,
+            name: "search_queries",
+            schema: SEARCH_QUERIES_SCHEMA,
             messages: [
-                { role: "system", content: "You are Kimi, an intelligent AI assistant capable of synthesizing web search results." },
-                { role: "user", content: prompt }
+                {
+                    role: "system",
+                    content: `You write web search queries for the last user message of a conversation.
+Resolve pronouns and references from the conversation (names, places, products, dates) so that every query makes sense on its own, and keep the keywords a search engine needs.
+Write one query, or up to ${MAX_SEARCH_QUERIES} when the message asks about several distinct things or needs different angles (e.g. a comparison).`
+                },
+                { role: "user", content: `### CONVERSATION:\n${transcript}` }
             ],
-            max_tokens: 2048,
-            temperature: 0.7
-        });
+            max_tokens: 200,
+            temperature: 0.2
+        }, { signal, meter, kind: 'query_plan' });
+        return cleanQueries(value.queries, latest);
+    } catch (error) {
+        if (!signal?.aborted) console.warn("Query Planning Error (searching for the message as-is):", error.message);
+        return [latest];
+    }
+}
 
-        let response = completion.choices[0]?.message?.content || "Failed to generate response.";
-        
-        // Append sources section to response if available
-        if (sources.length > 0) {
-            response += "\n\n---\n### 🌐 Sources\n";
-            sources.forEach((s, i) => {
-                response += `${i+1}. [${s.title}](${s.link})\n`;
-            });
-        }
+// --- Memory Helper ---
 
-        return { 
-            response: response, 
-            usage: completion.usage || { input_tokens: 0, output_tokens: 0 } 
-        };
-    } catch (e) {
-        console.error("Kimi Model Error:", e);
-        return { response: "Error generating web search response.", usage: {} };
+// What the assistant remembers about the user, for the chat model's system prompt
+function formatMemoryInstructions(memories) {
+    return `### ABOUT THE USER (remembered from earlier conversations):\n${memories.map(m => `- ${m.content}`).join('\n')}\n\nTake these into account where they are relevant. Don't bring them up otherwise, and don't mention that you remember them unless asked.`;
+}
+
+// --- Document Helper ---
+
+// Excerpts of the chat's attached files for the chat model, each labelled with its citation
+function formatDocumentInstructions(chunks) {
+    const excerpts = chunks.map(chunk => `[${chunk.citation}]\n${chunk.content}`);
+    return `### ATTACHED FILES (excerpts relevant to the latest message):\n${excerpts.join("\n\n")}\n\n### INSTRUCTIONS:\nUse these excerpts from the user's files where they are relevant. Cite them with the label shown above each excerpt in square brackets, e.g. [${chunks[0].citation}], right after the statement they support. If the excerpts don't cover the question, say so instead of guessing what the files contain.`;
+}
+
+// The files an answer was given, one entry per cited location
+function documentSources(chunks) {
+    const seen = new Set();
+    return chunks
+        .filter(chunk => !seen.has(chunk.citation) && seen.add(chunk.citation))
+        .map(({ document_id, filename, page, start_line, end_line, citation }) => ({ document_id, filename, page, start_line, end_line, citation }));
+}
+
+// --- Persona Helpers ---
+
+// The persona a chat was started with, or null for the default one
+async function personaForChat(chat) {
+    if (!chat?.persona_id) return null;
+    try {
+        return await storage.getPersona(chat.persona_id);
+    } catch (error) {
+        console.warn("Load Persona Error (using the default persona):", error.message);
+        return null;
     }
 }
 
-async function generateResponse(prompt, depth = 'Short') {
+// onToken (optional) receives each content delta as it streams in; signal aborts the upstream request.
+// summary (optional) is the running summary of turns that no longer fit in the prompt.
+// systemPrompt (optional) is the chat's persona prompt, in place of DEFAULT_SYSTEM_PROMPT.
+// memoryContext (optional) lists what is remembered about the user from other chats.
+// searchContext and documentContext (optional) hold web search results and file excerpts for the model to answer from.
+async function generateResponse(prompt, depth = 'Short', { onToken, signal, systemPrompt, summary, memoryContext, searchContext, documentContext, model = DEFAULT_MODELS.chat } = {}) {
+    let out = "";
     try {
         console.log("Generating response for history length:", prompt.length, "Depth:", depth);
-        let out = "";
         
-        // Depth Logic
-        const depthInstructions = {
-            'Concise': "IMPORTANT CONSTRAINT: Keep your response extremely concise, approximately 100-150 words.",
-            'Short': "IMPORTANT CONSTRAINT: Keep your response short and to the point, approximately 200-300 words.",
-            'Medium': "IMPORTANT CONSTRAINT: Provide a standard medium-length response, approximately 400-600 words.",
-            'Large': "IMPORTANT CONSTRAINT: Provide a very detailed, comprehensive, and in-depth response, approximately 800-1000 words."
-        };
-
-        const depthInstruction = depthInstructions[depth] || depthInstructions['Short'];
+        const depthInstruction = DEPTH_INSTRUCTIONS[depth] || DEPTH_INSTRUCTIONS['Short'];
         
-        // Debug: Check environment
-        if (!HF_API_KEY) {
-            console.error("HF_API_KEY is missing!");
-            return "Error: Hugging Face Access Token is missing. Please check your .env file.";
-        }
-
-        console.log("Calling HF via OpenAI SDK with model:", HF_MODEL);
+        console.log("Calling model:", model);
 
-        const stream = await openai.chat.completions.create({
-            model: HF_MODEL,
+        const stream = await createChatCompletion({
+            model: model,
             messages: [
-                { role: "system", content: `You are Sanyai, an advanced AI assistant designed to be helpful, engaging, and visually structured.\n\n### GUIDELINES:\n1. **FORMATTING**: Use **GitHub Flavored Markdown** exclusively. Make your responses visually appealing.\n2. **STRUCTURE**: Use **Markdown Tables** for data/comparisons. Use **Bold** for key terms. Use **Headers** (#, ##) to separate sections.\n3. **NO HTML**: NEVER use HTML tags like <br>, <b>, <i>, <table>, etc. Use standard Markdown syntax instead.\n4. **ENGAGEMENT**: Use emojis 🚀✨ sparingly in headers to make them pop. Use \`code blocks\` for technical terms.\n5. **CLARITY**: Use bullet points and numbered lists for readability. Use > Blockquotes for summaries or important notes.\n6. **LENGTH CONSTRAINT**: ${depthInstruction}` },
+                { role: "system", content: `${systemPrompt || DEFAULT_SYSTEM_PROMPT}\n\n### LENGTH CONSTRAINT:\n${depthInstruction}` },
+                ...(memoryContext ? [{ role: "system", content: memoryContext }] : []),
+                ...(summary ? [{ role: "system", content: `### SUMMARY OF EARLIER CONVERSATION:\n${summary}` }] : []),
+                ...(documentContext ? [{ role: "system", content: documentContext }] : []),
+                ...(searchContext ? [{ role: "system", content: searchContext }] : []),
                 ...prompt // prompt is passed as an array of messages
             ],
-            max_tokens: 2048,
+            max_tokens: Math.min(MAX_RESPONSE_TOKENS, getModel(model)?.maxOutput || MAX_RESPONSE_TOKENS),
             temperature: 0.7,
             stream: true
-        });
+        }, { signal });
 
         for await (const chunk of stream) {
             if (chunk.choices && chunk.choices.length > 0 && chunk.choices[0].delta && chunk.choices[0].delta.content) {
                 out += chunk.choices[0].delta.content;
+                onToken?.(chunk.choices[0].delta.content);
             }
         }
         
@@ -360,7 +358,12 @@ async function generateResponse(prompt, depth = 'Short') {
         }
         return out;
     } catch (error) {
-        console.error("OpenAI/HF API Error:", error);
+        if (signal?.aborted) {
+            // Client stopped the generation: keep whatever was produced so far
+            console.warn("Generation aborted by client. Partial length:", out.length);
+            return out;
+        }
+        console.error("Model API Error:", error);
         return `Error calling AI Model: ${error.message}. Please check your API key and connection.`;
     }
 }
@@ -376,29 +379,240 @@ const graphChannels = {
     depth: {
         value: (x, y) => y, // Last write wins
         default: () => 'Medium'
+    },
+    chatId: {
+        value: (x, y) => y,
+        default: () => null
+    },
+    model: {
+        value: (x, y) => y,
+        default: () => DEFAULT_MODELS.chat
+    },
+    // Messages actually sent to the model (a recent window of `messages`)
+    context: {
+        value: (x, y) => y,
+        default: () => null
+    },
+    // Running summary of the turns before `context`
+    summary: {
+        value: (x, y) => y,
+        default: () => null
+    },
+    // Web search mode for this turn ('off' | 'auto' | 'always') and whether to read result pages
+    searchMode: {
+        value: (x, y) => y,
+        default: () => 'off'
+    },
+    deepResearch: {
+        value: (x, y) => y,
+        default: () => false
+    },
+    // What the router decided to search for (empty: answer without searching)
+    searchQueries: {
+        value: (x, y) => y,
+        default: () => []
+    },
+    // Results of the search: { queries, chunks, sources, cached } (cached: per query, served from the cache)
+    search: {
+        value: (x, y) => y,
+        default: () => null
+    },
+    // Excerpts of the chat's attached files chosen for this turn (see documents/index.js)
+    documents: {
+        value: (x, y) => y,
+        default: () => []
+    },
+    // The chat's persona prompt (null: DEFAULT_SYSTEM_PROMPT)
+    systemPrompt: {
+        value: (x, y) => y,
+        default: () => null
+    },
+    // Whose long-term memory to recall from (null: memory is off), and what was recalled (see memory.js)
+    memoryUser: {
+        value: (x, y) => y,
+        default: () => null
+    },
+    memories: {
+        value: (x, y) => y,
+        default: () => []
     }
 };
 
 // 2. Define Nodes
-async function callModel(state) {
-    const messages = state.messages;
+
+// Recall what is remembered about the user that bears on the latest message
+async function recallMemories(state) {
+    if (!state.memoryUser) return { memories: [] };
+    const latest = state.messages[state.messages.length - 1]?.content || "";
+
+    try {
+        const memories = await memory.recall(state.memoryUser, latest);
+        if (memories.length > 0) console.log(`🧠 Recalled ${memories.length} memories`);
+        return { memories };
+    } catch (error) {
+        console.warn("Memory Recall Error (answering without memory):", error.message);
+        return { memories: [] };
+    }
+}
+
+// Find the passages of the chat's attached files that match the latest message
+async function retrieveDocuments(state) {
+    if (!state.chatId || String(state.chatId).startsWith('local-')) return { documents: [] };
+    const latest = state.messages[state.messages.length - 1]?.content || "";
+
+    try {
+        const documents = await storage.listDocuments(state.chatId);
+        if (documents.length === 0) return { documents: [] };
+        const chunks = selectChunks(documents, await storage.listDocumentChunks(state.chatId), latest);
+        console.log(`📎 Retrieved ${chunks.length} excerpts from ${documents.length} attached files`);
+        return { documents: chunks };
+    } catch (error) {
+        console.warn("Document Retrieval Error (answering without files):", error.message);
+        return { documents: [] };
+    }
+}
+
+// Tool offered to the chat model in 'auto' search mode
+const WEB_SEARCH_TOOL = {
+    type: "function",
+    function: {
+        name: "web_search",
+        description: "Search the web. Use it for current events, recent or changing facts (prices, scores, releases, statistics) and specifics you don't know reliably; not for greetings, opinions, writing or coding help you can answer yourself.",
+        parameters: {
+            type: "object",
+            properties: {
+                queries: {
+                    type: "array",
+                    items: { type: "string" },
+                    maxItems: MAX_SEARCH_QUERIES,
+                    description: `1-${MAX_SEARCH_QUERIES} standalone search queries, with names and details from the conversation filled in; more than one only for distinct topics or angles`
+                }
+            },
+            required: ["queries"]
+        }
+    }
+};
+
+const ROUTER_PROMPT = "You are the routing step of an AI assistant. Decide whether answering the user's latest message needs a web search: current events, recent or changing facts, or specifics you don't know reliably. Greetings, opinions, writing, coding and general knowledge don't.";
+
+// The router's answer when the chat model can't call tools
+const SEARCH_DECISION_SCHEMA = {
+    type: "object",
+    properties: {
+        search: { type: "boolean", description: "whether answering needs a web search" },
+        queries: { ...SEARCH_QUERIES_SCHEMA.properties.queries, description: "standalone search queries, when searching" }
+    },
+    required: ["search", "queries"]
+};
+
+// Decide whether this turn searches the web, and for what.
+// 'always' plans standalone queries from the recent conversation (planSearchQueries);
+// in 'auto' mode the chat model decides by calling the web_search tool with its queries
+// (models without tool support answer a JSON question instead).
+async function routeSearch(state, config) {
+    const latest = state.messages[state.messages.length - 1]?.content || "";
+    const { signal, meter } = config?.configurable || {};
+    if (state.searchMode === 'off') return { searchQueries: [] };
+    if (state.searchMode === 'always') {
+        const searchQueries = await planSearchQueries(toChatMessages(state.messages), { signal, meter });
+        console.log(`🧭 Query plan: ${searchQueries.map(q => `"${q}"`).join(', ')}`);
+        return { searchQueries };
+    }
+
+    const useTools = hasCapability(getModel(state.model), 'tools');
+    const messages = [
+        { role: "system", content: ROUTER_PROMPT },
+        ...(state.summary ? [{ role: "system", content: `### SUMMARY OF EARLIER CONVERSATION:\n${state.summary}` }] : []),
+        ...toChatMessages(state.context || state.messages)
+    ];
+
+    try {
+        let searchQueries = [];
+        if (useTools) {
+            const startedAt = Date.now();
+            const completion = await createChatCompletion({
+                model: state.model,
+                messages,
+                tools: [WEB_SEARCH_TOOL],
+                tool_choice: "auto",
+                max_tokens: 512,
+                temperature: 0
+            }, { signal });
+
+            const usage = completion.usage
+                ? { input_tokens: completion.usage.prompt_tokens, output_tokens: completion.usage.completion_tokens }
+                : { input_tokens: messages.reduce((acc, msg) => acc + countTokens(msg.content), 0), output_tokens: 0 };
+            await meter?.('router', { model: state.model, usage, latencyMs: Date.now() - startedAt });
+
+            const call = completion.choices[0]?.message?.tool_calls?.find(c => c.function?.name === WEB_SEARCH_TOOL.function.name);
+            if (call) searchQueries = cleanQueries(JSON.parse(call.function.arguments || "{}").queries, latest);
+        } else {
+            const { value: decision } = await createStructuredCompletion({
+                model: state.model,
+                name: "search_decision",
+                schema: SEARCH_DECISION_SCHEMA,
+                messages,
+                max_tokens: 512,
+                temperature: 0
+            }, { signal, meter, kind: 'router' });
+            if (decision.search) searchQueries = cleanQueries(decision.queries, latest);
+        }
+
+        console.log(searchQueries.length
+            ? `🧭 Router: searching for ${searchQueries.map(q => `"${q}"`).join(', ')}`
+            : "🧭 Router: answering without search");
+        return { searchQueries };
+    } catch (error) {
+        if (!signal?.aborted) console.warn("Search Router Error (answering without search):", error.message);
+        return { searchQueries: [] };
+    }
+}
+
+async function searchTheWeb(state, config) {
+    const { onSearch, onSources, signal } = config?.configurable || {};
+    const queries = state.searchQueries;
+    onSearch?.(queries);
+
+    const result = await searchWebQueries(queries, { cache: responseCache });
+    const sources = result?.sources || [];
+    let chunks = result?.chunks || [];
+    if (state.deepResearch && sources.length > 0) {
+        // Page passages go first: they are fuller than the snippets and already ranked against the queries
+        chunks = [...await readPages(queries.join(' '), sources, { signal }), ...chunks];
+    }
+    if (sources.length > 0) onSources?.(sources);
+
+    return { search: { queries, chunks, sources, cached: result?.cached || queries.map(() => false) } };
+}
+
+async function callModel(state, config) {
+    const messages = state.context || state.messages;
     const depth = state.depth || 'Medium';
+    const summary = state.summary;
+    const searchContext = state.search ? formatSearchInstructions(state.search) : null;
+    const documentContext = state.documents.length > 0 ? formatDocumentInstructions(state.documents) : null;
+    const memoryContext = state.memories.length > 0 ? formatMemoryInstructions(state.memories) : null;
+    // Streaming hooks and the usage meter are passed per-invocation through the runnable config
+    const { onToken, signal, meter } = config?.configurable || {};
     
     // Convert LangChain messages back to the format expected by our generateResponse function
-    // generateResponse expects: [{ role: 'user'|'assistant', content: string }]
-    const formattedHistory = messages.map(msg => {
-        const role = msg._getType() === 'human' ? 'user' : 'assistant';
-        return { role, content: msg.content };
-    });
+    const formattedHistory = toChatMessages(messages);
 
     // Call the model (generateResponse acts as our LLM call)
-    const responseContent = await generateResponse(formattedHistory, depth);
+    const startedAt = Date.now();
+    const responseContent = await generateResponse(formattedHistory, depth, { onToken, signal, systemPrompt: state.systemPrompt, summary, memoryContext, searchContext, documentContext, model: state.model });
+    const latencyMs = Date.now() - startedAt;
 
     // Calculate usage
-    // Input tokens: Sum of all message contents
-    const inputTokens = formattedHistory.reduce((acc, msg) => acc + countTokens(msg.content), 0);
+    // Input tokens: Sum of all message contents sent, plus the running summary, memories, search results and file excerpts
+    const inputTokens = formattedHistory.reduce((acc, msg) => acc + countTokens(msg.content), 0)
+        + (summary ? countTokens(summary) : 0)
+        + (memoryContext ? countTokens(memoryContext) : 0)
+        + (searchContext ? countTokens(searchContext) : 0)
+        + (documentContext ? countTokens(documentContext) : 0);
     // Output tokens: The generated response
     const outputTokens = countTokens(responseContent);
+    await meter?.(state.search ? 'web_search' : 'chat', { model: state.model, usage: { input_tokens: inputTokens, output_tokens: outputTokens }, latencyMs });
 
     // Return the new message as a state update, attached with usage metadata
     return { 
@@ -415,189 +629,942 @@ async function callModel(state) {
 }
 
 // 3. Build and Compile Graph
+// contextManager -> memory -> retrieval -> searchRouter -> (webSearch ->) agent
 const workflow = new StateGraph({ channels: graphChannels })
+    .addNode("contextManager", manageContext)
+    .addNode("memory", recallMemories)
+    .addNode("retrieval", retrieveDocuments)
+    .addNode("searchRouter", routeSearch)
+    .addNode("webSearch", searchTheWeb)
     .addNode("agent", callModel)
-    .addEdge(START, "agent")
+    .addEdge(START, "contextManager")
+    .addEdge("contextManager", "memory")
+    .addEdge("memory", "retrieval")
+    .addEdge("retrieval", "searchRouter")
+    .addConditionalEdges("searchRouter", (state) => state.searchQueries.length > 0 ? "webSearch" : "agent", ["webSearch", "agent"])
+    .addEdge("webSearch", "agent")
     .addEdge("agent", END);
 
 const appGraph = workflow.compile();
 
 // 4. Run LangGraph
-async function runLangGraph(history, depth = 'Medium') {
+// Returns the reply with its model and usage, plus the search it ran (null when it didn't search)
+// and the file excerpts it was given.
+// memoryUser (optional) is the user whose long-term memory to recall from; systemPrompt (optional) the chat's persona prompt.
+async function runLangGraph(history, depth = 'Medium', { onToken, onSearch, onSources, signal, meter, chatId, memoryUser = null, systemPrompt = null, searchMode = 'off', deepResearch = false, model = DEFAULT_MODELS.chat } = {}) {
     console.log("🚀 Orchestrating with LangGraph...");
     
-    // Convert plain history to LangChain Messages
+    // Convert plain history to LangChain Messages (ids let the contextManager node track what is summarized)
     const inputs = history.map(msg => {
-        if (msg.role === 'user') return new HumanMessage(msg.content);
-        return new AIMessage(msg.content);
+        if (msg.role === 'user') return new HumanMessage({ content: msg.content, id: msg.id });
+        return new AIMessage({ content: msg.content, id: msg.id });
     });
 
     // Invoke the graph
-    // We pass the full history as the initial state
-    const result = await appGraph.invoke({ messages: inputs, depth: depth });
+    // We pass the full history as the initial state; the contextManager node trims it to the budget
+    const result = await appGraph.invoke(
+        { messages: inputs, depth: depth, chatId: chatId, model: model, systemPrompt: systemPrompt, memoryUser: memoryUser, searchMode: searchMode, deepResearch: deepResearch },
+        { configurable: { onToken, onSearch, onSources, signal, meter } }
+    );
     
     // Extract the final response (the last message added by the agent node)
     const lastMessage = result.messages[result.messages.length - 1];
     
     return {
         content: lastMessage.content,
-        usage: lastMessage.additional_kwargs?.usage || { input_tokens: 0, output_tokens: 0 }
+        model: model,
+        usage: lastMessage.additional_kwargs?.usage || { input_tokens: 0, output_tokens: 0 },
+        search: result.search,
+        documents: result.documents
     };
 }
 
+// --- Streaming Helpers ---
+
+// Write a single Server-Sent Event to the response
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// --- Chat Turn Helpers ---
+
+function wantsStream(req) {
+    return req.body.stream === true || (req.headers.accept || '').includes('text/event-stream');
+}
+
+// Load a chat with all of its messages and the active branch. Unsaved chats yield empty results.
+async function loadConversation(chatId) {
+    try {
+        const [chat, rows] = await Promise.all([storage.getChat(chatId), storage.listMessages(chatId)]);
+        return { chat, rows, path: buildActivePath(rows, chat?.current_leaf_id) };
+    } catch (error) {
+        console.warn("Load History Error:", error.message);
+        return { chat: null, rows: [], path: [] };
+    }
+}
+
+// Generate, store and send the assistant reply for one turn (shared by /chat and regenerate).
+// `conversation` ends with the user message being answered, whose id is `parentId`;
+// `siblings` are the ids of replies already stored under that message.
+// Pass `stream: true` (or send `Accept: text/event-stream`) to receive the reply as SSE:
+// `meta` { chat_id, message_id } -> `search` { queries } and `sources` { sources } (if it searches the web) -> `delta` { content }* -> `done` { chat_id, message_id, ... } | `error` { error }
+async function respondWithReply(req, res, { chatId, conversation, parentId, siblings = [], depth, searchMode = 'off', deepResearch, model, persona = null, extra = {} }) {
+    const streaming = wantsStream(req);
+    const query = conversation[conversation.length - 1].content;
+    // Assigned up front so a streaming client knows the reply's id before it is stored
+    const replyId = randomUUID();
+    const meter = usageLedger.meter(req.user, chatId);
+    const startedAt = Date.now();
+
+    // 1. Generate Response
+    let streamOptions = {};
+    let streamedAny = false;
+
+    if (streaming) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        sendEvent(res, 'meta', { chat_id: chatId, ...extra, message_id: replyId });
+
+        // Abort the upstream model request if the client goes away (e.g. Stop button)
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+
+        streamOptions = {
+            onToken: (content) => {
+                streamedAny = true;
+                sendEvent(res, 'delta', { content });
+            },
+            onSearch: (queries) => sendEvent(res, 'search', { queries }),
+            onSources: (sources) => sendEvent(res, 'sources', { sources }),
+            signal: controller.signal
+        };
+    }
+
+    let memoryEnabled = false;
+    try {
+        memoryEnabled = await memory.isEnabled(req.user);
+    } catch (error) {
+        console.warn("Memory Settings Error (answering without memory):", error.message);
+    }
+
+    // LangGraph flow; it decides whether to search the web according to `searchMode`.
+    // Replies that always search default to the web search model.
+    const reply = await runLangGraph(conversation, depth, {
+        ...streamOptions,
+        meter,
+        chatId: chatId,
+        memoryUser: memoryEnabled ? req.user : null,
+        systemPrompt: persona?.system_prompt || null,
+        searchMode,
+        deepResearch: Boolean(deepResearch),
+        model: model || (searchMode === 'always' ? DEFAULT_MODELS.webSearch : undefined)
+    });
+    const assistantResponse = reply.content;
+    const usedModel = reply.model;
+    const usage = reply.usage;
+    const webSearched = Boolean(reply.search);
+    const sources = reply.search?.sources || [];
+    const searchQueries = reply.search?.queries || [];
+    const searchCached = reply.search?.cached || [];
+    const fileSources = documentSources(reply.documents || []);
+
+    // Fallback/error texts are returned without being streamed; forward them as a single delta
+    if (streaming && !streamedAny && assistantResponse && !res.writableEnded) {
+        sendEvent(res, 'delta', { content: assistantResponse });
+    }
+
+    const latencyMs = Date.now() - startedAt;
+
+    // 2. Insert Assistant Response (partial replies from a stopped stream are kept too)
+    //    with how it was produced, and make it the tip of the chat's active branch
+    let messageId = null;
+    if (assistantResponse) {
+        try {
+            const saved = await storage.appendMessage(chatId, {
+                id: replyId,
+                role: 'assistant',
+                content: assistantResponse,
+                model: usedModel,
+                parent_id: parentId,
+                depth: depth,
+                web_search: webSearched,
+                input_tokens: usage?.input_tokens ?? null,
+                output_tokens: usage?.output_tokens ?? null,
+                latency_ms: latencyMs,
+                sources: sources,
+                search_queries: searchQueries,
+                document_sources: fileSources
+            });
+            messageId = saved.id;
+            await storage.updateChat(chatId, { current_leaf_id: messageId });
+        } catch (error) {
+            console.error("Insert Assistant Message Error:", error.message);
+        }
+    }
+
+    // 3. Title the chat after its first exchange
+    let title = null;
+    try {
+        const chat = await storage.getChat(chatId);
+        title = chat?.title || null;
+        if (chat && !title && assistantResponse) {
+            title = await generateChatTitle(query, assistantResponse, meter);
+            await storage.updateChat(chatId, { title });
+        }
+    } catch (error) {
+        console.warn("Chat Title Error:", error.message);
+    }
+
+    // 4. Return Result
+    const result = {
+        chat_id: chatId,
+        ...extra,
+        message_id: messageId,
+        parent_id: parentId,
+        siblings: messageId ? [...siblings, messageId] : siblings,
+        title: title,
+        model: usedModel,
+        depth: depth,
+        web_search: webSearched,
+        usage: usage,
+        latency_ms: latencyMs,
+        sources: sources,
+        search_queries: searchQueries,
+        search_cached: searchCached,
+        document_sources: fileSources
+    };
+
+    if (streaming) {
+        if (!res.writableEnded) {
+            sendEvent(res, 'done', result);
+            res.end();
+        }
+    } else {
+        res.json({ ...result, response: assistantResponse });
+    }
+
+    // 5. Learn from the exchange, after the reply is out so it doesn't wait on another model call
+    if (memoryEnabled && assistantResponse) {
+        memory.learn(req.user, { userMessage: query, assistantResponse, chatId, meter })
+            .catch(error => console.error("Memory Learn Error:", error.message));
+    }
+}
+
+// Report a failed turn, as an SSE `error` event once a stream has started
+function sendTurnError(res, error, label) {
+    console.error(`Error in ${label}:`, error);
+    if (res.headersSent) {
+        if (!res.writableEnded) {
+            sendEvent(res, 'error', { error: "Internal Server Error" });
+            res.end();
+        }
+        return;
+    }
+    res.status(500).json({ error: "Internal Server Error" });
+}
+
 // --- Endpoints ---
 
 // POST /chat
-app.post('/chat', async (req, res) => {
+// Body: message, chat_id (omit to start a chat), persona_id (for a new chat; its turns use that persona),
+// depth, model, webSearch ('off' | 'auto' | 'always'), deepResearch, stream.
+// depth, model and webSearch default to the chat persona's defaults, if it has them.
+app.post('/chat', authenticate, limited, async (req, res) => {
   try {
-    let { chat_id, message, depth, webSearch } = req.body;
+    let { chat_id, message, depth, webSearch, deepResearch, model, persona_id } = req.body;
     
-    if (!message) {
+    if (typeof message !== 'string' || !message.trim()) {
       return res.status(400).json({ error: "Message is required" });
     }
 
-    // Default depth if not provided
-    if (!depth) depth = 'Short';
+    if (chat_id != null && typeof chat_id !== 'string') {
+        return res.status(400).json({ error: "chat_id must be a string" });
+    }
+
+    // Requested model must be a registered chat model
+    if (model && !hasCapability(getModel(model), 'chat')) {
+        return res.status(400).json({ error: `Unknown model "${model}". See GET /models.` });
+    }
+
+    if (!parseSearchMode(webSearch)) {
+        return res.status(400).json({ error: `webSearch must be one of: ${SEARCH_MODES.join(', ')}.` });
+    }
 
     // 1. Handle Chat Session
+    let chat = null;
+    if (chat_id && !chat_id.startsWith('local-')) {
+        chat = await storage.getChat(chat_id).catch(() => null);
+        if (!ownsChat(chat, req)) {
+            return res.status(404).json({ error: "Chat not found" });
+        }
+    }
     if (!chat_id) {
-        if (supabase) {
-            const { data, error } = await supabase
-                .from('chats')
-                .insert({})
-                .select()
-                .single();
-            if (error) {
-                console.error("Supabase Create Chat Error:", error);
-                // Fallback if DB fails
-                chat_id = 'local-' + Date.now();
-            } else {
-                chat_id = data.id;
-            }
-        } else {
+        if (persona_id && !await findOwnPersona(req, persona_id)) {
+            return res.status(404).json({ error: "Persona not found" });
+        }
+        try {
+            chat = await storage.createChat({ user_id: req.user.id, persona_id: persona_id || null });
+            chat_id = chat.id;
+        } catch (error) {
+            console.error("Create Chat Error:", error.message);
+            // Fallback if DB fails
             chat_id = 'local-' + Date.now();
         }
     }
 
-    // 2. Insert User Message
-    if (supabase) {
-        await supabase.from('messages').insert({
-            chat_id: chat_id,
-            role: 'user',
-            content: message
-        });
+    // 2. Load the active branch and append the user message to it
+    const { path } = await loadConversation(chat_id);
+    const parentId = path.length > 0 ? path[path.length - 1].id : null;
+    let userMessage = { role: 'user', content: message };
+    try {
+        userMessage = await storage.appendMessage(chat_id, { role: 'user', content: message, parent_id: parentId });
+    } catch (error) {
+        console.error("Insert User Message Error:", error.message);
     }
 
-    // 3. Load Conversation Context
-    let conversation = [];
-    if (supabase) {
-        const { data: history, error: historyError } = await supabase
-            .from('messages')
-            .select('role, content')
-            .eq('chat_id', chat_id)
-            .order('created_at', { ascending: true });
-        
-        if (!historyError) {
-            conversation = history;
-        } else {
-            conversation = [{ role: 'user', content: message }];
-        }
-    } else {
-        conversation = [{ role: 'user', content: message }];
+    // 3. Conversation Context: the active branch plus the new message
+    const conversation = [...path, userMessage].map(({ id, role, content }) => ({ id, role, content }));
+
+    // 4. Generate, store and return the reply, as the chat's persona
+    const persona = await personaForChat(chat);
+    await respondWithReply(req, res, {
+        chatId: chat_id,
+        conversation,
+        parentId: userMessage.id || null,
+        ...turnSettings(persona, { depth, webSearch, model }),
+        deepResearch,
+        persona,
+        extra: { user_message_id: userMessage.id || null }
+    });
+
+  } catch (error) {
+    sendTurnError(res, error, "/chat");
+  }
+});
+
+// POST /chat/:id/messages/:messageId/regenerate
+// Re-run the turn that produced an assistant message, storing the new reply as a sibling version.
+// Body: depth, model (defaults to the original message's model), webSearch ('off' | 'auto' | 'always'), deepResearch, stream
+// (depth and webSearch default to the chat persona's)
+app.post('/chat/:id/messages/:messageId/regenerate', authenticate, limited, async (req, res) => {
+  try {
+    const { id, messageId } = req.params;
+    const { depth, webSearch, deepResearch, model } = req.body;
+
+    if (model && !hasCapability(getModel(model), 'chat')) {
+        return res.status(400).json({ error: `Unknown model "${model}". See GET /models.` });
     }
 
-    // 4. Generate Response (Web Search or Standard)
-    let assistantResponse;
-    let usage;
+    if (!parseSearchMode(webSearch)) {
+        return res.status(400).json({ error: `webSearch must be one of: ${SEARCH_MODES.join(', ')}.` });
+    }
 
-    if (webSearch) {
-        console.log("🌍 Triggering Web Search Flow");
-        const result = await handleWebSearchFlow(message, depth);
-        assistantResponse = result.response;
-        usage = result.usage;
-    } else {
-        // Standard LangGraph Flow
-        const result = await runLangGraph(conversation, depth);
-        assistantResponse = result.content;
-        usage = result.usage;
-    }
-
-    // 5. Insert Assistant Response
-    if (supabase) {
-        await supabase.from('messages').insert({
-            chat_id: chat_id,
-            role: 'assistant',
-            content: assistantResponse
-        });
+    const { chat, rows } = await loadConversation(id);
+    const target = rows.find(row => row.id === messageId);
+    if (!ownsChat(chat, req) || !target || target.role !== 'assistant' || !target.parent_id) {
+        return res.status(404).json({ error: "Assistant message not found" });
     }
 
-    // 6. Return Result
-    res.json({
-        chat_id: chat_id,
-        response: assistantResponse,
-        usage: usage
+    // History up to and including the prompt this message answered
+    const conversation = buildActivePath(rows, target.parent_id)
+        .map(({ id, role, content }) => ({ id, role, content }));
+
+    const persona = await personaForChat(chat);
+    await respondWithReply(req, res, {
+        chatId: id,
+        conversation,
+        parentId: target.parent_id,
+        siblings: rows.filter(row => row.parent_id === target.parent_id).map(row => row.id),
+        ...turnSettings(persona, { depth, webSearch, model: model || target.model }),
+        deepResearch,
+        persona
     });
 
   } catch (error) {
-    console.error("Error in /chat:", error);
-    res.status(500).json({ error: "Internal Server Error" });
+    sendTurnError(res, error, "regenerate");
+  }
+});
+
+// POST /chat/:id/messages/:messageId/edit
+// Fork the conversation at a user message: the edited prompt becomes a sibling of the original
+// (which keeps its replies), and the new branch is answered and made active.
+// Body: message, depth, model, webSearch ('off' | 'auto' | 'always'), deepResearch, stream (defaults: the chat persona's)
+app.post('/chat/:id/messages/:messageId/edit', authenticate, limited, async (req, res) => {
+  try {
+    const { id, messageId } = req.params;
+    const { message, depth, webSearch, deepResearch, model } = req.body;
+
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ error: "Message is required" });
+    }
+
+    if (model && !hasCapability(getModel(model), 'chat')) {
+        return res.status(400).json({ error: `Unknown model "${model}". See GET /models.` });
+    }
+
+    if (!parseSearchMode(webSearch)) {
+        return res.status(400).json({ error: `webSearch must be one of: ${SEARCH_MODES.join(', ')}.` });
+    }
+
+    const { chat, rows } = await loadConversation(id);
+    const target = rows.find(row => row.id === messageId);
+    if (!ownsChat(chat, req) || !target || target.role !== 'user') {
+        return res.status(404).json({ error: "User message not found" });
+    }
+
+    // History before the edited message; the new version hangs off the same parent
+    const parentId = target.parent_id || null;
+    const history = parentId ? buildActivePath(rows, parentId) : [];
+    const userMessage = await storage.appendMessage(id, { role: 'user', content: message, parent_id: parentId });
+    const userSiblings = rows.filter(row => (row.parent_id || null) === parentId).map(row => row.id);
+
+    const conversation = [...history, userMessage].map(({ id, role, content }) => ({ id, role, content }));
+
+    const persona = await personaForChat(chat);
+    await respondWithReply(req, res, {
+        chatId: id,
+        conversation,
+        parentId: userMessage.id,
+        ...turnSettings(persona, { depth, webSearch, model }),
+        deepResearch,
+        persona,
+        extra: { user_message_id: userMessage.id, user_siblings: [...userSiblings, userMessage.id] }
+    });
+
+  } catch (error) {
+    sendTurnError(res, error, "edit");
   }
 });
 
+// POST /chat/:id/messages/:messageId/select
+// Switch the active branch to a message version (and its most recent follow-ups)
+app.post('/chat/:id/messages/:messageId/select', authenticate, async (req, res) => {
+    const { id, messageId } = req.params;
+
+    try {
+        const { chat, rows } = await loadConversation(id);
+        const leaf = ownsChat(chat, req) ? findLatestLeaf(rows, messageId) : null;
+        if (!leaf) {
+            return res.status(404).json({ error: "Message not found" });
+        }
+
+        await storage.updateChat(id, { current_leaf_id: leaf.id });
+        res.json({ messages: buildActivePath(rows, leaf.id) });
+
+    } catch (error) {
+        console.error("Error selecting message version:", error);
+        res.status(500).json({ error: "Failed to select message version" });
+    }
+});
+
 // GET /chat/:id
-app.get('/chat/:id', async (req, res) => {
+// Returns the active branch; each message lists its `siblings` (versions at the same position)
+app.get('/chat/:id', authenticate, async (req, res) => {
     const { id } = req.params;
-    
+    const { chat, path } = await loadConversation(id);
+    if (!ownsChat(chat, req)) {
+        return res.status(404).json({ error: "Chat not found" });
+    }
+    res.json({ messages: path, persona_id: chat.persona_id || null });
+});
+
+// PATCH /chat/:id (Rename, pin or archive a chat, or switch its persona; persona_id null is the default one)
+app.patch('/chat/:id', authenticate, async (req, res) => {
+    const { id } = req.params;
+    const { title, pinned, archived, persona_id } = req.body;
+    const updates = {};
+
+    if (title !== undefined) {
+        const trimmed = typeof title === 'string' ? title.trim() : '';
+        if (!trimmed) {
+            return res.status(400).json({ error: "Title must be a non-empty string" });
+        }
+        updates.title = trimmed.slice(0, MAX_TITLE_LENGTH);
+    }
+    for (const [field, value] of Object.entries({ pinned, archived })) {
+        if (value === undefined) continue;
+        if (typeof value !== 'boolean') {
+            return res.status(400).json({ error: `${field} must be a boolean` });
+        }
+        updates[field] = value;
+    }
+    if (persona_id !== undefined) {
+        if (persona_id !== null && typeof persona_id !== 'string') {
+            return res.status(400).json({ error: "persona_id must be a string or null" });
+        }
+        updates.persona_id = persona_id;
+    }
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: "Nothing to update. Provide title, pinned, archived or persona_id." });
+    }
+
+    try {
+        if (!ownsChat(await storage.getChat(id), req)) {
+            return res.status(404).json({ error: "Chat not found" });
+        }
+        if (updates.persona_id && !await findOwnPersona(req, updates.persona_id)) {
+            return res.status(404).json({ error: "Persona not found" });
+        }
+        const chat = await storage.updateChat(id, updates);
+        res.json({ chat: chat });
+
+    } catch (error) {
+        console.error("Error updating chat:", error);
+        res.status(500).json({ error: "Failed to update chat" });
+    }
+});
+
+// DELETE /chat/:id (Delete a chat and its messages)
+app.delete('/chat/:id', authenticate, async (req, res) => {
+    const { id } = req.params;
+
     try {
-        if (!supabase) {
-            return res.json({ messages: [] });
+        if (!ownsChat(await storage.getChat(id), req)) {
+            return res.status(404).json({ error: "Chat not found" });
         }
+        await storage.deleteChat(id);
+        res.status(204).end();
+
+    } catch (error) {
+        console.error("Error deleting chat:", error);
+        res.status(500).json({ error: "Failed to delete chat" });
+    }
+});
+
+// --- Document Endpoints ---
+
+// File uploads arrive as the raw request body, of any Content-Type (the global JSON parser skips this route)
+const parseUpload = express.raw({ type: () => true, limit: MAX_DOCUMENT_BYTES });
 
-        const { data, error } = await supabase
-            .from('messages')
-            .select('*')
-            .eq('chat_id', id)
-            .order('created_at', { ascending: true });
+function readUpload(req, res, next) {
+    parseUpload(req, res, error => {
+        if (!error) return next();
+        res.status(error.status || 400).json({
+            error: error.type === 'entity.too.large'
+                ? `Files can be at most ${Math.round(MAX_DOCUMENT_BYTES / (1024 * 1024))} MB.`
+                : "Could not read the uploaded file"
+        });
+    });
+}
+
+// POST /documents?chat_id=&filename= (Attach a file to a chat)
+// The body is the file itself, sent as application/octet-stream. PDF, Markdown, text and code files are
+// extracted and chunked for retrieval; without chat_id a new chat is created. Returns { chat_id, document, warnings }
+// (warnings: text that could not be read, e.g. from PDF fonts without a text mapping).
+app.post('/documents', authenticate, limited, readUpload, async (req, res) => {
+    const filename = String(req.query.filename || '').trim().slice(0, 200);
+    let chatId = req.query.chat_id || null;
+
+    if (!filename) {
+        return res.status(400).json({ error: "filename is required" });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: "The file is empty. Send its contents as application/octet-stream." });
+    }
 
-        if (error) {
-            console.warn("Supabase Message Fetch Error:", error.message);
-            return res.json({ messages: [] });
+    try {
+        if (chatId) {
+            if (!ownsChat(await storage.getChat(chatId).catch(() => null), req)) {
+                return res.status(404).json({ error: "Chat not found" });
+            }
+            if ((await storage.listDocuments(chatId)).length >= MAX_DOCUMENTS_PER_CHAT) {
+                return res.status(400).json({ error: `A chat can have at most ${MAX_DOCUMENTS_PER_CHAT} files.` });
+            }
         }
 
-        res.json({ messages: data });
+        const { document, chunks, warnings } = await ingestDocument(filename, req.body, req.user.id);
+        if (!chatId) {
+            chatId = (await storage.createChat({ user_id: req.user.id })).id;
+        }
+        const saved = await storage.createDocument({ ...document, chat_id: chatId, user_id: req.user.id }, chunks);
+        console.log(`📎 Attached ${filename} (${document.kind}, ${document.token_count} tokens, ${chunks.length} chunks)`);
+        res.status(201).json({ chat_id: chatId, document: saved, warnings });
 
     } catch (error) {
-        console.error("Error fetching chat:", error);
-        res.json({ messages: [] });
+        if (error instanceof DocumentError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Error uploading document:", error);
+        res.status(500).json({ error: "Failed to upload document" });
     }
 });
 
-// GET /chats (List recent chats)
-app.get('/chats', async (req, res) => {
+// GET /chat/:id/documents (Files attached to a chat)
+app.get('/chat/:id/documents', authenticate, async (req, res) => {
     try {
-        if (!supabase) {
-            return res.json({ chats: [] });
+        if (!ownsChat(await storage.getChat(req.params.id), req)) {
+            return res.status(404).json({ error: "Chat not found" });
         }
+        res.json({ documents: await storage.listDocuments(req.params.id) });
+    } catch (error) {
+        console.error("Error listing documents:", error);
+        res.status(500).json({ error: "Failed to list documents" });
+    }
+});
 
-        const { data, error } = await supabase
-            .from('chats')
-            .select('*')
-            .order('created_at', { ascending: false })
-            .limit(20);
+// DELETE /chat/:id/documents/:documentId (Detach a file; answers already given keep their citations)
+app.delete('/chat/:id/documents/:documentId', authenticate, async (req, res) => {
+    const { id, documentId } = req.params;
 
-        if (error) {
-            console.warn("Supabase Fetch Error (ignoring):", error.message);
-            return res.json({ chats: [] });
+    try {
+        const [chat, document] = await Promise.all([storage.getChat(id), storage.getDocument(documentId)]);
+        if (!ownsChat(chat, req) || document?.chat_id !== id) {
+            return res.status(404).json({ error: "Document not found" });
         }
-        res.json({ chats: data });
+        await storage.deleteDocument(documentId);
+        res.status(204).end();
+
+    } catch (error) {
+        console.error("Error deleting document:", error);
+        res.status(500).json({ error: "Failed to delete document" });
+    }
+});
+
+// --- Auth Endpoints ---
+
+// Answer a failed login/registration: AuthErrors carry their own status
+function sendAuthError(res, error, label) {
+    if (error instanceof AuthError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Error in ${label}:`, error);
+    res.status(500).json({ error: "Internal Server Error" });
+}
+
+// POST /auth/register (Create an account and sign in)
+// Body: username, password. Returns { token, user }; send the token as `Authorization: Bearer <token>`.
+app.post('/auth/register', authAttempts, async (req, res) => {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+        return res.status(400).json({ error: "Username and password are required" });
+    }
+
+    try {
+        const session = await auth.register(String(username).trim(), password);
+        res.status(201).json(session);
+    } catch (error) {
+        sendAuthError(res, error, "/auth/register");
+    }
+});
+
+// POST /auth/login
+// Body: username, password. Returns { token, user }.
+app.post('/auth/login', authAttempts, async (req, res) => {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+        return res.status(400).json({ error: "Username and password are required" });
+    }
+
+    try {
+        const session = await auth.login(String(username).trim(), password);
+        res.json(session);
+    } catch (error) {
+        sendAuthError(res, error, "/auth/login");
+    }
+});
+
+// GET /auth/me (The signed-in user)
+app.get('/auth/me', authenticate, (req, res) => {
+    res.json({ user: req.user });
+});
+
+// GET /quota (Rate limit and token quotas of the signed-in user)
+app.get('/quota', authenticate, async (req, res) => {
+    try {
+        res.json(await limits.getStatus(req.user));
+    } catch (error) {
+        console.error("Error fetching quota:", error);
+        res.status(500).json({ error: "Failed to fetch quota" });
+    }
+});
+
+// GET /usage (Usage and estimated cost of the signed-in user)
+// Query: days (1-365, default 30). Totals overall and by day, model and chat.
+app.get('/usage', authenticate, async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+
+    try {
+        res.json(await usageLedger.report(req.user, { days }));
+    } catch (error) {
+        console.error("Error building usage report:", error);
+        res.status(500).json({ error: "Failed to load usage" });
+    }
+});
+
+// --- Memory Endpoints ---
+
+// Validate a memory's content and kind from a request body: { fields } or { error }.
+// With `partial`, missing fields are left out (for PATCH).
+function parseMemoryFields(body, { partial = false } = {}) {
+    const { content, kind } = body || {};
+    const fields = {};
+
+    if (content !== undefined || !partial) {
+        const trimmed = typeof content === 'string' ? content.trim() : '';
+        if (!trimmed) return { error: "content must be a non-empty string" };
+        if (trimmed.length > MAX_MEMORY_LENGTH) return { error: `content can be at most ${MAX_MEMORY_LENGTH} characters` };
+        fields.content = trimmed;
+    }
+    if (kind !== undefined || !partial) {
+        const value = kind ?? 'fact';
+        if (!MEMORY_KINDS.includes(value)) return { error: `kind must be one of: ${MEMORY_KINDS.join(', ')}` };
+        fields.kind = value;
+    }
+    if (Object.keys(fields).length === 0) return { error: "Nothing to update. Provide content or kind." };
+    return { fields };
+}
+
+// The signed-in user's memory, or null (404) for someone else's
+async function findOwnMemory(req) {
+    const found = await storage.getMemory(req.params.id).catch(() => null);
+    return found && found.user_id === req.user.id ? found : null;
+}
+
+// GET /memory (Whether memory is on, and everything remembered about the signed-in user)
+app.get('/memory', authenticate, async (req, res) => {
+    try {
+        const [enabled, memories] = await Promise.all([memory.isEnabled(req.user), storage.listMemories(req.user.id)]);
+        res.json({ enabled: enabled, memories: memories });
+    } catch (error) {
+        console.error("Error fetching memory:", error);
+        res.status(500).json({ error: "Failed to load memory" });
+    }
+});
+
+// PATCH /memory (Turn memory on or off; existing memories are kept either way)
+// Body: { enabled: boolean }
+app.patch('/memory', authenticate, async (req, res) => {
+    const { enabled } = req.body || {};
+    if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: "enabled must be a boolean" });
+    }
+
+    try {
+        await memory.setEnabled(req.user, enabled);
+        res.json({ enabled: enabled });
+    } catch (error) {
+        console.error("Error updating memory settings:", error);
+        res.status(500).json({ error: "Failed to update memory settings" });
+    }
+});
+
+// POST /memory (Add a memory by hand)
+// Body: { content, kind: 'fact' | 'preference' (default 'fact') }
+app.post('/memory', authenticate, async (req, res) => {
+    const { fields, error } = parseMemoryFields(req.body);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    try {
+        const saved = await memory.add(req.user, fields);
+        if (!saved) {
+            return res.status(409).json({ error: "This is already remembered, or memory is full. Edit or delete some memories first." });
+        }
+        res.status(201).json({ memory: saved });
+    } catch (error) {
+        console.error("Error adding memory:", error);
+        res.status(500).json({ error: "Failed to add memory" });
+    }
+});
+
+// PATCH /memory/:id (Edit a memory's content and/or kind)
+app.patch('/memory/:id', authenticate, async (req, res) => {
+    const { fields, error } = parseMemoryFields(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    try {
+        if (!await findOwnMemory(req)) {
+            return res.status(404).json({ error: "Memory not found" });
+        }
+        res.json({ memory: await storage.updateMemory(req.params.id, fields) });
+    } catch (error) {
+        console.error("Error updating memory:", error);
+        res.status(500).json({ error: "Failed to update memory" });
+    }
+});
+
+// DELETE /memory/:id (Forget one memory)
+app.delete('/memory/:id', authenticate, async (req, res) => {
+    try {
+        if (!await findOwnMemory(req)) {
+            return res.status(404).json({ error: "Memory not found" });
+        }
+        await storage.deleteMemory(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        console.error("Error deleting memory:", error);
+        res.status(500).json({ error: "Failed to delete memory" });
+    }
+});
+
+// DELETE /memory (Forget everything remembered about the signed-in user)
+app.delete('/memory', authenticate, async (req, res) => {
+    try {
+        const removed = await storage.deleteMemories(req.user.id);
+        console.log(`🧹 Memory cleared by ${req.user.username}: ${removed} items`);
+        res.json({ removed: removed });
+    } catch (error) {
+        console.error("Error clearing memory:", error);
+        res.status(500).json({ error: "Failed to clear memory" });
+    }
+});
+
+// --- Persona Endpoints ---
+
+// The signed-in user's persona, or null (404) for someone else's
+async function findOwnPersona(req, personaId) {
+    const found = await storage.getPersona(personaId).catch(() => null);
+    return found && found.user_id === req.user.id ? found : null;
+}
+
+// GET /personas (The signed-in user's personas, and the default system prompt they replace)
+app.get('/personas', authenticate, async (req, res) => {
+    try {
+        res.json({ personas: await storage.listPersonas(req.user.id), default_system_prompt: DEFAULT_SYSTEM_PROMPT });
+    } catch (error) {
+        console.error("Error listing personas:", error);
+        res.status(500).json({ error: "Failed to list personas" });
+    }
+});
+
+// POST /personas (Create a persona)
+// Body: { name, system_prompt, model, depth, web_search } (the last three optional: defaults for the chat's turns)
+app.post('/personas', authenticate, async (req, res) => {
+    const { fields, error } = parsePersonaFields(req.body);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    try {
+        if ((await storage.listPersonas(req.user.id)).length >= MAX_PERSONAS) {
+            return res.status(400).json({ error: `You can have at most ${MAX_PERSONAS} personas.` });
+        }
+        const persona = await storage.createPersona({ model: null, depth: null, web_search: null, ...fields, user_id: req.user.id });
+        res.status(201).json({ persona: persona });
+    } catch (error) {
+        console.error("Error creating persona:", error);
+        res.status(500).json({ error: "Failed to create persona" });
+    }
+});
+
+// PATCH /personas/:id (Edit a persona; chats using it pick up the change on their next turn)
+app.patch('/personas/:id', authenticate, async (req, res) => {
+    const { fields, error } = parsePersonaFields(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    try {
+        if (!await findOwnPersona(req, req.params.id)) {
+            return res.status(404).json({ error: "Persona not found" });
+        }
+        res.json({ persona: await storage.updatePersona(req.params.id, fields) });
+    } catch (error) {
+        console.error("Error updating persona:", error);
+        res.status(500).json({ error: "Failed to update persona" });
+    }
+});
+
+// DELETE /personas/:id (Delete a persona; its chats continue with the default one)
+app.delete('/personas/:id', authenticate, async (req, res) => {
+    try {
+        if (!await findOwnPersona(req, req.params.id)) {
+            return res.status(404).json({ error: "Persona not found" });
+        }
+        await storage.deletePersona(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        console.error("Error deleting persona:", error);
+        res.status(500).json({ error: "Failed to delete persona" });
+    }
+});
+
+// --- Admin Endpoints (ADMIN_USERS) ---
+
+// GET /admin/cache (Response cache settings, hit counters and entries)
+// Query: namespace (search | smart_prompt)
+app.get('/admin/cache', authenticate, adminOnly, async (req, res) => {
+    try {
+        res.json(await responseCache.inspect({ namespace: req.query.namespace || undefined }));
+    } catch (error) {
+        console.error("Error inspecting cache:", error);
+        res.status(500).json({ error: "Failed to inspect cache" });
+    }
+});
+
+// DELETE /admin/cache (Purge the response cache)
+// Query: namespace and/or key to purge only those entries; neither purges everything
+app.delete('/admin/cache', authenticate, adminOnly, async (req, res) => {
+    try {
+        const removed = await responseCache.purge({ namespace: req.query.namespace || undefined, key: req.query.key || undefined });
+        console.log(`🧹 Cache purged by ${req.user.username}: ${removed} entries`);
+        res.json({ removed: removed });
+    } catch (error) {
+        console.error("Error purging cache:", error);
+        res.status(500).json({ error: "Failed to purge cache" });
+    }
+});
+
+// GET /models (Model registry)
+app.get('/models', (req, res) => {
+    res.json({ models: MODELS, defaults: DEFAULT_MODELS });
+});
+
+// GET /search (Full-text search across chat history)
+// Query: q (required), limit (1-50, default 20)
+app.get('/search', authenticate, async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+
+    if (!query) {
+        return res.status(400).json({ error: "Query parameter q is required" });
+    }
+
+    try {
+        const results = await storage.searchMessages(query, { userId: req.user.id, limit });
+        res.json({ query: query, results: results });
+
+    } catch (error) {
+        console.error("Error searching messages:", error);
+        res.status(500).json({ error: "Search failed" });
+    }
+});
+
+// GET /chats (List recent chats)
+// Query: limit (1-100, default 20), cursor (next_cursor from the previous page), archived=true
+app.get('/chats', authenticate, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const archived = req.query.archived === 'true';
+    let cursor = null;
+
+    if (req.query.cursor) {
+        cursor = decodeCursor(req.query.cursor);
+        if (!cursor) {
+            return res.status(400).json({ error: "Invalid cursor" });
+        }
+    }
+
+    try {
+        const { chats, nextCursor } = await storage.listChats({ userId: req.user.id, limit, cursor, archived });
+        res.json({ chats: chats, next_cursor: encodeCursor(nextCursor) });
 
     } catch (error) {
-        console.error("Error fetching chats:", error);
-        res.json({ chats: [] });
+        console.warn("Chat List Fetch Error (ignoring):", error.message);
+        res.json({ chats: [], next_cursor: null });
     }
 });
 
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT} (v2 - Fixed)`);
-  console.log(`Configuration: HF_MODEL=${HF_MODEL}, SUPABASE=${supabase ? 'Connected' : 'Disconnected'}`);
+  console.log(`Configuration: CHAT_MODEL=${DEFAULT_MODELS.chat}, PROVIDERS=${Object.keys(PROVIDERS).join('/')}, STORAGE=${storage.name}, AUTH=${auth.name}, SEARCH=${SEARCH_PROVIDERS.map(p => p.name).join('/') || 'none'}, CACHE=${responseCache.name}`);
 });
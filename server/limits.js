@@ -0,0 +1,182 @@
+import { envNumber } from './env.js';
+
+// Rate Limits & Token Quotas
+// Requests per minute are counted in memory (fixed one-minute windows per user).
+// Tokens per day and month are counted in storage so quotas survive restarts; periods are UTC.
+//
+// Defaults come from RATE_LIMIT_PER_MINUTE, DAILY_TOKEN_QUOTA and MONTHLY_TOKEN_QUOTA (0 = unlimited).
+// QUOTA_OVERRIDES is a JSON map of username or user id -> limits, e.g.
+//   {"alice": {"perMinute": 60, "dailyTokens": 1000000, "monthlyTokens": 0}}
+//
+// Sign-in and registration attempts are limited to AUTH_RATE_LIMIT_PER_MINUTE (default 10) per
+// client IP address and, separately, per username, so passwords can't be guessed at speed.
+
+const WINDOW_MS = 60 * 1000;
+
+const DEFAULT_LIMITS = {
+    perMinute: envNumber('RATE_LIMIT_PER_MINUTE', 20),
+    dailyTokens: envNumber('DAILY_TOKEN_QUOTA', 200000),
+    monthlyTokens: envNumber('MONTHLY_TOKEN_QUOTA', 2000000)
+};
+const AUTH_ATTEMPTS_PER_MINUTE = envNumber('AUTH_RATE_LIMIT_PER_MINUTE', 10);
+
+let overrides = {};
+try {
+    overrides = JSON.parse(process.env.QUOTA_OVERRIDES || '{}');
+} catch (e) {
+    console.warn("⚠️ QUOTA_OVERRIDES is not valid JSON. Using the default limits for everyone.");
+}
+
+function limitsFor(user) {
+    return { ...DEFAULT_LIMITS, ...(overrides[user.id] || overrides[user.username] || {}) };
+}
+
+// Counter keys and reset times for the current day and month
+function currentPeriods(now = new Date()) {
+    const day = now.toISOString().slice(0, 10);
+    return {
+        day: `day:${day}`,
+        month: `month:${day.slice(0, 7)}`,
+        dayReset: Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1),
+        monthReset: Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+    };
+}
+
+function remaining(limit, used) {
+    return limit > 0 ? Math.max(limit - used, 0) : null;
+}
+
+// 429 with Retry-After until `resetAt`
+function rejectUntil(res, now, resetAt, error) {
+    res.set('Retry-After', String(Math.max(Math.ceil((resetAt - now) / 1000), 1)));
+    res.status(429).json({ error: error, retry_after: new Date(resetAt).toISOString() });
+}
+
+export function createLimits(storage) {
+    const windows = new Map();
+
+    // Current request window for a user (or an "ip:" / "username:" key), started fresh once the previous minute is over
+    function windowFor(key, now) {
+        let window = windows.get(key);
+        if (!window || now - window.start >= WINDOW_MS) {
+            window = { start: now, count: 0 };
+            windows.set(key, window);
+        }
+        if (windows.size > 10000) {
+            windows.forEach((w, key) => {
+                if (now - w.start >= WINDOW_MS) windows.delete(key);
+            });
+        }
+        return window;
+    }
+
+    // Limits, usage and reset times for a user (limit/remaining are null when unlimited)
+    async function getStatus(user) {
+        const now = Date.now();
+        const limits = limitsFor(user);
+        const periods = currentPeriods(new Date(now));
+        const usage = await storage.getTokenUsage(user.id, [periods.day, periods.month]);
+        const window = windowFor(user.id, now);
+
+        return {
+            rate: {
+                limit: limits.perMinute || null,
+                remaining: remaining(limits.perMinute, window.count),
+                reset: new Date(window.start + WINDOW_MS).toISOString()
+            },
+            daily: {
+                limit: limits.dailyTokens || null,
+                used: usage[periods.day],
+                remaining: remaining(limits.dailyTokens, usage[periods.day]),
+                reset: new Date(periods.dayReset).toISOString()
+            },
+            monthly: {
+                limit: limits.monthlyTokens || null,
+                used: usage[periods.month],
+                remaining: remaining(limits.monthlyTokens, usage[periods.month]),
+                reset: new Date(periods.monthReset).toISOString()
+            }
+        };
+    }
+
+    // Express middleware for routes that call a model (after requireAuth).
+    // Answers 429 with Retry-After when the caller is over a limit, and reports what is left
+    // in X-RateLimit-* / X-Quota-* headers.
+    async function enforce(req, res, next) {
+        const now = Date.now();
+        const limits = limitsFor(req.user);
+        const window = windowFor(req.user.id, now);
+
+        if (limits.perMinute > 0) {
+            res.set('X-RateLimit-Limit', String(limits.perMinute));
+            res.set('X-RateLimit-Reset', String(Math.ceil((window.start + WINDOW_MS) / 1000)));
+            if (window.count >= limits.perMinute) {
+                res.set('X-RateLimit-Remaining', '0');
+                return rejectUntil(res, now, window.start + WINDOW_MS, `Rate limit exceeded: ${limits.perMinute} requests per minute.`);
+            }
+            res.set('X-RateLimit-Remaining', String(limits.perMinute - window.count - 1));
+        }
+        // Counted before the quota lookup so concurrent requests can't slip past the rate limit
+        window.count++;
+
+        if (limits.dailyTokens > 0 || limits.monthlyTokens > 0) {
+            const periods = currentPeriods(new Date(now));
+            let usage;
+            try {
+                usage = await storage.getTokenUsage(req.user.id, [periods.day, periods.month]);
+            } catch (error) {
+                // Don't lock everyone out while storage is unavailable
+                console.warn("Quota Check Error (allowing request):", error.message);
+            }
+
+            if (usage) {
+                const daily = remaining(limits.dailyTokens, usage[periods.day]);
+                const monthly = remaining(limits.monthlyTokens, usage[periods.month]);
+                if (daily !== null) res.set('X-Quota-Daily-Remaining', String(daily));
+                if (monthly !== null) res.set('X-Quota-Monthly-Remaining', String(monthly));
+
+                if (monthly === 0) {
+                    return rejectUntil(res, now, periods.monthReset, `Monthly token quota of ${limits.monthlyTokens} exhausted.`);
+                }
+                if (daily === 0) {
+                    return rejectUntil(res, now, periods.dayReset, `Daily token quota of ${limits.dailyTokens} exhausted.`);
+                }
+            }
+        }
+
+        next();
+    }
+
+    // Express middleware for /auth/login and /auth/register (before any password hashing).
+    // Every attempt counts, successful or not, against both the client IP and the username.
+    function enforceAuth(req, res, next) {
+        if (AUTH_ATTEMPTS_PER_MINUTE <= 0) return next();
+
+        const now = Date.now();
+        const username = typeof req.body?.username === 'string' ? req.body.username.trim() : '';
+        const keys = [`ip:${req.ip}`, ...(username ? [`username:${username}`] : [])];
+        const attempts = keys.map(key => windowFor(key, now));
+
+        const full = attempts.find(window => window.count >= AUTH_ATTEMPTS_PER_MINUTE);
+        if (full) {
+            return rejectUntil(res, now, full.start + WINDOW_MS, "Too many sign-in attempts. Try again in a minute.");
+        }
+        attempts.forEach(window => window.count++);
+        next();
+    }
+
+    // Count the tokens of a finished model call against the user's quotas
+    async function recordTokens(user, usage) {
+        const tokens = (usage?.input_tokens || 0) + (usage?.output_tokens || 0);
+        if (!user || tokens === 0) return;
+
+        const periods = currentPeriods();
+        try {
+            await storage.addTokenUsage(user.id, [periods.day, periods.month], tokens);
+        } catch (error) {
+            console.warn("Token Usage Record Error:", error.message);
+        }
+    }
+
+    return { getStatus, enforce, enforceAuth, recordTokens };
+}
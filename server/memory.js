@@ -0,0 +1,138 @@
+import { DEFAULT_MODELS } from './models.js';
+import { createStructuredCompletion } from './structured.js';
+import { rankPassages } from './search/rank.js';
+import { tokenize } from './storage/search.js';
+import { envNumber } from './env.js';
+
+// Long-Term Memory
+// Opt-in per user (off by default). After each reply, MEMORY_MODEL picks durable facts and preferences
+// out of the exchange ("Uses TypeScript and pnpm", "Prefers short answers") and stores them for the user.
+// Each turn, the ones relevant to the latest message are added to the chat model's system prompt, in
+// every chat. Users list, edit and delete them through /memory. At most MEMORY_MAX_ITEMS (default 200)
+// are kept; once full, nothing new is learned until some are deleted.
+
+export const MEMORY_KINDS = ['fact', 'preference'];
+export const MAX_MEMORY_LENGTH = 300;
+const MAX_ITEMS = envNumber('MEMORY_MAX_ITEMS', 200);
+
+// Recalled per turn: the best matches for the message, plus the newest preferences (they rarely share its words)
+const MAX_RECALLED = 10;
+const MAX_RECALLED_PREFERENCES = 5;
+// Messages shorter than this ("thanks!", "go on") have nothing to learn from
+const MIN_LEARN_LENGTH = 20;
+
+const LEARNED_SCHEMA = {
+    type: "object",
+    properties: {
+        memories: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    content: { type: "string", minLength: 1 },
+                    kind: { enum: MEMORY_KINDS },
+                    replaces: { type: "integer", description: "number of the known memory this one replaces" }
+                },
+                required: ["content", "kind"]
+            }
+        }
+    },
+    required: ["memories"]
+};
+
+// Near-duplicates: most of their words in common
+function isSameMemory(a, b) {
+    const wordsA = new Set(tokenize(a));
+    const wordsB = new Set(tokenize(b));
+    if (wordsA.size === 0 || wordsB.size === 0) return false;
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared) >= 0.8;
+}
+
+export function createMemory(storage) {
+    async function isEnabled(user) {
+        const settings = await storage.getUserSettings(user.id);
+        return Boolean(settings?.memory_enabled);
+    }
+
+    async function setEnabled(user, enabled) {
+        await storage.updateUserSettings(user.id, { memory_enabled: enabled });
+    }
+
+    // Store a memory unless a near-duplicate exists; returns the new row or null
+    async function add(user, { content, kind }, sourceChatId = null) {
+        const existing = await storage.listMemories(user.id);
+        if (existing.length >= MAX_ITEMS || existing.some(memory => isSameMemory(memory.content, content))) {
+            return null;
+        }
+        return storage.createMemory({
+            user_id: user.id,
+            content: content.slice(0, MAX_MEMORY_LENGTH),
+            kind,
+            source_chat_id: sourceChatId && !String(sourceChatId).startsWith('local-') ? sourceChatId : null
+        });
+    }
+
+    // The memories to show the chat model for `query`
+    async function recall(user, query) {
+        const memories = await storage.listMemories(user.id);
+        if (memories.length <= MAX_RECALLED) return memories;
+
+        const preferences = memories
+            .filter(memory => memory.kind === 'preference')
+            .slice(-MAX_RECALLED_PREFERENCES);
+        const matches = rankPassages(memories, query, memory => memory.content)
+            .map(({ passage }) => passage)
+            .filter(memory => !preferences.includes(memory));
+        return [...preferences, ...matches].slice(0, MAX_RECALLED);
+    }
+
+    // Ask MEMORY_MODEL what is worth remembering from one exchange, and store it.
+    // Failures are logged, never thrown: learning runs after the reply has been sent.
+    async function learn(user, { userMessage, assistantResponse, chatId, meter }) {
+        try {
+            if (typeof userMessage !== 'string' || userMessage.trim().length < MIN_LEARN_LENGTH) return;
+            const known = await recall(user, userMessage);
+            const exchange = `User: ${userMessage.slice(0, 2000)}\n\nAssistant: ${assistantResponse.slice(0, 1000)}`;
+            const { value } = await createStructuredCompletion({
+                model: DEFAULT_MODELS.memory,
+                name: "memories",
+                schema: LEARNED_SCHEMA,
+                messages: [
+                    {
+                        role: "system",
+                        content: `You maintain the long-term memory an AI assistant keeps about its user, across conversations.
+From the exchange below, pick out durable facts about the user and their work (role, projects, tools, stack, conventions) and lasting preferences about how they want answers.
+Ignore one-off requests, the subject of the question itself, anything the assistant said on its own, and anything sensitive (health, finances, credentials, secrets).
+Write each item as a short statement without a subject, e.g. "Uses TypeScript and pnpm" or "Prefers concise answers with code examples".
+Skip what KNOWN MEMORIES already says. When the user changes something known, give the new statement with "replaces": the number of the known memory.
+Most exchanges have nothing worth remembering: reply {"memories": []}.`
+                    },
+                    {
+                        role: "user",
+                        content: `### KNOWN MEMORIES:\n${known.map((memory, i) => `${i + 1}. ${memory.content}`).join('\n') || "(none)"}\n\n### EXCHANGE:\n${exchange}`
+                    }
+                ],
+                max_tokens: 300,
+                temperature: 0
+            }, { timeout: 15000, maxRetries: 0, meter, kind: 'memory' });
+
+            for (const { content, kind, replaces } of value.memories) {
+                const text = content.trim();
+                if (!text) continue;
+                const replaced = known[replaces - 1];
+
+                if (replaced) {
+                    await storage.updateMemory(replaced.id, { content: text.slice(0, MAX_MEMORY_LENGTH), kind });
+                    console.log(`🧠 Memory updated: "${text}"`);
+                } else if (await add(user, { content: text, kind }, chatId)) {
+                    console.log(`🧠 Memory added: "${text}"`);
+                }
+            }
+        } catch (error) {
+            console.warn("Memory Extraction Error:", error.message);
+        }
+    }
+
+    return { isEnabled, setEnabled, add, recall, learn };
+}
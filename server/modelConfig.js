@@ -0,0 +1,27 @@
+import fs from 'fs';
+
+// Optional JSON file (MODELS_CONFIG) that adds providers and models to the built-in ones:
+// {
+//   "providers": {
+//     "vllm": { "baseURL": "http://gpu-box:8000/v1", "apiKeyEnv": "VLLM_API_KEY", "timeoutMs": 60000, "quirks": { "jsonMode": false } }
+//   },
+//   "models": [
+//     { "id": "qwen-local", "label": "Qwen 2.5 7B (local)", "provider": "vllm", "contextLength": 32768, "maxOutput": 4096,
+//       "pricing": { "input": 0, "output": 0 }, "capabilities": ["chat", "streaming"],
+//       "endpoints": [{ "provider": "vllm", "model": "Qwen/Qwen2.5-7B-Instruct" }, { "provider": "huggingface", "model": "Qwen/Qwen2.5-7B-Instruct:together" }] }
+//   ]
+// }
+function loadModelConfig() {
+    const configPath = process.env.MODELS_CONFIG;
+    if (!configPath) return { providers: {}, models: [] };
+
+    try {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        console.log(`⚙️ Loaded model configuration from ${configPath}`);
+        return { providers: config.providers || {}, models: config.models || [] };
+    } catch (error) {
+        throw new Error(`Could not load MODELS_CONFIG (${configPath}): ${error.message}`);
+    }
+}
+
+export const modelConfig = loadModelConfig();
@@ -0,0 +1,141 @@
+import { modelConfig } from './modelConfig.js';
+
+// Model Registry
+// Every model Sanyai can call, with its limits, pricing and capabilities.
+// Prices are USD per token, estimated from the providers' public price lists.
+// `endpoints` lists where the model is served, in fallback order (see providers.js);
+// each names a provider and optionally the model name that provider expects.
+//
+// Capabilities:
+//   chat       - selectable in the UI for conversations
+//   streaming  - supports `stream: true`
+//   json_mode  - supports `response_format: { type: "json_object" }`
+//   tools      - supports function/tool calling
+
+const GENERIC_LIMITS = { contextLength: 8192, maxOutput: 2048 };
+
+export const MODELS = [
+    {
+        id: 'openai/gpt-oss-120b:groq',
+        label: 'GPT-OSS 120B',
+        provider: 'groq',
+        contextLength: 131072,
+        maxOutput: 32768,
+        pricing: { input: 0.15e-6, output: 0.75e-6 },
+        capabilities: ['chat', 'streaming', 'json_mode', 'tools'],
+        endpoints: [{ provider: 'huggingface' }]
+    },
+    {
+        id: 'openai/gpt-oss-20b:groq',
+        label: 'GPT-OSS 20B',
+        provider: 'groq',
+        contextLength: 131072,
+        maxOutput: 32768,
+        pricing: { input: 0.10e-6, output: 0.50e-6 },
+        capabilities: ['chat', 'streaming', 'json_mode', 'tools'],
+        endpoints: [{ provider: 'huggingface' }]
+    },
+    {
+        id: 'moonshotai/Kimi-K2-Instruct-0905:groq',
+        label: 'Kimi K2',
+        provider: 'groq',
+        contextLength: 262144,
+        maxOutput: 16384,
+        pricing: { input: 1.00e-6, output: 3.00e-6 },
+        capabilities: ['chat', 'streaming', 'json_mode', 'tools'],
+        endpoints: [{ provider: 'huggingface' }]
+    },
+    {
+        id: 'meta-llama/Llama-3.1-8B-Instruct:novita',
+        label: 'Llama 3.1 8B',
+        provider: 'novita',
+        contextLength: 16384,
+        maxOutput: 8192,
+        pricing: { input: 0.02e-6, output: 0.05e-6 },
+        capabilities: ['chat', 'streaming', 'json_mode'],
+        endpoints: [{ provider: 'huggingface' }]
+    }
+];
+
+// Deterministic offline model (ENABLE_STUB_MODEL=true), e.g. HF_MODEL=sanyai/stub for tests
+if (process.env.ENABLE_STUB_MODEL === 'true') {
+    MODELS.push({
+        id: 'sanyai/stub',
+        label: 'Stub (offline)',
+        provider: 'stub',
+        ...GENERIC_LIMITS,
+        pricing: { input: 0, output: 0 },
+        capabilities: ['chat', 'streaming', 'json_mode', 'tools'],
+        endpoints: [{ provider: 'stub' }]
+    });
+}
+
+// A model on a local OpenAI-compatible server (LOCAL_LLM_BASE_URL + LOCAL_LLM_MODEL)
+if (process.env.LOCAL_LLM_BASE_URL && process.env.LOCAL_LLM_MODEL) {
+    MODELS.push({
+        id: `local/${process.env.LOCAL_LLM_MODEL}`,
+        label: `${process.env.LOCAL_LLM_MODEL} (local)`,
+        provider: 'local',
+        ...GENERIC_LIMITS,
+        pricing: { input: 0, output: 0 },
+        capabilities: ['chat', 'streaming'],
+        endpoints: [{ provider: 'local', model: process.env.LOCAL_LLM_MODEL }]
+    });
+}
+
+// Models from MODELS_CONFIG replace built-ins with the same id
+modelConfig.models.forEach(configured => {
+    const index = MODELS.findIndex(m => m.id === configured.id);
+    const model = {
+        label: configured.id,
+        provider: configured.endpoints?.[0]?.provider || 'huggingface',
+        ...GENERIC_LIMITS,
+        pricing: { input: 0, output: 0 },
+        capabilities: ['chat', 'streaming'],
+        endpoints: [{ provider: 'huggingface' }],
+        ...configured
+    };
+    if (index === -1) MODELS.push(model);
+    else MODELS[index] = model;
+});
+
+// Which model each feature uses unless the request picks one
+export const DEFAULT_MODELS = {
+    chat: process.env.HF_MODEL || process.env.HUGGINGFACE_MODEL || 'openai/gpt-oss-120b:groq',
+    webSearch: process.env.WEB_SEARCH_MODEL || 'moonshotai/Kimi-K2-Instruct-0905:groq',
+    smartPrompt: process.env.SMART_PROMPT_MODEL || 'meta-llama/Llama-3.1-8B-Instruct:novita',
+    title: process.env.TITLE_MODEL || 'meta-llama/Llama-3.1-8B-Instruct:novita',
+    summary: process.env.SUMMARY_MODEL || 'meta-llama/Llama-3.1-8B-Instruct:novita',
+    queryPlan: process.env.QUERY_PLAN_MODEL || 'meta-llama/Llama-3.1-8B-Instruct:novita',
+    memory: process.env.MEMORY_MODEL || 'meta-llama/Llama-3.1-8B-Instruct:novita'
+};
+
+// Models configured through env but missing above get conservative generic limits
+Object.values(DEFAULT_MODELS).forEach(id => {
+    if (!MODELS.some(m => m.id === id)) {
+        MODELS.push({
+            id,
+            label: id.split('/').pop(),
+            provider: id.includes(':') ? id.split(':').pop() : 'huggingface',
+            ...GENERIC_LIMITS,
+            pricing: { input: 0, output: 0 },
+            capabilities: ['chat', 'streaming'],
+            endpoints: [{ provider: 'huggingface' }]
+        });
+    }
+});
+
+export function getModel(id) {
+    return MODELS.find(m => m.id === id) || null;
+}
+
+export function hasCapability(model, capability) {
+    return Boolean(model?.capabilities.includes(capability));
+}
+
+// Estimated USD cost of a call from the model's price table (0 for unknown or free models)
+export function estimateCost(modelId, usage) {
+    const pricing = getModel(modelId)?.pricing;
+    if (!pricing || !usage) return 0;
+    return (usage.input_tokens || 0) * pricing.input + (usage.output_tokens || 0) * pricing.output;
+}
@@ -0,0 +1,72 @@
+import { getModel, hasCapability } from './models.js';
+
+// Personas and Turn Settings
+// A persona replaces the built-in system prompt in the chats that use it, and may preset their model,
+// depth and web search mode. Each turn uses what its request asks for, else the chat persona's defaults.
+
+// Web search modes: 'off', 'auto' (the model decides) or 'always'.
+// `webSearch: true/false` from older clients means 'always'/'off'; returns null for anything else.
+export const SEARCH_MODES = ['off', 'auto', 'always'];
+
+export function parseSearchMode(value) {
+    if (value === undefined || value === null || value === false) return 'off';
+    if (value === true) return 'always';
+    const mode = String(value).toLowerCase();
+    return SEARCH_MODES.includes(mode) ? mode : null;
+}
+
+// The built-in Sanyai persona; a chat's own persona replaces it (the length constraint is always added)
+export const DEFAULT_SYSTEM_PROMPT = `You are Sanyai, an advanced AI assistant designed to be helpful, engaging, and visually structured.\n\n### GUIDELINES:\n1. **FORMATTING**: Use **GitHub Flavored Markdown** exclusively. Make your responses visually appealing.\n2. **STRUCTURE**: Use **Markdown Tables** for data/comparisons. Use **Bold** for key terms. Use **Headers** (#, ##) to separate sections.\n3. **NO HTML**: NEVER use HTML tags like <br>, <b>, <i>, <table>, etc. Use standard Markdown syntax instead.\n4. **ENGAGEMENT**: Use emojis 🚀✨ sparingly in headers to make them pop. Use \`code blocks\` for technical terms.\n5. **CLARITY**: Use bullet points and numbered lists for readability. Use > Blockquotes for summaries or important notes.`;
+
+// Depth Logic
+export const DEPTH_INSTRUCTIONS = {
+    'Concise': "IMPORTANT CONSTRAINT: Keep your response extremely concise, approximately 100-150 words.",
+    'Short': "IMPORTANT CONSTRAINT: Keep your response short and to the point, approximately 200-300 words.",
+    'Medium': "IMPORTANT CONSTRAINT: Provide a standard medium-length response, approximately 400-600 words.",
+    'Large': "IMPORTANT CONSTRAINT: Provide a very detailed, comprehensive, and in-depth response, approximately 800-1000 words."
+};
+
+export const MAX_PERSONAS = 50;
+const MAX_PERSONA_NAME_LENGTH = 60;
+const MAX_SYSTEM_PROMPT_LENGTH = 8000;
+
+// Validate a persona from a request body: { fields } or { error }.
+// name and system_prompt are required unless `partial` (for PATCH); model, depth and web_search may be null (no default).
+export function parsePersonaFields(body, { partial = false } = {}) {
+    const { name, system_prompt, model, depth, web_search } = body || {};
+    const fields = {};
+
+    for (const [field, value, maxLength] of [['name', name, MAX_PERSONA_NAME_LENGTH], ['system_prompt', system_prompt, MAX_SYSTEM_PROMPT_LENGTH]]) {
+        if (value === undefined && partial) continue;
+        const trimmed = typeof value === 'string' ? value.trim() : '';
+        if (!trimmed) return { error: `${field} must be a non-empty string` };
+        if (trimmed.length > maxLength) return { error: `${field} can be at most ${maxLength} characters` };
+        fields[field] = trimmed;
+    }
+    if (model !== undefined) {
+        if (model !== null && !hasCapability(getModel(model), 'chat')) return { error: `Unknown model "${model}". See GET /models.` };
+        fields.model = model;
+    }
+    if (depth !== undefined) {
+        if (depth !== null && !Object.hasOwn(DEPTH_INSTRUCTIONS, depth)) return { error: `depth must be one of: ${Object.keys(DEPTH_INSTRUCTIONS).join(', ')}` };
+        fields.depth = depth;
+    }
+    if (web_search !== undefined) {
+        if (web_search !== null && !SEARCH_MODES.includes(web_search)) return { error: `web_search must be one of: ${SEARCH_MODES.join(', ')}` };
+        fields.web_search = web_search;
+    }
+    if (Object.keys(fields).length === 0) return { error: "Nothing to update. Provide name, system_prompt, model, depth or web_search." };
+    return { fields };
+}
+
+// A turn's depth, search mode and model: what the request asks for, else the persona's defaults.
+// `webSearch` must already be valid (see parseSearchMode).
+export function turnSettings(persona, { depth, webSearch, model }) {
+    // A persona's model may have been removed from the registry since it was saved
+    const personaModel = hasCapability(getModel(persona?.model), 'chat') ? persona.model : undefined;
+    return {
+        depth: depth || persona?.depth || 'Short',
+        searchMode: parseSearchMode(webSearch ?? persona?.web_search),
+        model: model || personaModel
+    };
+}
@@ -0,0 +1,217 @@
+import OpenAI from 'openai';
+import { modelConfig } from './modelConfig.js';
+import { getModel } from './models.js';
+
+// Provider Layer
+// A provider is an OpenAI-compatible endpoint (base URL + key) plus its quirks.
+// Models list the endpoints they can be served from in order; a failed or timed-out
+// call moves on to the next endpoint.
+//
+// Quirks:
+//   jsonMode   - endpoint accepts `response_format: { type: "json_object" }` (stripped otherwise)
+//   jsonSchema - endpoint accepts `response_format: { type: "json_schema", json_schema }`
+//                (sent as json_object with jsonMode, stripped otherwise)
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const BUILT_IN_PROVIDERS = {
+    huggingface: {
+        baseURL: "https://router.huggingface.co/v1",
+        apiKey: process.env.HF_ACCESS_TOKEN || process.env.HUGGINGFACE_API_KEY,
+        apiKeyHint: "HF_ACCESS_TOKEN",
+        quirks: { jsonMode: true }
+    },
+    // Any local OpenAI-compatible server (vLLM, llama.cpp, Ollama, ...)
+    local: {
+        baseURL: process.env.LOCAL_LLM_BASE_URL,
+        apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+        quirks: {
+            jsonMode: process.env.LOCAL_LLM_JSON_MODE === 'true',
+            jsonSchema: process.env.LOCAL_LLM_JSON_SCHEMA === 'true'
+        }
+    },
+    // Deterministic in-process model for offline development and tests
+    stub: {
+        stub: true,
+        quirks: { jsonMode: true, jsonSchema: true }
+    }
+};
+
+export const PROVIDERS = {};
+for (const [id, config] of Object.entries({ ...BUILT_IN_PROVIDERS, ...modelConfig.providers })) {
+    PROVIDERS[id] = {
+        id,
+        ...config,
+        apiKey: config.apiKeyEnv ? process.env[config.apiKeyEnv] : config.apiKey,
+        apiKeyHint: config.apiKeyEnv || config.apiKeyHint,
+        timeoutMs: config.timeoutMs || DEFAULT_TIMEOUT_MS,
+        quirks: { jsonMode: false, jsonSchema: false, ...config.quirks }
+    };
+}
+
+const clients = {};
+
+function getClient(provider) {
+    if (provider.stub) return stubClient;
+    if (!provider.baseURL) {
+        throw new Error(`Provider "${provider.id}" has no baseURL configured.`);
+    }
+    if (!provider.apiKey) {
+        throw new Error(`API key for provider "${provider.id}" is missing${provider.apiKeyHint ? ` (set ${provider.apiKeyHint})` : ''}.`);
+    }
+    if (!clients[provider.id]) {
+        clients[provider.id] = new OpenAI({
+            baseURL: provider.baseURL,
+            apiKey: provider.apiKey,
+            timeout: provider.timeoutMs,
+            maxRetries: 1
+        });
+    }
+    return clients[provider.id];
+}
+
+function applyQuirks(provider, params) {
+    const adjusted = { ...params };
+    if (adjusted.response_format?.type === 'json_schema' && !provider.quirks.jsonSchema) {
+        adjusted.response_format = { type: "json_object" };
+    }
+    if (adjusted.response_format?.type === 'json_object' && !provider.quirks.jsonMode) {
+        delete adjusted.response_format;
+    }
+    return adjusted;
+}
+
+// Start a stream and wait for its first chunk, so a provider that fails up front can still fall back
+async function openStream(client, params, options) {
+    const stream = await client.chat.completions.create(params, options);
+    const iterator = stream[Symbol.asyncIterator]();
+    const first = await iterator.next();
+
+    return (async function* () {
+        if (!first.done) yield first.value;
+        while (true) {
+            const { done, value } = await iterator.next();
+            if (done) return;
+            yield value;
+        }
+    })();
+}
+
+// Drop-in replacement for `openai.chat.completions.create` where `params.model` is a registry id.
+// Returns the completion (or async iterable of chunks when `stream: true`).
+export async function createChatCompletion(params, options = {}) {
+    const model = getModel(params.model);
+    const endpoints = model?.endpoints?.length ? model.endpoints : [{ provider: 'huggingface' }];
+    let lastError = null;
+
+    for (const endpoint of endpoints) {
+        const provider = PROVIDERS[endpoint.provider];
+        if (!provider) {
+            lastError = new Error(`Unknown provider "${endpoint.provider}" for model "${params.model}".`);
+            continue;
+        }
+
+        try {
+            const client = getClient(provider);
+            const request = applyQuirks(provider, { ...params, model: endpoint.model || params.model });
+            const requestOptions = { timeout: provider.timeoutMs, ...options };
+
+            if (request.stream) {
+                return await openStream(client, request, requestOptions);
+            }
+            return await client.chat.completions.create(request, requestOptions);
+        } catch (error) {
+            // A user abort is not a provider failure
+            if (options.signal?.aborted) throw error;
+            console.warn(`⚠️ Provider "${provider.id}" failed for ${params.model}: ${error.message}`);
+            lastError = error;
+        }
+    }
+
+    throw lastError || new Error(`No endpoints configured for model "${params.model}".`);
+}
+
+// --- Stub Provider ---
+
+// The smallest value matching a JSON Schema, with `text` for its strings
+function stubValue(schema, text) {
+    if (schema.enum) return schema.enum[0];
+    switch ([].concat(schema.type)[0]) {
+        case 'object':
+            return Object.fromEntries((schema.required || []).map(key => [key, stubValue(schema.properties?.[key] || {}, text)]));
+        case 'array':
+            return Array.from({ length: schema.minItems || 0 }, () => stubValue(schema.items || {}, text));
+        case 'number':
+        case 'integer':
+            return schema.minimum ?? 0;
+        case 'boolean':
+            return false;
+        case 'null':
+            return null;
+        default:
+            return schema.maxLength ? text.slice(0, schema.maxLength) : text;
+    }
+}
+
+function stubReply(params) {
+    const lastUser = [...params.messages].reverse().find(m => m.role === 'user');
+    const text = typeof lastUser?.content === 'string' ? lastUser.content : '';
+
+    if (params.response_format?.type === 'json_schema') {
+        return JSON.stringify(stubValue(params.response_format.json_schema.schema, text));
+    }
+    if (params.response_format?.type === 'json_object') {
+        return JSON.stringify({ issues: [], optimized_prompt: text });
+    }
+    return `Stub reply to: ${text}`;
+}
+
+function stubUsage(params, content) {
+    const promptWords = params.messages.reduce((acc, m) => acc + String(m.content).split(/\s+/).length, 0);
+    const completionWords = content.split(/\s+/).length;
+    return { prompt_tokens: promptWords, completion_tokens: completionWords, total_tokens: promptWords + completionWords };
+}
+
+const stubClient = {
+    chat: {
+        completions: {
+            async create(params, options = {}) {
+                if (options.signal?.aborted) throw new Error('Request was aborted.');
+                // Offered tools are called when the question ends with "?" (the whole text fills every required argument)
+                const lastUser = [...params.messages].reverse().find(m => m.role === 'user');
+                if (params.tools?.length && params.tool_choice !== 'none' && /\?\s*$/.test(lastUser?.content || '')) {
+                    const { name, parameters } = params.tools[0].function;
+                    const args = Object.fromEntries((parameters?.required || []).map(key => [
+                        key,
+                        parameters.properties[key]?.type === 'array' ? [lastUser.content] : lastUser.content
+                    ]));
+                    const call = { id: 'stub-call', type: 'function', function: { name, arguments: JSON.stringify(args) } };
+                    return {
+                        id: 'stub-completion',
+                        model: params.model,
+                        choices: [{ index: 0, message: { role: 'assistant', content: null, tool_calls: [call] }, finish_reason: 'tool_calls' }],
+                        usage: stubUsage(params, '')
+                    };
+                }
+
+                const content = stubReply(params);
+
+                if (!params.stream) {
+                    return {
+                        id: 'stub-completion',
+                        model: params.model,
+                        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+                        usage: stubUsage(params, content)
+                    };
+                }
+
+                return (async function* () {
+                    for (const piece of content.match(/\S+\s*/g) || []) {
+                        if (options.signal?.aborted) throw new Error('Request was aborted.');
+                        yield { id: 'stub-completion', model: params.model, choices: [{ index: 0, delta: { content: piece } }] };
+                    }
+                })();
+            }
+        }
+    }
+};
@@ -0,0 +1,41 @@
+import fetch from 'node-fetch';
+import { createResultSet } from './results.js';
+
+// Brave Search API (BRAVE_API_KEY)
+export function createBraveProvider() {
+    const apiKey = process.env.BRAVE_API_KEY;
+
+    return {
+        name: 'brave',
+        configured: Boolean(apiKey),
+
+        async search(query, { signal } = {}) {
+            console.log(`🔎 Performing Web Search (Brave) for: "${query}"`);
+            const url = new URL("https://api.search.brave.com/res/v1/web/search");
+            url.searchParams.append("q", query);
+            url.searchParams.append("count", "10");
+
+            const res = await fetch(url, {
+                headers: { 'Accept': 'application/json', 'X-Subscription-Token': apiKey },
+                signal
+            });
+            if (!res.ok) {
+                throw new Error(`Brave: HTTP ${res.status}`);
+            }
+            const data = await res.json();
+
+            const results = createResultSet();
+            (data.web?.results || []).forEach(r => {
+                const source = results.addSource({
+                    title: r.title,
+                    link: r.url,
+                    favicon: r.meta_url?.favicon || r.profile?.img,
+                    snippet: r.description
+                });
+                results.addChunk(r.description, source);
+                (r.extra_snippets || []).forEach(extra => results.addChunk(extra, source));
+            });
+            return results.result();
+        }
+    };
+}
@@ -0,0 +1,100 @@
+import { createSerpApiProvider } from './serpapi.js';
+import { createBraveProvider } from './brave.js';
+import { createTavilyProvider } from './tavily.js';
+import { createSearxngProvider } from './searxng.js';
+import { createLocalProvider } from './local.js';
+import { mergeResults } from './results.js';
+
+export { readPages } from './pages.js';
+
+// Web Search Providers
+// Provider interface shared by every backend:
+//   name        - id used in SEARCH_PROVIDERS
+//   configured  - whether its credentials / URL are present
+//   search(query, { signal }) -> { chunks, sources } (see results.js); throws on failure
+//
+// SEARCH_PROVIDERS lists the providers to use, in fallback order (e.g. "brave,serpapi,local").
+// Without it, every configured online provider is used in the order below.
+
+const FACTORIES = {
+    serpapi: createSerpApiProvider,
+    brave: createBraveProvider,
+    tavily: createTavilyProvider,
+    searxng: createSearxngProvider,
+    local: createLocalProvider
+};
+
+const SEARCH_TIMEOUT_MS = parseInt(process.env.SEARCH_TIMEOUT_MS, 10) || 10000;
+
+function resolveProviders() {
+    const all = Object.fromEntries(Object.entries(FACTORIES).map(([name, create]) => [name, create()]));
+
+    if (!process.env.SEARCH_PROVIDERS) {
+        return Object.values(all).filter(p => p.configured && p.name !== 'local');
+    }
+
+    return process.env.SEARCH_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+        .filter(name => {
+            if (!all[name]) {
+                console.warn(`⚠️ Unknown search provider "${name}" in SEARCH_PROVIDERS (expected ${Object.keys(FACTORIES).join(', ')}).`);
+                return false;
+            }
+            if (!all[name].configured) {
+                console.warn(`⚠️ Search provider "${name}" is not configured. Skipping it.`);
+                return false;
+            }
+            return true;
+        })
+        .map(name => all[name]);
+}
+
+export const SEARCH_PROVIDERS = resolveProviders();
+
+// Search with the first provider that answers; an error (or timeout) moves on to the next one.
+// Returns null when no provider is configured or all of them failed.
+async function searchProviders(query) {
+    if (SEARCH_PROVIDERS.length === 0) {
+        console.warn("⚠️ No web search provider configured (set SERP_API_KEY, BRAVE_API_KEY, TAVILY_API_KEY, SEARXNG_URL or SEARCH_PROVIDERS=local). Skipping web search.");
+        return null;
+    }
+
+    for (const provider of SEARCH_PROVIDERS) {
+        try {
+            const result = await provider.search(query, { signal: AbortSignal.timeout(SEARCH_TIMEOUT_MS) });
+            console.log(`✅ ${provider.name}: ${result.chunks.length} chunks, ${result.sources.length} sources.`);
+            return { ...result, provider: provider.name };
+        } catch (error) {
+            console.error(`Web Search Error (${provider.name}):`, error.message);
+        }
+    }
+    return null;
+}
+
+// Case and spacing don't change what a search engine returns
+function normalizeQuery(query) {
+    return query.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Search the web for `query`; with a response cache (see cache.js), identical searches are answered
+// from it. The result's `cached` tells whether it was.
+export async function searchWeb(query, { cache } = {}) {
+    if (!cache) return searchProviders(query);
+
+    const normalized = normalizeQuery(query);
+    const { value, cached } = await cache.wrap(
+        'search',
+        [SEARCH_PROVIDERS.map(p => p.name), normalized],
+        { label: normalized, shouldCache: result => Boolean(result?.sources.length) },
+        () => searchProviders(query)
+    );
+    if (cached) console.log(`♻️ Search cache hit for: "${query}"`);
+    return value && { ...value, cached };
+}
+
+// Run several searches in parallel and merge their results (see mergeResults);
+// `cached` lists, per query, whether it came from the cache. Returns null when none of them found anything.
+export async function searchWebQueries(queries, { cache } = {}) {
+    const results = await Promise.all(queries.map(query => searchWeb(query, { cache })));
+    if (!results.some(result => result?.chunks.length || result?.sources.length)) return null;
+    return { ...mergeResults(results), cached: results.map(result => Boolean(result?.cached)) };
+}
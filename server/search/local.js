@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { tokenize } from '../storage/search.js';
+import { createResultSet } from './results.js';
+import { queryTerms, rankPassages } from './rank.js';
+
+// Offline search over a JSON fixture of documents, for development and tests.
+// SEARCH_FIXTURE_PATH points at [{ title, link, content, favicon? }, ...] (default: fixtures/web.json).
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, 'fixtures', 'web.json');
+
+export function createLocalProvider() {
+    const fixturePath = process.env.SEARCH_FIXTURE_PATH || DEFAULT_FIXTURE_PATH;
+    let documents = null;
+
+    // Loaded on first use so a missing fixture only matters when this provider is selected
+    function loadDocuments() {
+        if (!documents) {
+            documents = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+        }
+        return documents;
+    }
+
+    return {
+        name: 'local',
+        configured: true,
+
+        async search(query) {
+            console.log(`🔎 Performing Web Search (local fixture) for: "${query}"`);
+            const terms = queryTerms(query);
+            const ranked = rankPassages(loadDocuments(), query, doc => `${doc.title} ${doc.content}`);
+
+            const results = createResultSet();
+            ranked.forEach(({ passage: doc }) => {
+                const paragraphs = doc.content.split(/\n\s*\n/);
+                const source = results.addSource({
+                    title: doc.title,
+                    link: doc.link,
+                    favicon: doc.favicon,
+                    snippet: paragraphs[0].slice(0, 200)
+                });
+                paragraphs
+                    .filter(p => tokenize(p).some(word => terms.some(term => word.startsWith(term))))
+                    .forEach(p => results.addChunk(p, source));
+            });
+            return results.result();
+        }
+    };
+}
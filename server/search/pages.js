@@ -0,0 +1,357 @@
+import fetch from 'node-fetch';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { rankPassages } from './rank.js';
+import { envNumber } from '../env.js';
+
+// Deep Research
+// Reads the pages behind search results: fetches them, extracts their readable text and keeps the
+// passages most relevant to the query, so the synthesis prompt sees more than search-engine snippets.
+//
+// RESEARCH_MAX_PAGES pages (default 4) are fetched in parallel, each limited to PAGE_TIMEOUT_MS
+// (default 8000) and PAGE_MAX_BYTES (default 1 MB; longer pages are cut off). robots.txt is honoured.
+// Pages are cached per URL for PAGE_CACHE_TTL_MS (default 1 hour); failed fetches for a minute.
+//
+// Search results are untrusted links: only hosts with public addresses are fetched (no loopback,
+// private or link-local networks), and redirects are followed one hop at a time, at most MAX_REDIRECTS,
+// each hop checked again, robots.txt included.
+
+const USER_AGENT = 'SanyAI-Research/1.0';
+const ROBOTS_AGENT = 'sanyai';
+
+const MAX_PAGES = envNumber('RESEARCH_MAX_PAGES', 4);
+const PAGE_TIMEOUT_MS = envNumber('PAGE_TIMEOUT_MS', 8000);
+const PAGE_MAX_BYTES = envNumber('PAGE_MAX_BYTES', 1024 * 1024);
+const PAGE_CACHE_TTL_MS = envNumber('PAGE_CACHE_TTL_MS', 60 * 60 * 1000);
+const FAILURE_TTL_MS = 60 * 1000;
+const ROBOTS_TIMEOUT_MS = 3000;
+const MAX_REDIRECTS = 5;
+const CACHE_SIZE = 200;
+
+const PASSAGE_LENGTH = 700;
+const PASSAGES_PER_PAGE = 3;
+const MAX_PASSAGES = 8;
+
+// --- Cache ---
+
+// Small expiring cache; the oldest entry goes first once it is full
+function createCache() {
+    const entries = new Map();
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            if (entry.expires <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            return entry.value;
+        },
+        set(key, value, ttlMs) {
+            entries.delete(key);
+            entries.set(key, { value, expires: Date.now() + ttlMs });
+            if (entries.size > CACHE_SIZE) entries.delete(entries.keys().next().value);
+        }
+    };
+}
+
+const pageCache = createCache();
+const robotsCache = createCache();
+
+// --- Public Addresses ---
+
+const NON_PUBLIC = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv4'));
+[
+    // IPv4-mapped addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges by BlockList itself;
+    // NAT64 ones are blocked whole rather than unwrapped
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['2001:db8::', 32]
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv6'));
+
+export function isPublicAddress(address) {
+    return !NON_PUBLIC.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// DNS lookup for outgoing requests that refuses non-public addresses. It runs when the connection is
+// made, so a hostname can't pass a check with one address and then connect to another.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+        if (blocked) return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const AGENTS = {
+    'http:': new http.Agent({ lookup: publicLookup }),
+    'https:': new https.Agent({ lookup: publicLookup })
+};
+
+// Throws unless `url` is http(s) on a public host. IP literals never reach publicLookup; hostnames
+// are resolved here too, so a private one fails before its robots.txt is asked for.
+export async function assertPublicUrl(url) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`unsupported protocol ${url.protocol}`);
+    }
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+    const blocked = addresses.find(address => !isPublicAddress(address));
+    if (blocked) {
+        throw new Error(`${host} is not a public address (${blocked})`);
+    }
+}
+
+// Fetch a public URL, following redirects one hop at a time. With `robots`, every hop must be allowed
+// by its origin's robots.txt; resolves null when one isn't. Throws for non-public hosts and redirect loops.
+export async function fetchPublic(link, { robots = false, ...options } = {}) {
+    let url = new URL(link);
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        await assertPublicUrl(url);
+        if (robots && !isAllowed(await robotsRulesFor(url), url.pathname + url.search)) {
+            console.log(`🤖 robots.txt disallows ${url.href}`);
+            return null;
+        }
+
+        const res = await fetch(url, { ...options, redirect: 'manual', agent: AGENTS[url.protocol] });
+        const location = res.headers.get('location');
+        if (res.status < 300 || res.status >= 400 || !location) return res;
+
+        res.body?.resume();
+        url = new URL(location, url);
+    }
+    throw new Error(`more than ${MAX_REDIRECTS} redirects`);
+}
+
+// --- robots.txt ---
+
+// Allow/Disallow rules of the group that applies to us (our own agent, else '*')
+export function parseRobots(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [] };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+        } else {
+            lastWasAgent = false;
+            if (current && (field === 'allow' || field === 'disallow') && value) {
+                current.rules.push({ allow: field === 'allow', path: value });
+            }
+        }
+    }
+
+    const ours = groups.find(group => group.agents.some(agent => agent !== '*' && ROBOTS_AGENT.includes(agent)));
+    return (ours || groups.find(group => group.agents.includes('*')))?.rules || [];
+}
+
+function ruleMatches(rulePath, path) {
+    const pattern = rulePath
+        .replace(/[.+?^{}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*');
+    return new RegExp(`^${pattern}`).test(path);
+}
+
+// The most specific (longest) matching rule wins; Allow wins a tie
+export function isAllowed(rules, path) {
+    let best = null;
+    for (const rule of rules) {
+        if (!ruleMatches(rule.path, path)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    }
+    return !best || best.allow;
+}
+
+// Missing robots.txt (4xx) allows everything; an unreachable one (5xx, network error) allows nothing
+async function fetchRobotsRules(origin) {
+    try {
+        const res = await fetchPublic(new URL('/robots.txt', origin), {
+            headers: { 'User-Agent': USER_AGENT },
+            signal: AbortSignal.timeout(ROBOTS_TIMEOUT_MS)
+        });
+        if (res.ok) {
+            return parseRobots((await res.text()).slice(0, 500 * 1024));
+        }
+        return res.status < 500 ? [] : [{ allow: false, path: '/' }];
+    } catch (error) {
+        return [{ allow: false, path: '/' }];
+    }
+}
+
+// Cached as a promise so pages on the same site fetched in parallel share one robots.txt request
+function robotsRulesFor(url) {
+    let rules = robotsCache.get(url.origin);
+    if (!rules) {
+        rules = fetchRobotsRules(url.origin);
+        robotsCache.set(url.origin, rules, PAGE_CACHE_TTL_MS);
+    }
+    return rules;
+}
+
+// --- Extraction ---
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code > 0 && code < 0x110000 ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+// The outermost <article> or <main>, when it holds a reasonable share of the page
+function mainContent(html) {
+    const lower = html.toLowerCase();
+    for (const tag of ['article', 'main']) {
+        const start = lower.search(new RegExp(`<${tag}\\b`));
+        const end = lower.lastIndexOf(`</${tag}>`);
+        if (start !== -1 && end > start && end - start > 2000) {
+            return html.slice(start, end);
+        }
+    }
+    return html;
+}
+
+// Readable text of an HTML page: boilerplate elements dropped, one paragraph per line
+function extractReadableText(html) {
+    const title = decodeEntities(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '').trim();
+
+    const text = mainContent(html)
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<(script|style|noscript|svg|template|iframe|nav|header|footer|aside|form|button|select)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<\/?(p|div|section|article|main|h[1-6]|li|ul|ol|dl|dt|dd|table|tr|blockquote|pre|figcaption|br|hr)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, ' ');
+
+    const paragraphs = decodeEntities(text)
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        // Menus, buttons and bylines left over are short fragments
+        .filter(line => line.split(' ').length >= 5);
+
+    return { title, text: paragraphs.join('\n') };
+}
+
+// Split text into passages of about PASSAGE_LENGTH characters, on paragraph or sentence boundaries
+function chunkText(text) {
+    const pieces = text.split('\n').flatMap(paragraph => paragraph.length > PASSAGE_LENGTH
+        ? paragraph.split(/(?<=[.!?])\s+/)
+        : [paragraph]);
+
+    const passages = [];
+    let current = '';
+    for (const piece of pieces) {
+        if (current && current.length + piece.length + 1 > PASSAGE_LENGTH) {
+            passages.push(current);
+            current = '';
+        }
+        current = current ? `${current} ${piece}` : piece;
+    }
+    if (current) passages.push(current);
+    return passages.map(passage => passage.slice(0, PASSAGE_LENGTH * 2));
+}
+
+// --- Fetching ---
+
+async function readBody(res) {
+    const buffers = [];
+    let size = 0;
+    for await (const chunk of res.body) {
+        buffers.push(chunk);
+        size += chunk.length;
+        if (size >= PAGE_MAX_BYTES) break;
+    }
+
+    const charset = res.headers.get('content-type')?.match(/charset=([\w-]+)/i)?.[1];
+    let decoder;
+    try {
+        decoder = new TextDecoder(charset || 'utf-8');
+    } catch (e) {
+        decoder = new TextDecoder('utf-8');
+    }
+    return decoder.decode(Buffer.concat(buffers).subarray(0, PAGE_MAX_BYTES));
+}
+
+// Fetch and extract one page; returns { title, text } or null when it can't (or may not) be read
+async function readPage(link, { signal } = {}) {
+    const cached = pageCache.get(link);
+    if (cached !== undefined) return cached;
+
+    let page = null;
+    try {
+        const timeout = AbortSignal.timeout(PAGE_TIMEOUT_MS);
+        const res = await fetchPublic(link, {
+            robots: true,
+            headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,text/plain;q=0.9' },
+            signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+        });
+
+        if (res) {
+            const type = res.headers.get('content-type') || '';
+
+            if (!res.ok) {
+                console.warn(`Page Fetch Error (${link}): HTTP ${res.status}`);
+            } else if (type.includes('html')) {
+                page = extractReadableText(await readBody(res));
+            } else if (type.includes('text/plain')) {
+                page = { title: '', text: (await readBody(res)).split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim()).join('\n') };
+            } else {
+                console.warn(`Page Fetch Skipped (${link}): unsupported content type "${type}"`);
+            }
+        }
+    } catch (error) {
+        // A stopped request says nothing about the page; don't remember it as broken
+        if (signal?.aborted) return null;
+        console.warn(`Page Fetch Error (${link}):`, error.message);
+    }
+
+    pageCache.set(link, page, page ? PAGE_CACHE_TTL_MS : FAILURE_TTL_MS);
+    return page;
+}
+
+// Read the top search results and return the best passages for the query,
+// as chunks ({ text, source }) in the same shape the search providers return
+export async function readPages(query, sources, { signal } = {}) {
+    const targets = sources.slice(0, MAX_PAGES);
+    if (targets.length === 0) return [];
+    console.log(`📖 Deep research: reading ${targets.length} pages`);
+
+    const pages = await Promise.all(targets.map(source => readPage(source.link, { signal })));
+
+    const passages = [];
+    pages.forEach((page, i) => {
+        if (!page?.text) return;
+        const pagePassages = chunkText(page.text).map(text => ({ text, source: targets[i].id }));
+        // A few passages per page so one long page can't crowd out the others
+        rankPassages(pagePassages, query)
+            .slice(0, PASSAGES_PER_PAGE)
+            .forEach(({ passage }) => passages.push(passage));
+    });
+
+    const chunks = rankPassages(passages, query).slice(0, MAX_PASSAGES).map(({ passage }) => passage);
+    console.log(`✅ Deep research: ${pages.filter(Boolean).length} of ${targets.length} pages read, ${chunks.length} passages kept.`);
+    return chunks;
+}
@@ -0,0 +1,38 @@
+import { tokenize } from '../storage/search.js';
+
+// Rank passages of text against a search query, TF-IDF style.
+// Any query term may match (prefix match, so "rank" finds "ranking"); common question words are ignored.
+
+const STOPWORDS = new Set([
+    'the', 'is', 'are', 'was', 'were', 'be', 'of', 'to', 'in', 'on', 'for', 'and', 'or', 'an', 'at', 'by',
+    'with', 'what', 'who', 'how', 'why', 'when', 'where', 'which', 'does', 'do', 'can', 'it', 'its', 'me', 'about'
+]);
+
+export function queryTerms(query) {
+    return [...new Set(tokenize(query).filter(term => !STOPWORDS.has(term)))];
+}
+
+// Returns the passages that match at least one term, best first, as [{ passage, rank }]
+export function rankPassages(passages, query, textOf = passage => passage.text) {
+    const terms = queryTerms(query);
+    const tokenized = passages.map(passage => tokenize(textOf(passage)));
+
+    const documentFrequency = Object.fromEntries(terms.map(term => [
+        term,
+        tokenized.filter(words => words.some(word => word.startsWith(term))).length
+    ]));
+
+    return passages
+        .map((passage, i) => {
+            const words = tokenized[i];
+            let rank = 0;
+            for (const term of terms) {
+                const count = words.filter(word => word.startsWith(term)).length;
+                if (count === 0) continue;
+                rank += (count / words.length) * Math.log(1 + passages.length / documentFrequency[term]);
+            }
+            return { passage, rank };
+        })
+        .filter(({ rank }) => rank > 0)
+        .sort((a, b) => b.rank - a.rank);
+}
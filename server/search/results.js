@@ -0,0 +1,67 @@
+// Normalized search results shared by every provider:
+//   { chunks: [{ text, source }], sources: [{ id, title, link, favicon, snippet }] }
+// Sources are numbered from 1 in the order they are first seen (the model cites them as [n]);
+// `chunk.source` is the id of the source a chunk came from, or null.
+
+const MAX_SOURCES = 8;
+const MAX_CHUNKS = 15;
+const MAX_CHUNK_LENGTH = 1200;
+
+// Links and favicons come from third parties and end up in the page: only http(s) URLs are kept
+function isWebLink(link) {
+    try {
+        return ['http:', 'https:'].includes(new URL(link).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+export function createResultSet() {
+    const sources = [];
+    const chunks = [];
+
+    return {
+        // Register a source (deduplicated by link); returns its id, or null when full or without an http(s) link
+        addSource({ title, link, favicon, snippet }) {
+            if (!isWebLink(link)) return null;
+            const existing = sources.find(s => s.link === link);
+            if (existing) return existing.id;
+            if (sources.length >= MAX_SOURCES) return null;
+            sources.push({ id: sources.length + 1, title: title || "Source", link, favicon: isWebLink(favicon) ? favicon : null, snippet: snippet || "" });
+            return sources.length;
+        },
+
+        addChunk(text, source = null) {
+            const trimmed = (text || "").trim().slice(0, MAX_CHUNK_LENGTH);
+            if (trimmed && !chunks.some(chunk => chunk.text === trimmed)) chunks.push({ text: trimmed, source });
+        },
+
+        result() {
+            return { chunks: chunks.slice(0, MAX_CHUNKS), sources };
+        }
+    };
+}
+
+// Merge the results of several searches into one set: sources deduplicated by link and renumbered,
+// chunks interleaved (first chunk of each search, then the second, ...) so every query is represented
+export function mergeResults(results) {
+    const merged = createResultSet();
+    const lists = results.filter(Boolean);
+
+    const sourceId = (result, id) => {
+        const source = id && result.sources.find(s => s.id === id);
+        return source ? merged.addSource(source) : null;
+    };
+
+    const rounds = Math.max(0, ...lists.map(result => result.chunks.length));
+    for (let i = 0; i < rounds; i++) {
+        lists.forEach(result => {
+            const chunk = result.chunks[i];
+            if (chunk) merged.addChunk(chunk.text, sourceId(result, chunk.source));
+        });
+    }
+    // Sources no chunk pointed at are still worth listing
+    lists.forEach(result => result.sources.forEach(source => merged.addSource(source)));
+
+    return merged.result();
+}
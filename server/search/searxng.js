@@ -0,0 +1,33 @@
+import fetch from 'node-fetch';
+import { createResultSet } from './results.js';
+
+// A SearXNG instance with the JSON format enabled (SEARXNG_URL, e.g. http://localhost:8888)
+export function createSearxngProvider() {
+    const baseUrl = process.env.SEARXNG_URL;
+
+    return {
+        name: 'searxng',
+        configured: Boolean(baseUrl),
+
+        async search(query, { signal } = {}) {
+            console.log(`🔎 Performing Web Search (SearXNG) for: "${query}"`);
+            // Relative to the base URL so instances served under a path prefix work too
+            const url = new URL('search', baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+            url.searchParams.append("q", query);
+            url.searchParams.append("format", "json");
+
+            const res = await fetch(url, { headers: { 'Accept': 'application/json' }, signal });
+            if (!res.ok) {
+                throw new Error(`SearXNG: HTTP ${res.status}`);
+            }
+            const data = await res.json();
+
+            const results = createResultSet();
+            (data.results || []).forEach(r => {
+                const source = results.addSource({ title: r.title, link: r.url, snippet: r.content });
+                results.addChunk(r.content, source);
+            });
+            return results.result();
+        }
+    };
+}
@@ -0,0 +1,56 @@
+import fetch from 'node-fetch';
+import { createResultSet } from './results.js';
+
+// SerpApi, Google AI Mode engine (SERP_API_KEY)
+export function createSerpApiProvider() {
+    const apiKey = process.env.SERP_API_KEY;
+
+    return {
+        name: 'serpapi',
+        configured: Boolean(apiKey),
+
+        async search(query, { signal } = {}) {
+            console.log(`🔎 Performing Web Search (Google AI Mode) for: "${query}"`);
+            const url = new URL("https://serpapi.com/search.json");
+            url.searchParams.append("engine", "google_ai_mode");
+            url.searchParams.append("q", query);
+            url.searchParams.append("api_key", apiKey);
+
+            const res = await fetch(url, { signal });
+            const data = await res.json();
+
+            console.log("SerpApi Response Keys:", Object.keys(data));
+            if (data.organic_results) console.log("Organic Results Count:", data.organic_results.length);
+            if (data.text_blocks) console.log("Text Blocks Count:", data.text_blocks.length);
+            if (data.references) console.log("References Count:", data.references.length);
+
+            if (data.error) {
+                throw new Error(`SerpApi: ${data.error}`);
+            }
+
+            const results = createResultSet();
+
+            // Google AI Mode: text blocks point at their references by index
+            const referenceIds = (data.references || []).map(r => results.addSource({
+                title: r.title || r.source,
+                link: r.link,
+                favicon: r.source_icon,
+                snippet: r.snippet
+            }));
+
+            (data.text_blocks || []).forEach(b => {
+                const source = (b.reference_indexes || []).map(i => referenceIds[i]).find(Boolean)
+                    || results.addSource({ title: b.title || b.source, link: b.link || b.source_url });
+                results.addChunk(b.snippet || b.title || b.text, source);
+            });
+
+            // Organic results (standard Google) add both a source and its snippet
+            (data.organic_results || []).forEach(r => {
+                const source = results.addSource({ title: r.title, link: r.link, favicon: r.favicon, snippet: r.snippet });
+                results.addChunk(r.snippet, source);
+            });
+
+            return results.result();
+        }
+    };
+}
@@ -0,0 +1,33 @@
+import fetch from 'node-fetch';
+import { createResultSet } from './results.js';
+
+// Tavily Search API (TAVILY_API_KEY)
+export function createTavilyProvider() {
+    const apiKey = process.env.TAVILY_API_KEY;
+
+    return {
+        name: 'tavily',
+        configured: Boolean(apiKey),
+
+        async search(query, { signal } = {}) {
+            console.log(`🔎 Performing Web Search (Tavily) for: "${query}"`);
+            const res = await fetch("https://api.tavily.com/search", {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+                body: JSON.stringify({ query, max_results: 8, search_depth: 'basic' }),
+                signal
+            });
+            if (!res.ok) {
+                throw new Error(`Tavily: HTTP ${res.status}`);
+            }
+            const data = await res.json();
+
+            const results = createResultSet();
+            (data.results || []).forEach(r => {
+                const source = results.addSource({ title: r.title, link: r.url, snippet: r.content });
+                results.addChunk(r.content, source);
+            });
+            return results.result();
+        }
+    };
+}
@@ -0,0 +1,155 @@
+import { DEFAULT_MODELS } from './models.js';
+import { createStructuredCompletion } from './structured.js';
+
+// Smart Prompt
+// SMART_PROMPT_MODEL reviews a prompt before it is sent: it lists issues, asks up to MAX_QUESTIONS
+// clarifying questions about what it can't infer, and rewrites the prompt in one of SMART_PROMPT_MODES
+// without changing what is asked. With chat history, references like "it" or "the second one" are
+// resolved from the recent conversation; answers to earlier questions are worked into the rewrite.
+
+export const SMART_PROMPT_MODES = {
+    shorter: "Make the prompt significantly shorter (fewer tokens): remove fluff and filler, use precise terminology and condense the structure.",
+    precise: "Make the prompt more precise: replace vague words with specific ones, resolve ambiguous references and state constraints explicitly. Length is secondary.",
+    detailed: "Make the prompt more detailed: spell out the context, the constraints and what a complete answer covers, using only what the prompt and conversation imply.",
+    format: "Keep the prompt as it is and add a clear output format that suits the request (e.g. a numbered list, a table with named columns, a code block with a short explanation, a length limit)."
+};
+export const DEFAULT_SMART_PROMPT_MODE = 'shorter';
+
+const MAX_QUESTIONS = 3;
+const MAX_OPTIONS = 4;
+// Recent messages shown to the model when the prompt is written in a chat
+export const SMART_PROMPT_HISTORY_MESSAGES = 6;
+
+const ANALYSIS_SCHEMA = {
+    type: "object",
+    properties: {
+        issues: { type: "array", items: { type: "string" } },
+        questions: {
+            type: "array",
+            maxItems: MAX_QUESTIONS,
+            items: {
+                type: "object",
+                properties: {
+                    question: { type: "string", minLength: 1 },
+                    options: { type: "array", maxItems: MAX_OPTIONS, items: { type: "string" } }
+                },
+                required: ["question"]
+            }
+        },
+        optimized_prompt: { type: "string", minLength: 1 }
+    },
+    required: ["issues", "questions", "optimized_prompt"]
+};
+
+// Questions with their text trimmed and empty options dropped
+function cleanQuestions(questions) {
+    return questions
+        .map(q => ({
+            question: q.question.trim().slice(0, 300),
+            options: (q.options || [])
+                .map(option => option.trim().slice(0, 100))
+                .filter(Boolean)
+        }))
+        .filter(q => q.question);
+}
+
+// Ask the smart prompt model for issues, clarifying questions and a rewrite in `mode`: { issues, questions, optimized_prompt }.
+// history: recent { role, content } messages of the chat; answers: [{ question, answer }] from the user.
+// Throws StructuredOutputError when the model's answer doesn't match ANALYSIS_SCHEMA.
+export async function analyzePrompt(prompt, { mode = DEFAULT_SMART_PROMPT_MODE, history = [], answers = [], meter } = {}) {
+    console.log(`Analyzing prompt for improvements (${mode})...`);
+
+    const transcript = history
+        .slice(-SMART_PROMPT_HISTORY_MESSAGES)
+        .map(t => `${t.role === 'user' ? 'User' : 'Assistant'}: ${t.content.slice(0, 600)}`)
+        .join('\n\n');
+    const answered = answers.map(a => `Q: ${a.question}\nA: ${a.answer}`).join('\n\n');
+    const input = [
+        transcript && `### CONVERSATION SO FAR:\n${transcript}`,
+        answered && `### THE USER'S ANSWERS TO YOUR QUESTIONS:\n${answered}`,
+        `### PROMPT TO REWRITE:\n${prompt}`
+    ].filter(Boolean).join('\n\n');
+
+    const { value } = await createStructuredCompletion({
+        model: DEFAULT_MODELS.smartPrompt,
+        name: "prompt_analysis",
+        schema: ANALYSIS_SCHEMA,
+        messages: [
+            {
+                role: "system",
+                content: `You review the prompt a user is about to send to an AI assistant.
+
+                CORE OBJECTIVE:
+                ${SMART_PROMPT_MODES[mode]}
+                Preserve 100% of the original intent: the same task, subject, constraints and tone. Never add requirements the user did not ask for and never answer the prompt yourself.
+
+                TASKS:
+                1. Identify issues: Ambiguous references, Missing inputs, Conflicting instructions, Redundant phrasing.
+                2. Ask clarifying questions: at most ${MAX_QUESTIONS}, only about information the rewrite needs and cannot infer (e.g. "Which language should the function be in?"). Give up to ${MAX_OPTIONS} short likely answers as options when they are obvious. Ask nothing when the prompt is clear or the user's answers cover it.
+                3. Rewrite the prompt following the objective (optimized_prompt). Resolve references ("it", "that", "the second one") using the conversation, if one is given, and work in the user's answers, if any. Write it as the user, addressed to the assistant.`
+            },
+            { role: "user", content: input }
+        ],
+        max_tokens: 700,
+        temperature: 0.3
+    }, { meter, kind: 'smart_prompt' });
+
+    console.log("Smart Prompt Analysis:", JSON.stringify(value));
+    return {
+        issues: value.issues,
+        questions: cleanQuestions(value.questions),
+        optimized_prompt: value.optimized_prompt.trim() || prompt
+    };
+}
+
+// --- Word Diff ---
+
+// Above this many words on either side, the diff is a whole removal and insertion (the table is n*m)
+const MAX_DIFF_WORDS = 1500;
+
+// Word-level diff from `original` to `rewritten`: [{ type: 'equal' | 'removed' | 'added', text }].
+// Whitespace stays attached to the word before it, so joining the 'equal' and 'added' parts gives `rewritten`.
+export function wordDiff(original, rewritten) {
+    const a = original.match(/\S+\s*/g) || [];
+    const b = rewritten.match(/\S+\s*/g) || [];
+    const leading = rewritten.match(/^\s*/)[0];
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last?.type === type) last.text += text;
+        else parts.push({ type, text });
+    };
+
+    if (a.length > MAX_DIFF_WORDS || b.length > MAX_DIFF_WORDS) {
+        if (original) push('removed', original);
+        if (rewritten) push('added', rewritten);
+        return parts;
+    }
+
+    // Longest common subsequence of words (compared without their trailing whitespace), from the end
+    const same = (i, j) => a[i].trimEnd() === b[j].trimEnd();
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = same(i, j) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    if (leading) push('added', leading);
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (same(i, j)) {
+            push('equal', b[j]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+    return parts;
+}
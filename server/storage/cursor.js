@@ -0,0 +1,24 @@
+// Opaque pagination cursors for chat listings.
+// A cursor marks the last chat of a page by its (updated_at, id) sort key.
+// Both values end up in a PostgREST filter string, so only an ISO timestamp and a UUID are accepted.
+
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function encodeCursor(position) {
+    if (!position) return null;
+    return Buffer.from(JSON.stringify({ updated_at: position.updated_at, id: position.id })).toString('base64url');
+}
+
+// Returns null for a malformed cursor
+export function decodeCursor(cursor) {
+    try {
+        const { updated_at, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (TIMESTAMP.test(updated_at) && !Number.isNaN(Date.parse(updated_at)) && UUID.test(id)) {
+            return { updated_at, id };
+        }
+    } catch (error) {
+        // fall through
+    }
+    return null;
+}
@@ -0,0 +1,389 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { tokenize, scoreMessage, buildSnippet } from './search.js';
+
+const TABLES = ['users', 'chats', 'messages', 'token_usage', 'usage_events', 'cache_entries', 'documents', 'document_chunks', 'user_settings', 'memories', 'personas'];
+
+// Local storage backend for offline development and tests.
+// The whole database lives in memory and is rewritten to a JSON file after every change.
+// Pass ':memory:' as the path to skip the file entirely.
+export async function createFileStorage(filePath) {
+    const inMemory = filePath === ':memory:';
+    let db = {};
+
+    if (!inMemory) {
+        try {
+            db = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+    TABLES.forEach(table => {
+        if (!Array.isArray(db[table])) db[table] = [];
+    });
+    // Chats written by older versions have no updated_at
+    db.chats.forEach(chat => {
+        chat.updated_at = chat.updated_at || chat.created_at;
+    });
+    // Messages written before conversation trees form a single chain per chat
+    const lastMessageByChat = {};
+    db.messages.forEach(message => {
+        if (!('parent_id' in message)) {
+            message.parent_id = lastMessageByChat[message.chat_id] || null;
+        }
+        lastMessageByChat[message.chat_id] = message.id;
+    });
+
+    // Writes are serialized so concurrent requests never interleave on disk. A failed write rejects
+    // only for its caller: the next one starts anyway, and its snapshot includes what was missed.
+    let writeQueue = Promise.resolve();
+    function persist() {
+        if (inMemory) return writeQueue;
+        const snapshot = JSON.stringify(db, null, 2);
+        const write = writeQueue.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            await fs.writeFile(tmpPath, snapshot);
+            await fs.rename(tmpPath, filePath);
+        });
+        writeQueue = write;
+        return write;
+    }
+
+    function findChat(chatId) {
+        return db.chats.find(c => c.id === chatId);
+    }
+
+    // Most recently updated first, ties broken by id (matches the cursor's sort key)
+    function byRecent(a, b) {
+        return b.updated_at.localeCompare(a.updated_at) || b.id.localeCompare(a.id);
+    }
+
+    function withSummary(chat) {
+        const messages = db.messages.filter(m => m.chat_id === chat.id);
+        const last = messages[messages.length - 1];
+        return {
+            ...chat,
+            message_count: messages.length,
+            last_message: last ? last.content.slice(0, 120) : null
+        };
+    }
+
+    return {
+        name: 'local',
+
+        async createChat(fields = {}) {
+            const now = new Date().toISOString();
+            const chat = {
+                id: randomUUID(),
+                title: null,
+                pinned: false,
+                archived: false,
+                created_at: now,
+                updated_at: now,
+                ...fields
+            };
+            db.chats.push(chat);
+            await persist();
+            return { ...chat };
+        },
+
+        async getChat(chatId) {
+            const chat = findChat(chatId);
+            return chat ? { ...chat } : null;
+        },
+
+        async updateChat(chatId, fields) {
+            const chat = findChat(chatId);
+            if (!chat) {
+                throw new Error(`Chat ${chatId} not found`);
+            }
+            Object.assign(chat, fields, { updated_at: new Date().toISOString() });
+            await persist();
+            return { ...chat };
+        },
+
+        async appendMessage(chatId, message) {
+            const chat = findChat(chatId);
+            if (!chat) {
+                throw new Error(`Chat ${chatId} not found`);
+            }
+            const row = {
+                id: randomUUID(),
+                parent_id: null,
+                ...message,
+                chat_id: chatId,
+                created_at: new Date().toISOString()
+            };
+            db.messages.push(row);
+            chat.updated_at = row.created_at;
+            await persist();
+            return { ...row };
+        },
+
+        async listMessages(chatId) {
+            // Rows are kept in insertion order, which is already chronological
+            return db.messages.filter(m => m.chat_id === chatId).map(m => ({ ...m }));
+        },
+
+        async listChats({ userId, limit = 20, cursor = null, archived = false } = {}) {
+            const visible = db.chats.filter(c => c.user_id === userId && Boolean(c.archived) === archived);
+            const pinned = cursor ? [] : visible.filter(c => c.pinned).sort(byRecent);
+
+            let rest = visible.filter(c => !c.pinned).sort(byRecent);
+            if (cursor) {
+                rest = rest.filter(c =>
+                    c.updated_at < cursor.updated_at ||
+                    (c.updated_at === cursor.updated_at && c.id < cursor.id)
+                );
+            }
+
+            const page = rest.slice(0, limit);
+            return {
+                chats: [...pinned, ...page].map(withSummary),
+                nextCursor: rest.length > limit ? page[page.length - 1] : null
+            };
+        },
+
+        async searchMessages(query, { userId, limit = 20 } = {}) {
+            const terms = [...new Set(tokenize(query))];
+            if (terms.length === 0) return [];
+
+            const owned = new Set(db.chats.filter(c => c.user_id === userId).map(c => c.id));
+            const messages = db.messages.filter(m => owned.has(m.chat_id));
+
+            const documentFrequency = {};
+            terms.forEach(term => {
+                documentFrequency[term] = messages.filter(m =>
+                    tokenize(m.content).some(word => word.startsWith(term))
+                ).length;
+            });
+
+            const hits = [];
+            for (const message of messages) {
+                const rank = scoreMessage(message.content, terms, documentFrequency, messages.length);
+                if (rank === null) continue;
+                hits.push({ message, rank });
+            }
+
+            return hits
+                .sort((a, b) => b.rank - a.rank || b.message.created_at.localeCompare(a.message.created_at))
+                .slice(0, limit)
+                .map(({ message, rank }) => ({
+                    message_id: message.id,
+                    chat_id: message.chat_id,
+                    chat_title: findChat(message.chat_id)?.title || null,
+                    role: message.role,
+                    created_at: message.created_at,
+                    rank,
+                    ...buildSnippet(message.content, terms)
+                }));
+        },
+
+        async createUser(user) {
+            if (db.users.some(u => u.username === user.username)) {
+                throw new Error(`User ${user.username} already exists`);
+            }
+            const row = { id: randomUUID(), ...user, created_at: new Date().toISOString() };
+            db.users.push(row);
+            await persist();
+            return { ...row };
+        },
+
+        async getUserByUsername(username) {
+            const user = db.users.find(u => u.username === username);
+            return user ? { ...user } : null;
+        },
+
+        async addTokenUsage(userId, periods, tokens) {
+            periods.forEach(period => {
+                let counter = db.token_usage.find(u => u.user_id === userId && u.period === period);
+                if (!counter) {
+                    counter = { user_id: userId, period, tokens: 0 };
+                    db.token_usage.push(counter);
+                }
+                counter.tokens += tokens;
+            });
+            await persist();
+        },
+
+        async getTokenUsage(userId, periods) {
+            return Object.fromEntries(periods.map(period => [
+                period,
+                db.token_usage.find(u => u.user_id === userId && u.period === period)?.tokens || 0
+            ]));
+        },
+
+        async recordUsage(row) {
+            db.usage_events.push({ id: randomUUID(), ...row, created_at: new Date().toISOString() });
+            await persist();
+        },
+
+        async listUsage(userId, { since }) {
+            return db.usage_events
+                .filter(u => u.user_id === userId && u.created_at >= since)
+                .map(u => ({ ...u }));
+        },
+
+        async getCacheEntry(key) {
+            const entry = db.cache_entries.find(e => e.key === key);
+            return entry ? { ...entry } : null;
+        },
+
+        async setCacheEntry(entry) {
+            db.cache_entries = db.cache_entries.filter(e => e.key !== entry.key);
+            db.cache_entries.push({ ...entry });
+            await persist();
+        },
+
+        async listCacheEntries({ namespace } = {}) {
+            return db.cache_entries
+                .filter(e => !namespace || e.namespace === namespace)
+                .map(({ value, ...entry }) => entry);
+        },
+
+        async deleteCacheEntries({ namespace, key } = {}) {
+            const before = db.cache_entries.length;
+            db.cache_entries = db.cache_entries.filter(e => (key && e.key !== key) || (namespace && e.namespace !== namespace));
+            await persist();
+            return before - db.cache_entries.length;
+        },
+
+        async getUserSettings(userId) {
+            const settings = db.user_settings.find(s => s.user_id === userId);
+            return settings ? { ...settings } : null;
+        },
+
+        async updateUserSettings(userId, fields) {
+            let settings = db.user_settings.find(s => s.user_id === userId);
+            if (!settings) {
+                settings = { user_id: userId };
+                db.user_settings.push(settings);
+            }
+            Object.assign(settings, fields, { updated_at: new Date().toISOString() });
+            await persist();
+            return { ...settings };
+        },
+
+        async listMemories(userId) {
+            return db.memories.filter(m => m.user_id === userId).map(m => ({ ...m }));
+        },
+
+        async getMemory(memoryId) {
+            const memory = db.memories.find(m => m.id === memoryId);
+            return memory ? { ...memory } : null;
+        },
+
+        async createMemory(memory) {
+            const now = new Date().toISOString();
+            const row = { id: randomUUID(), ...memory, created_at: now, updated_at: now };
+            db.memories.push(row);
+            await persist();
+            return { ...row };
+        },
+
+        async updateMemory(memoryId, fields) {
+            const memory = db.memories.find(m => m.id === memoryId);
+            if (!memory) {
+                throw new Error(`Memory ${memoryId} not found`);
+            }
+            Object.assign(memory, fields, { updated_at: new Date().toISOString() });
+            await persist();
+            return { ...memory };
+        },
+
+        async deleteMemory(memoryId) {
+            db.memories = db.memories.filter(m => m.id !== memoryId);
+            await persist();
+        },
+
+        async deleteMemories(userId) {
+            const before = db.memories.length;
+            db.memories = db.memories.filter(m => m.user_id !== userId);
+            await persist();
+            return before - db.memories.length;
+        },
+
+        async listPersonas(userId) {
+            return db.personas.filter(p => p.user_id === userId).map(p => ({ ...p }));
+        },
+
+        async getPersona(personaId) {
+            const persona = db.personas.find(p => p.id === personaId);
+            return persona ? { ...persona } : null;
+        },
+
+        async createPersona(persona) {
+            const now = new Date().toISOString();
+            const row = { id: randomUUID(), ...persona, created_at: now, updated_at: now };
+            db.personas.push(row);
+            await persist();
+            return { ...row };
+        },
+
+        async updatePersona(personaId, fields) {
+            const persona = db.personas.find(p => p.id === personaId);
+            if (!persona) {
+                throw new Error(`Persona ${personaId} not found`);
+            }
+            Object.assign(persona, fields, { updated_at: new Date().toISOString() });
+            await persist();
+            return { ...persona };
+        },
+
+        async deletePersona(personaId) {
+            db.personas = db.personas.filter(p => p.id !== personaId);
+            // Chats that used it go back to the default persona
+            db.chats.forEach(chat => {
+                if (chat.persona_id === personaId) chat.persona_id = null;
+            });
+            await persist();
+        },
+
+        async createDocument(document, chunks) {
+            const row = { id: randomUUID(), ...document, created_at: new Date().toISOString() };
+            db.documents.push(row);
+            chunks.forEach(chunk => {
+                db.document_chunks.push({ id: randomUUID(), ...chunk, document_id: row.id, chat_id: row.chat_id });
+            });
+            await persist();
+            return { ...row };
+        },
+
+        async getDocument(documentId) {
+            const document = db.documents.find(d => d.id === documentId);
+            return document ? { ...document } : null;
+        },
+
+        async listDocuments(chatId) {
+            return db.documents.filter(d => d.chat_id === chatId).map(d => ({ ...d }));
+        },
+
+        async listDocumentChunks(chatId) {
+            return db.document_chunks.filter(c => c.chat_id === chatId).map(c => ({ ...c }));
+        },
+
+        async deleteDocument(documentId) {
+            db.documents = db.documents.filter(d => d.id !== documentId);
+            db.document_chunks = db.document_chunks.filter(c => c.document_id !== documentId);
+            await persist();
+        },
+
+        async deleteChat(chatId) {
+            db.chats = db.chats.filter(c => c.id !== chatId);
+            db.messages = db.messages.filter(m => m.chat_id !== chatId);
+            db.documents = db.documents.filter(d => d.chat_id !== chatId);
+            db.document_chunks = db.document_chunks.filter(c => c.chat_id !== chatId);
+            // Memories outlive the chat they were learned in
+            db.memories.forEach(m => {
+                if (m.source_chat_id === chatId) m.source_chat_id = null;
+            });
+            // Spending stays on the ledger, detached from the deleted chat
+            db.usage_events.forEach(u => {
+                if (u.chat_id === chatId) u.chat_id = null;
+            });
+            await persist();
+        }
+    };
+}
@@ -0,0 +1,95 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createClient } from '@supabase/supabase-js';
+import { createSupabaseStorage } from './supabaseStorage.js';
+import { createFileStorage } from './fileStorage.js';
+
+export { encodeCursor, decodeCursor } from './cursor.js';
+
+// Storage interface shared by every backend:
+//   createChat(fields?)            -> chat row (pass `user_id` to set its owner)
+//   getChat(chatId)                -> chat row or null
+//   updateChat(chatId, fields)     -> updated chat row (throws if missing)
+//   appendMessage(chatId, message) -> message row (also bumps the chat's updated_at).
+//                                     `message.parent_id` links it into the conversation tree (see conversation.js).
+//                                     Assistant messages also carry model, depth, web_search, input_tokens,
+//                                     output_tokens, latency_ms, sources, search_queries and document_sources,
+//                                     returned as stored by listMessages.
+//   listMessages(chatId)           -> message rows, oldest first
+//   listChats({ userId, limit, cursor, archived })
+//                                  -> { chats, nextCursor }: the user's chat rows with message_count and last_message.
+//                                     The first page (no cursor) starts with every pinned chat; the rest
+//                                     are most recently updated first, paged by a decoded cursor (see cursor.js).
+//   searchMessages(query, { userId, limit })
+//                                  -> ranked hits in the user's chats { message_id, chat_id, chat_title, role, created_at, rank,
+//                                     snippet, highlights: [[start, end], ...] } (offsets into snippet)
+//   deleteChat(chatId)             -> void (messages and documents are removed with the chat)
+//   createUser({ username, password_hash })
+//                                  -> user row (throws if the username is taken); used by local auth
+//   getUserByUsername(username)    -> user row or null
+//   addTokenUsage(userId, periods, tokens)
+//                                  -> void: adds tokens to the user's counter for each period key (e.g. 'day:2024-05-01')
+//   getTokenUsage(userId, periods) -> { [period]: tokens } (0 for periods without usage)
+//   recordUsage(row)               -> void: appends a usage ledger row (see usage.js)
+//   listUsage(userId, { since })   -> the user's ledger rows created at or after `since` (ISO string), oldest first
+//   getCacheEntry(key)             -> response cache row { key, namespace, label, value, created_at, expires_at } or null
+//   setCacheEntry(entry)           -> void: inserts or replaces the row with entry.key (see cache.js)
+//   listCacheEntries({ namespace }) -> cache rows without their value
+//   deleteCacheEntries({ namespace, key })
+//                                  -> number of rows removed (every row when neither is given)
+//   getUserSettings(userId)        -> { user_id, memory_enabled, updated_at } or null (nothing saved yet)
+//   updateUserSettings(userId, fields)
+//                                  -> settings row, created on first use
+//   listMemories(userId)           -> the user's long-term memory rows { id, user_id, content, kind, source_chat_id,
+//                                     created_at, updated_at }, oldest first (see memory.js)
+//   getMemory(memoryId)            -> memory row or null
+//   createMemory(memory)           -> memory row
+//   updateMemory(memoryId, fields) -> updated memory row (throws if missing)
+//   deleteMemory(memoryId)         -> void
+//   deleteMemories(userId)         -> number of the user's memories removed
+//   listPersonas(userId)           -> the user's persona rows { id, user_id, name, system_prompt, model, depth, web_search,
+//                                     created_at, updated_at }, oldest first
+//   getPersona(personaId)          -> persona row or null
+//   createPersona(persona)         -> persona row
+//   updatePersona(personaId, fields) -> updated persona row (throws if missing)
+//   deletePersona(personaId)       -> void (chats that used it get persona_id null)
+//   createDocument(document, chunks)
+//                                  -> document row { id, chat_id, user_id, filename, kind, size_bytes, page_count, token_count,
+//                                     chunk_count, created_at }; its chunks { position, page, start_line, end_line, content,
+//                                     token_count } are stored with its id (see documents/index.js)
+//   getDocument(documentId)        -> document row or null
+//   listDocuments(chatId)          -> the chat's document rows, oldest first
+//   listDocumentChunks(chatId)     -> chunk rows of every document in the chat (with document_id)
+//   deleteDocument(documentId)     -> void (its chunks are removed with it)
+// Backend errors are thrown; callers decide how to degrade.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_LOCAL_DB_PATH = path.join(__dirname, '..', 'data', 'sanyai.json');
+
+function hasSupabaseCredentials() {
+    const { SUPABASE_URL, SUPABASE_KEY } = process.env;
+    return Boolean(SUPABASE_URL && SUPABASE_KEY && SUPABASE_KEY !== 'INSERT_YOUR_SUPABASE_ANON_KEY_HERE');
+}
+
+// Pick a backend from STORAGE_BACKEND ('supabase' | 'local').
+// Without an explicit choice, Supabase is used when credentials are present, otherwise the local file.
+export async function createStorage() {
+    const backend = (process.env.STORAGE_BACKEND || (hasSupabaseCredentials() ? 'supabase' : 'local')).toLowerCase();
+
+    if (backend === 'supabase') {
+        if (!hasSupabaseCredentials()) {
+            throw new Error("STORAGE_BACKEND=supabase but SUPABASE_URL / SUPABASE_KEY are missing.");
+        }
+        const client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+        console.log("✅ Supabase Client Initialized");
+        return createSupabaseStorage(client);
+    }
+
+    if (backend === 'local') {
+        const filePath = process.env.LOCAL_DB_PATH || DEFAULT_LOCAL_DB_PATH;
+        console.log(`💾 Using local file storage: ${filePath}`);
+        return createFileStorage(filePath);
+    }
+
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}". Expected "supabase" or "local".`);
+}
@@ -0,0 +1,84 @@
+// Helpers shared by the storage backends' message search.
+
+// Markers the Postgres search function wraps matches in (see search_messages in schema.sql)
+export const HIGHLIGHT_START = '⟦';
+export const HIGHLIGHT_END = '⟧';
+
+const SNIPPET_LENGTH = 160;
+
+export function tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).filter(term => term.length > 1);
+}
+
+// Strip highlight markers from a Postgres headline, returning plain text and [start, end) offsets
+export function parseHeadline(headline) {
+    const highlights = [];
+    let snippet = '';
+    let start = null;
+
+    for (const char of headline) {
+        if (char === HIGHLIGHT_START) {
+            start = snippet.length;
+        } else if (char === HIGHLIGHT_END) {
+            if (start !== null) highlights.push([start, snippet.length]);
+            start = null;
+        } else {
+            snippet += char;
+        }
+    }
+    return { snippet, highlights };
+}
+
+// Offsets of every word in `text` that starts with one of the query terms
+function findMatches(text, terms) {
+    const matches = [];
+    const wordPattern = /[\p{L}\p{N}_]+/gu;
+    let match;
+    while ((match = wordPattern.exec(text)) !== null) {
+        const word = match[0].toLowerCase();
+        if (terms.some(term => word.startsWith(term))) {
+            matches.push([match.index, match.index + match[0].length]);
+        }
+    }
+    return matches;
+}
+
+// Score a message against the query terms; returns null when nothing matches.
+// Every term must appear (prefix match), rank favours frequent and rarer terms.
+export function scoreMessage(content, terms, documentFrequency, totalDocuments) {
+    const words = tokenize(content);
+    if (words.length === 0) return null;
+
+    let rank = 0;
+    for (const term of terms) {
+        const count = words.filter(word => word.startsWith(term)).length;
+        if (count === 0) return null;
+        const idf = Math.log(1 + totalDocuments / (1 + (documentFrequency[term] || 0)));
+        rank += (count / words.length) * idf;
+    }
+    return rank;
+}
+
+// Build a snippet around the first match, with highlight offsets relative to the snippet
+export function buildSnippet(content, terms) {
+    const text = content.replace(/\s+/g, ' ');
+    const matches = findMatches(text, terms);
+    const first = matches.length > 0 ? matches[0][0] : 0;
+
+    let start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    start = Math.max(0, end - SNIPPET_LENGTH);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const snippet = prefix + text.slice(start, end) + suffix;
+
+    const highlights = matches
+        .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+        .map(([matchStart, matchEnd]) => [
+            matchStart - start + prefix.length,
+            matchEnd - start + prefix.length
+        ]);
+
+    return { snippet, highlights };
+}
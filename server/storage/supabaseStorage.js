@@ -0,0 +1,342 @@
+import { parseHeadline } from './search.js';
+
+// Supabase (PostgreSQL) storage backend. See schema.sql for the tables it expects.
+
+// Everything but the full-text search vector
+const MESSAGE_COLUMNS = 'id, chat_id, parent_id, role, content, model, depth, web_search, input_tokens, output_tokens, latency_ms, sources, search_queries, document_sources, created_at';
+
+export function createSupabaseStorage(supabase) {
+    // Supabase reports failures in the result instead of throwing
+    function unwrap({ data, error }, action) {
+        if (error) {
+            throw new Error(`Supabase ${action} failed: ${error.message}`);
+        }
+        return data;
+    }
+
+    return {
+        name: 'supabase',
+
+        async createChat(fields = {}) {
+            return unwrap(
+                await supabase.from('chats').insert(fields).select().single(),
+                'create chat'
+            );
+        },
+
+        async getChat(chatId) {
+            return unwrap(
+                await supabase.from('chats').select('*').eq('id', chatId).maybeSingle(),
+                'get chat'
+            );
+        },
+
+        async updateChat(chatId, fields) {
+            return unwrap(
+                await supabase
+                    .from('chats')
+                    .update({ ...fields, updated_at: new Date().toISOString() })
+                    .eq('id', chatId)
+                    .select()
+                    .single(),
+                'update chat'
+            );
+        },
+
+        async appendMessage(chatId, message) {
+            const row = unwrap(
+                await supabase.from('messages').insert({ ...message, chat_id: chatId }).select(MESSAGE_COLUMNS).single(),
+                'insert message'
+            );
+            unwrap(
+                await supabase.from('chats').update({ updated_at: row.created_at }).eq('id', chatId),
+                'touch chat'
+            );
+            return row;
+        },
+
+        async listMessages(chatId) {
+            return unwrap(
+                await supabase
+                    .from('messages')
+                    .select(MESSAGE_COLUMNS)
+                    .eq('chat_id', chatId)
+                    .order('created_at', { ascending: true }),
+                'list messages'
+            );
+        },
+
+        async listChats({ userId, limit = 20, cursor = null, archived = false } = {}) {
+            let pinned = [];
+            if (!cursor) {
+                pinned = unwrap(
+                    await supabase
+                        .from('chat_overview')
+                        .select('*')
+                        .eq('user_id', userId)
+                        .eq('archived', archived)
+                        .eq('pinned', true)
+                        .order('updated_at', { ascending: false })
+                        .order('id', { ascending: false }),
+                    'list pinned chats'
+                );
+            }
+
+            let query = supabase
+                .from('chat_overview')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('archived', archived)
+                .eq('pinned', false)
+                .order('updated_at', { ascending: false })
+                .order('id', { ascending: false })
+                .limit(limit + 1);
+            if (cursor) {
+                query = query.or(
+                    `updated_at.lt."${cursor.updated_at}",and(updated_at.eq."${cursor.updated_at}",id.lt.${cursor.id})`
+                );
+            }
+            const rest = unwrap(await query, 'list chats');
+
+            const page = rest.slice(0, limit);
+            return {
+                chats: [...pinned, ...page],
+                nextCursor: rest.length > limit ? page[page.length - 1] : null
+            };
+        },
+
+        async searchMessages(query, { userId, limit = 20 } = {}) {
+            const rows = unwrap(
+                await supabase.rpc('search_messages', { search_query: query, owner: userId, max_results: limit }),
+                'search messages'
+            );
+            return rows.map(({ headline, ...row }) => ({ ...row, ...parseHeadline(headline) }));
+        },
+
+        async createUser(user) {
+            return unwrap(await supabase.from('users').insert(user).select().single(), 'create user');
+        },
+
+        async getUserByUsername(username) {
+            return unwrap(
+                await supabase.from('users').select('*').eq('username', username).maybeSingle(),
+                'get user'
+            );
+        },
+
+        async addTokenUsage(userId, periods, tokens) {
+            // Incremented in the database so concurrent requests don't lose updates
+            unwrap(
+                await supabase.rpc('add_token_usage', { owner: userId, periods, amount: tokens }),
+                'add token usage'
+            );
+        },
+
+        async getTokenUsage(userId, periods) {
+            const rows = unwrap(
+                await supabase.from('token_usage').select('period, tokens').eq('user_id', userId).in('period', periods),
+                'get token usage'
+            );
+            return Object.fromEntries(periods.map(period => [
+                period,
+                Number(rows.find(row => row.period === period)?.tokens || 0)
+            ]));
+        },
+
+        async recordUsage(row) {
+            unwrap(await supabase.from('usage_events').insert(row), 'record usage');
+        },
+
+        async listUsage(userId, { since }) {
+            return unwrap(
+                await supabase
+                    .from('usage_events')
+                    .select('*')
+                    .eq('user_id', userId)
+                    .gte('created_at', since)
+                    .order('created_at', { ascending: true }),
+                'list usage'
+            );
+        },
+
+        async getCacheEntry(key) {
+            return unwrap(
+                await supabase.from('cache_entries').select('*').eq('key', key).maybeSingle(),
+                'get cache entry'
+            );
+        },
+
+        async setCacheEntry(entry) {
+            unwrap(await supabase.from('cache_entries').upsert(entry), 'set cache entry');
+        },
+
+        async listCacheEntries({ namespace } = {}) {
+            let query = supabase
+                .from('cache_entries')
+                .select('key, namespace, label, created_at, expires_at')
+                .order('created_at', { ascending: false });
+            if (namespace) query = query.eq('namespace', namespace);
+            return unwrap(await query, 'list cache entries');
+        },
+
+        async deleteCacheEntries({ namespace, key } = {}) {
+            // PostgREST refuses an unfiltered delete; every key is non-empty
+            let query = supabase.from('cache_entries').delete({ count: 'exact' }).neq('key', '');
+            if (namespace) query = query.eq('namespace', namespace);
+            if (key) query = query.eq('key', key);
+            const { count, error } = await query;
+            unwrap({ error }, 'delete cache entries');
+            return count || 0;
+        },
+
+        async getUserSettings(userId) {
+            return unwrap(
+                await supabase.from('user_settings').select('*').eq('user_id', userId).maybeSingle(),
+                'get user settings'
+            );
+        },
+
+        async updateUserSettings(userId, fields) {
+            return unwrap(
+                await supabase
+                    .from('user_settings')
+                    .upsert({ ...fields, user_id: userId, updated_at: new Date().toISOString() })
+                    .select()
+                    .single(),
+                'update user settings'
+            );
+        },
+
+        async listMemories(userId) {
+            return unwrap(
+                await supabase.from('memories').select('*').eq('user_id', userId).order('created_at', { ascending: true }),
+                'list memories'
+            );
+        },
+
+        async getMemory(memoryId) {
+            return unwrap(
+                await supabase.from('memories').select('*').eq('id', memoryId).maybeSingle(),
+                'get memory'
+            );
+        },
+
+        async createMemory(memory) {
+            return unwrap(await supabase.from('memories').insert(memory).select().single(), 'insert memory');
+        },
+
+        async updateMemory(memoryId, fields) {
+            return unwrap(
+                await supabase
+                    .from('memories')
+                    .update({ ...fields, updated_at: new Date().toISOString() })
+                    .eq('id', memoryId)
+                    .select()
+                    .single(),
+                'update memory'
+            );
+        },
+
+        async deleteMemory(memoryId) {
+            unwrap(await supabase.from('memories').delete().eq('id', memoryId), 'delete memory');
+        },
+
+        async deleteMemories(userId) {
+            const { count, error } = await supabase.from('memories').delete({ count: 'exact' }).eq('user_id', userId);
+            unwrap({ error }, 'delete memories');
+            return count || 0;
+        },
+
+        async listPersonas(userId) {
+            return unwrap(
+                await supabase.from('personas').select('*').eq('user_id', userId).order('created_at', { ascending: true }),
+                'list personas'
+            );
+        },
+
+        async getPersona(personaId) {
+            return unwrap(
+                await supabase.from('personas').select('*').eq('id', personaId).maybeSingle(),
+                'get persona'
+            );
+        },
+
+        async createPersona(persona) {
+            return unwrap(await supabase.from('personas').insert(persona).select().single(), 'insert persona');
+        },
+
+        async updatePersona(personaId, fields) {
+            return unwrap(
+                await supabase
+                    .from('personas')
+                    .update({ ...fields, updated_at: new Date().toISOString() })
+                    .eq('id', personaId)
+                    .select()
+                    .single(),
+                'update persona'
+            );
+        },
+
+        // Chats that used it go back to the default persona (chats.persona_id is "on delete set null")
+        async deletePersona(personaId) {
+            unwrap(await supabase.from('personas').delete().eq('id', personaId), 'delete persona');
+        },
+
+        async createDocument(document, chunks) {
+            const row = unwrap(await supabase.from('documents').insert(document).select().single(), 'insert document');
+            try {
+                // Large files have hundreds of chunks; insert them in batches
+                for (let i = 0; i < chunks.length; i += 500) {
+                    const batch = chunks.slice(i, i + 500).map(chunk => ({ ...chunk, document_id: row.id, chat_id: row.chat_id }));
+                    unwrap(await supabase.from('document_chunks').insert(batch), 'insert document chunks');
+                }
+            } catch (error) {
+                await supabase.from('documents').delete().eq('id', row.id);
+                throw error;
+            }
+            return row;
+        },
+
+        async getDocument(documentId) {
+            return unwrap(
+                await supabase.from('documents').select('*').eq('id', documentId).maybeSingle(),
+                'get document'
+            );
+        },
+
+        async listDocuments(chatId) {
+            return unwrap(
+                await supabase.from('documents').select('*').eq('chat_id', chatId).order('created_at', { ascending: true }),
+                'list documents'
+            );
+        },
+
+        async listDocumentChunks(chatId) {
+            // PostgREST returns at most 1000 rows per request
+            const rows = [];
+            for (let from = 0; ; from += 1000) {
+                const page = unwrap(
+                    await supabase
+                        .from('document_chunks')
+                        .select('*')
+                        .eq('chat_id', chatId)
+                        .order('id', { ascending: true })
+                        .range(from, from + 999),
+                    'list document chunks'
+                );
+                rows.push(...page);
+                if (page.length < 1000) return rows;
+            }
+        },
+
+        async deleteDocument(documentId) {
+            // chunks are removed by the `on delete cascade` foreign key
+            unwrap(await supabase.from('documents').delete().eq('id', documentId), 'delete document');
+        },
+
+        async deleteChat(chatId) {
+            // messages and documents are removed by the `on delete cascade` foreign keys
+            unwrap(await supabase.from('chats').delete().eq('id', chatId), 'delete chat');
+        }
+    };
+}
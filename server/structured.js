@@ -0,0 +1,159 @@
+import { createChatCompletion } from './providers.js';
+import { countTokens } from './tokens.js';
+import { envNumber } from './env.js';
+
+// Structured Output
+// JSON from a model, validated against a JSON Schema. The schema is given to the model in a system
+// message, and as `response_format` to endpoints that support it (see the jsonSchema quirk in providers.js).
+// A reply that isn't valid JSON or doesn't match the schema is sent back to the model with the errors,
+// up to STRUCTURED_OUTPUT_RETRIES times (default 1), before StructuredOutputError is thrown.
+//
+// Supported schema keywords: type, enum, properties, required, additionalProperties (false), items,
+// minItems, maxItems, minLength, maxLength, minimum, maximum, description (passed on to the model).
+
+const RETRIES = envNumber('STRUCTURED_OUTPUT_RETRIES', 1);
+// Errors listed back to the model per retry
+const MAX_REPORTED_ERRORS = 5;
+
+// The model's reply was unusable after every attempt. `errors` are the last attempt's validation
+// errors and `rawContent` its text.
+export class StructuredOutputError extends Error {
+    constructor(message, { name, attempts, errors = [], rawContent = '' } = {}) {
+        super(message);
+        this.name = 'StructuredOutputError';
+        this.schemaName = name;
+        this.attempts = attempts;
+        this.errors = errors;
+        this.rawContent = rawContent;
+    }
+}
+
+// --- Validation ---
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Errors of `value` against `schema`, each prefixed with its JSON path ("$.questions[0].options")
+export function validateSchema(value, schema, path = '$') {
+    const types = schema.type === undefined ? [] : [].concat(schema.type);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        return [`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+    }
+
+    const errors = [];
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be at most ${schema.maximum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+        }
+    }
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateSchema(item, properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: is not allowed`);
+            }
+        }
+    }
+    return errors;
+}
+
+// Parse a reply that may be wrapped in a markdown code block or surrounded by text
+function parseJson(rawContent) {
+    try {
+        // 1. Try direct parse
+        return JSON.parse(rawContent);
+    } catch (e1) {
+        try {
+            // 2. Try cleaning markdown code blocks
+            return JSON.parse(rawContent.replace(/```json/g, '').replace(/```/g, '').trim());
+        } catch (e2) {
+            // 3. Try regex extraction of the first JSON object
+            const match = rawContent.match(/\{[\s\S]*\}/);
+            if (!match) throw e1;
+            return JSON.parse(match[0]);
+        }
+    }
+}
+
+// --- Completion ---
+
+// Drop-in for createChatCompletion when the reply must be JSON matching `schema`; `name` identifies
+// it in logs and errors. Resolves { value, attempts }.
+// Options: `retries` (default STRUCTURED_OUTPUT_RETRIES); `meter` and `kind` record every attempt in
+// the usage ledger; anything else (signal, timeout, maxRetries) is passed to createChatCompletion.
+export async function createStructuredCompletion({ schema, name, messages, ...params }, { retries = RETRIES, meter, kind, ...options } = {}) {
+    const conversation = [
+        ...messages,
+        { role: "system", content: `Reply with a single JSON object only, no markdown or explanations, matching this JSON Schema:\n${JSON.stringify(schema)}` }
+    ];
+    let errors = [];
+    let rawContent = '';
+
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+        const startedAt = Date.now();
+        const completion = await createChatCompletion({
+            ...params,
+            messages: conversation,
+            response_format: { type: "json_schema", json_schema: { name, schema } }
+        }, options);
+
+        rawContent = completion.choices[0]?.message?.content || "";
+        await meter?.(kind, {
+            model: params.model,
+            usage: {
+                input_tokens: completion.usage?.prompt_tokens ?? conversation.reduce((acc, msg) => acc + countTokens(msg.content), 0),
+                output_tokens: completion.usage?.completion_tokens ?? countTokens(rawContent)
+            },
+            latencyMs: Date.now() - startedAt
+        });
+
+        let value;
+        try {
+            value = parseJson(rawContent);
+            errors = validateSchema(value, schema);
+        } catch (error) {
+            errors = [`not valid JSON (${error.message})`];
+        }
+        if (errors.length === 0) return { value, attempts: attempt };
+
+        console.warn(`⚠️ Invalid ${name} output (attempt ${attempt}/${retries + 1}): ${errors.slice(0, MAX_REPORTED_ERRORS).join('; ')}`);
+        conversation.push(
+            { role: "assistant", content: rawContent },
+            { role: "user", content: `That reply is invalid:\n${errors.slice(0, MAX_REPORTED_ERRORS).map(e => `- ${e}`).join('\n')}\nReply again with the corrected JSON object only.` }
+        );
+    }
+
+    throw new StructuredOutputError(`The model did not return valid ${name} output after ${retries + 1} attempts: ${errors[0]}`, {
+        name,
+        attempts: retries + 1,
+        errors,
+        rawContent
+    });
+}
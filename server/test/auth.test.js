@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFileStorage } from '../storage/fileStorage.js';
+import { createLocalAuth } from '../auth/localAuth.js';
+import { createLimits } from '../limits.js';
+import { runMiddleware } from './helpers.js';
+
+process.env.AUTH_SECRET = 'test-secret';
+
+test('register, log in and verify a session token', async () => {
+    const auth = createLocalAuth(await createFileStorage(':memory:'));
+    const registered = await auth.register('alice', 'correct horse');
+    assert.equal(registered.user.username, 'alice');
+
+    const { token, user } = await auth.login('alice', 'correct horse');
+    assert.deepEqual(await auth.verify(token), user);
+});
+
+test('bad credentials and invalid accounts are refused', async () => {
+    const auth = createLocalAuth(await createFileStorage(':memory:'));
+    await auth.register('alice', 'correct horse');
+
+    await assert.rejects(auth.login('alice', 'wrong password'), { name: 'AuthError', status: 401 });
+    await assert.rejects(auth.login('bob', 'correct horse'), { name: 'AuthError', status: 401 });
+    await assert.rejects(auth.register('alice', 'another password'), { status: 409 });
+    await assert.rejects(auth.register('a', 'long enough'), { status: 400 });
+    await assert.rejects(auth.register('carol', 'short'), { status: 400 });
+});
+
+test('tampered tokens are rejected', async () => {
+    const auth = createLocalAuth(await createFileStorage(':memory:'));
+    const { token } = await auth.register('alice', 'correct horse');
+    const [body, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'someone-else', exp: 9999999999 })).toString('base64url');
+
+    assert.equal(await auth.verify(`${forged}.${signature}`), null);
+    assert.equal(await auth.verify(`${body}.x${signature.slice(1)}`), null);
+    assert.equal(await auth.verify('garbage'), null);
+});
+
+// Runs the sign-in limiter for one request; resolves the status it answered with (200 when it let it through)
+async function attempt(enforceAuth, { ip = '10.0.0.1', username = 'alice' } = {}) {
+    return (await runMiddleware(enforceAuth, { ip, body: { username } })).status;
+}
+
+test('sign-in attempts are limited per IP address and per username', async () => {
+    const { enforceAuth } = createLimits(await createFileStorage(':memory:'));
+    for (let i = 0; i < 10; i++) assert.equal(await attempt(enforceAuth, { username: `user${i}` }), 200);
+    // The IP address is used up, whatever the username
+    assert.equal(await attempt(enforceAuth, { username: 'someone' }), 429);
+
+    // Guessing one username from many addresses hits the username limit
+    for (let i = 0; i < 10; i++) assert.equal(await attempt(enforceAuth, { ip: `10.1.0.${i}`, username: 'target' }), 200);
+    assert.equal(await attempt(enforceAuth, { ip: '10.2.0.1', username: 'target' }), 429);
+});
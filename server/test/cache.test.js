@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFileStorage } from '../storage/fileStorage.js';
+
+// Settings are read on import
+process.env.CACHE_MAX_ENTRIES = '2';
+process.env.SMART_PROMPT_CACHE_TTL_MS = '0';
+const { createResponseCache } = await import('../cache.js');
+
+function counter() {
+    let calls = 0;
+    const compute = async () => ({ answer: ++calls });
+    return { compute, calls: () => calls };
+}
+
+test('the second call with the same parts is a hit', async () => {
+    const cache = createResponseCache(null);
+    const { compute, calls } = counter();
+
+    const first = await cache.wrap('search', ['query'], {}, compute);
+    const second = await cache.wrap('search', ['query'], {}, compute);
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, true);
+    assert.deepEqual(second.value, { answer: 1 });
+    assert.equal(calls(), 1);
+
+    await cache.wrap('search', ['other query'], {}, compute);
+    assert.equal(calls(), 2);
+    assert.deepEqual((await cache.inspect()).counters.search, { hits: 1, misses: 2 });
+});
+
+test('values rejected by shouldCache and namespaces with TTL 0 are not stored', async () => {
+    const cache = createResponseCache(null);
+    const { compute, calls } = counter();
+
+    await cache.wrap('search', ['q'], { shouldCache: () => false }, compute);
+    await cache.wrap('search', ['q'], { shouldCache: () => false }, compute);
+    await cache.wrap('smart_prompt', ['p'], {}, compute);
+    await cache.wrap('smart_prompt', ['p'], {}, compute);
+    assert.equal(calls(), 4);
+});
+
+test('the least recently used entry is evicted', async () => {
+    const cache = createResponseCache(null);
+    const { compute, calls } = counter();
+
+    await cache.wrap('search', ['a'], {}, compute);
+    await cache.wrap('search', ['b'], {}, compute);
+    await cache.wrap('search', ['a'], {}, compute);
+    await cache.wrap('search', ['c'], {}, compute);
+    assert.equal(calls(), 3);
+
+    assert.equal((await cache.wrap('search', ['a'], {}, compute)).cached, true);
+    assert.equal((await cache.wrap('search', ['b'], {}, compute)).cached, false);
+});
+
+test('with CACHE_BACKEND=storage, entries outlive the process cache and can be purged', async () => {
+    process.env.CACHE_BACKEND = 'storage';
+    try {
+        const storage = await createFileStorage(':memory:');
+        const { compute, calls } = counter();
+
+        await createResponseCache(storage).wrap('search', ['q'], { label: 'q' }, compute);
+        const restarted = createResponseCache(storage);
+        assert.equal((await restarted.wrap('search', ['q'], {}, compute)).cached, true);
+        assert.equal(calls(), 1);
+
+        assert.equal(await restarted.purge({ namespace: 'search' }), 1);
+        assert.equal((await restarted.wrap('search', ['q'], {}, compute)).cached, false);
+    } finally {
+        delete process.env.CACHE_BACKEND;
+    }
+});
+
+test('an unknown CACHE_BACKEND is a configuration error', () => {
+    process.env.CACHE_BACKEND = 'redis';
+    try {
+        assert.throws(() => createResponseCache(null), /Unknown CACHE_BACKEND/);
+    } finally {
+        delete process.env.CACHE_BACKEND;
+    }
+});
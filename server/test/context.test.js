@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HumanMessage, AIMessage } from '@langchain/core/messages';
+import { createFileStorage } from '../storage/fileStorage.js';
+
+// Budgets and the summary model are read on import; the stub model summarizes offline
+process.env.ENABLE_STUB_MODEL = 'true';
+process.env.SUMMARY_MODEL = 'sanyai/stub';
+process.env.CONTEXT_BUDGETS = JSON.stringify({ tiny: 40 });
+const { createContextManager } = await import('../context.js');
+
+// Six messages of 10 tokens each, m1 to m6, alternating user and assistant
+function history(count = 6) {
+    return Array.from({ length: count }, (_, i) => {
+        const fields = { id: `m${i + 1}`, content: `${i + 1} ${'alpha '.repeat(9).trim()}` };
+        return i % 2 === 0 ? new HumanMessage(fields) : new AIMessage(fields);
+    });
+}
+
+async function setup(chatFields = {}) {
+    const storage = await createFileStorage(':memory:');
+    const chat = await storage.createChat({ user_id: 'u1' });
+    if (Object.keys(chatFields).length) await storage.updateChat(chat.id, chatFields);
+    const summaries = [];
+    const config = { configurable: { meter: async (kind, call) => summaries.push(kind) } };
+    return { storage, chatId: chat.id, config, summaries, ...createContextManager(storage) };
+}
+
+const ids = messages => messages.map(message => message.id);
+
+test('a history within the budget is sent whole, without summarizing', async () => {
+    const { manageContext, chatId, config, summaries } = await setup();
+
+    const { context, summary } = await manageContext({ messages: history(4), chatId, model: 'tiny' }, config);
+    assert.deepEqual(ids(context), ['m1', 'm2', 'm3', 'm4']);
+    assert.equal(summary, null);
+    assert.deepEqual(summaries, []);
+});
+
+test('over the budget, older turns are summarized up to summary_through and half the budget stays verbatim', async () => {
+    const { manageContext, storage, chatId, config, summaries } = await setup();
+
+    const { context, summary } = await manageContext({ messages: history(), chatId, model: 'tiny' }, config);
+    // 60 tokens against a budget of 40: the newest 20 tokens (m5, m6) are kept
+    assert.deepEqual(ids(context), ['m5', 'm6']);
+    assert.match(summary, /^Stub reply to: ### EXISTING SUMMARY:\n\(none\)[\s\S]*User: 1 alpha[\s\S]*Assistant: 4 alpha/);
+    assert.deepEqual(summaries, ['summary']);
+
+    const chat = await storage.getChat(chatId);
+    assert.equal(chat.summary, summary);
+    assert.equal(chat.summary_through, 'm4');
+});
+
+test('the next turn resumes after summary_through', async () => {
+    const { manageContext, chatId, config, summaries } = await setup({ summary: 'Earlier summary', summary_through: 'm4' });
+
+    const { context, summary } = await manageContext({ messages: history(), chatId, model: 'tiny' }, config);
+    assert.deepEqual(ids(context), ['m5', 'm6']);
+    assert.equal(summary, 'Earlier summary');
+    assert.deepEqual(summaries, []);
+});
+
+test('an existing summary is extended with the turns after it once they no longer fit', async () => {
+    const { manageContext, storage, chatId, config } = await setup({ summary: 'Earlier summary', summary_through: 'm2' });
+
+    const messages = [...history(), ...history(8).slice(6)];
+    const { context, summary } = await manageContext({ messages, chatId, model: 'tiny' }, config);
+    assert.deepEqual(ids(context), ['m7', 'm8']);
+    assert.match(summary, /EXISTING SUMMARY:\nEarlier summary/);
+    assert.doesNotMatch(summary, /User: 1 alpha/);
+    assert.equal((await storage.getChat(chatId)).summary_through, 'm6');
+});
+
+test('a summary of another branch is ignored', async () => {
+    const { manageContext, chatId, config } = await setup({ summary: 'Other branch', summary_through: 'elsewhere' });
+
+    const { context, summary } = await manageContext({ messages: history(4), chatId, model: 'tiny' }, config);
+    assert.deepEqual(ids(context), ['m1', 'm2', 'm3', 'm4']);
+    assert.equal(summary, null);
+});
+
+test('the two newest messages are always sent verbatim, even over the budget', async () => {
+    const { manageContext, chatId, config } = await setup();
+    const long = 'alpha '.repeat(30).trim();
+    const messages = [...history(2), new HumanMessage({ id: 'big1', content: long }), new AIMessage({ id: 'big2', content: long })];
+
+    const { context } = await manageContext({ messages, chatId, model: 'tiny' }, config);
+    assert.deepEqual(ids(context), ['big1', 'big2']);
+});
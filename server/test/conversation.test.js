@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildActivePath, findLatestLeaf } from '../conversation.js';
+
+// u1 -> a1, regenerated as a2 (siblings); u1 edited as u2 -> a3
+const rows = [
+    { id: 'u1', parent_id: null, role: 'user' },
+    { id: 'a1', parent_id: 'u1', role: 'assistant' },
+    { id: 'a2', parent_id: 'u1', role: 'assistant' },
+    { id: 'u2', parent_id: null, role: 'user' },
+    { id: 'a3', parent_id: 'u2', role: 'assistant' }
+];
+
+test('findLatestLeaf follows the newest child down to a leaf', () => {
+    assert.equal(findLatestLeaf(rows, 'u1').id, 'a2');
+    assert.equal(findLatestLeaf(rows, 'a1').id, 'a1');
+    assert.equal(findLatestLeaf(rows, 'missing'), null);
+});
+
+test('buildActivePath returns the path to the current leaf with sibling ids', () => {
+    const path = buildActivePath(rows, 'a1');
+    assert.deepEqual(path.map(m => m.id), ['u1', 'a1']);
+    assert.deepEqual(path[0].siblings, ['u1', 'u2']);
+    assert.deepEqual(path[1].siblings, ['a1', 'a2']);
+});
+
+test('buildActivePath falls back to the newest branch when the leaf is unknown', () => {
+    assert.deepEqual(buildActivePath(rows).map(m => m.id), ['u2', 'a3']);
+    assert.deepEqual(buildActivePath(rows, 'gone').map(m => m.id), ['u2', 'a3']);
+    assert.deepEqual(buildActivePath([]), []);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursor, decodeCursor } from '../storage/cursor.js';
+
+const ID = '3f2b8c1e-9a4d-4e6b-8f0a-1c2d3e4f5a6b';
+
+function cursorOf(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+test('a cursor round-trips its position', () => {
+    for (const updated_at of ['2026-10-19T08:30:00.000Z', '2026-10-19T08:30:00.123456+00:00', '2026-10-19T08:30:00Z']) {
+        assert.deepEqual(decodeCursor(encodeCursor({ updated_at, id: ID, title: 'dropped' })), { updated_at, id: ID });
+    }
+    assert.equal(encodeCursor(null), null);
+});
+
+test('cursors that are not an ISO timestamp and a UUID are rejected', () => {
+    for (const position of [
+        { updated_at: '2026-10-19T08:30:00Z', id: `${ID}),id.gt.(0` },
+        { updated_at: '2026-10-19T08:30:00Z",user_id.neq."x', id: ID },
+        { updated_at: '2026-13-45T99:99:99Z', id: ID },
+        { updated_at: 'yesterday', id: ID },
+        { updated_at: 1760862600000, id: ID },
+        { updated_at: '2026-10-19T08:30:00Z', id: 'local-1760862600000' },
+        { updated_at: '2026-10-19T08:30:00Z' }
+    ]) {
+        assert.equal(decodeCursor(cursorOf(position)), null, JSON.stringify(position));
+    }
+    assert.equal(decodeCursor('not base64 json'), null);
+    assert.equal(decodeCursor(cursorOf(null)), null);
+});
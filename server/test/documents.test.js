@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { readDocument, ingestDocument, rankChunks, selectChunks, citationFor, DocumentError } from '../documents/index.js';
+import { extractPdfPages } from '../documents/pdf.js';
+
+// A minimal PDF: `objects` are the bodies of objects 1..n, object 1 the catalog
+function pdf(objects) {
+    const body = objects.map((object, i) => `${i + 1} 0 obj\n${object}\nendobj\n`).join('');
+    return Buffer.from(`%PDF-1.4\n${body}trailer << /Root 1 0 R >>\n%%EOF\n`, 'latin1');
+}
+
+function stream(data, dict = '') {
+    return `<< ${dict} /Length ${data.length} >>\nstream\n${data.toString('latin1')}\nendstream`;
+}
+
+// Catalog, page tree and `pages` pages that all draw `contents` (object 3) with font F1 (object 4)
+function pdfWithPages(contents, font, pages = 1) {
+    const kids = Array.from({ length: pages }, (_, i) => `${i + 5} 0 R`).join(' ');
+    const page = '<< /Type /Page /Parent 2 0 R /Contents 3 0 R /Resources << /Font << /F1 4 0 R >> >> >>';
+    return pdf([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${kids}] /Count ${pages} >>`,
+        contents,
+        font,
+        ...Array(pages).fill(page)
+    ]);
+}
+
+const HELVETICA = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+
+test('text files become line-numbered chunks', () => {
+    const lines = Array.from({ length: 400 }, (_, i) => `Line ${i + 1} of the specification talks about topic ${i}.`);
+    const { document, chunks, warnings } = readDocument('spec.md', Buffer.from(lines.join('\n')));
+
+    assert.equal(document.kind, 'markdown');
+    assert.equal(document.chunk_count, chunks.length);
+    assert.ok(chunks.length > 1);
+    assert.deepEqual(warnings, []);
+    assert.equal(chunks[0].start_line, 1);
+    assert.equal(chunks[0].page, null);
+    // Consecutive chunks overlap by a few lines
+    assert.ok(chunks[1].start_line <= chunks[0].end_line);
+    assert.ok(chunks.every(chunk => chunk.token_count <= 400));
+});
+
+test('unsupported, binary and empty files are refused', () => {
+    assert.throws(() => readDocument('photo.jpg', Buffer.from('data')), { name: 'DocumentError', status: 415 });
+    assert.throws(() => readDocument('notes.txt', Buffer.from([104, 0, 105])), { status: 415 });
+    assert.throws(() => readDocument('notes.txt', Buffer.from('  \n ')), { status: 422 });
+});
+
+test('PDF text is read from Flate streams, page by page', () => {
+    const contents = zlib.deflateSync(Buffer.from('BT /F1 12 Tf 72 700 Td (Hello PDF world) Tj 0 -14 Td [(Second) -250 (line)] TJ ET'));
+    const { pages, warnings } = extractPdfPages(pdfWithPages(stream(contents, '/Filter /FlateDecode'), HELVETICA, 2));
+
+    assert.deepEqual(pages, [
+        { page: 1, text: 'Hello PDF world\nSecond line' },
+        { page: 2, text: 'Hello PDF world\nSecond line' }
+    ]);
+    assert.deepEqual(warnings, []);
+});
+
+test('ToUnicode maps decode fonts with custom encodings', () => {
+    const cmap = Buffer.from('begincodespacerange <00> <ff> endcodespacerange\nbeginbfchar <01> <0048> <02> <0069> endbfchar');
+    const contents = Buffer.from('BT /F1 12 Tf <0102> Tj ET');
+    const doc = pdf([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        stream(contents),
+        '<< /Type /Font /Subtype /Type1 /ToUnicode 6 0 R >>',
+        stream(cmap)
+    ]);
+    assert.equal(extractPdfPages(doc).pages[0].text, 'Hi');
+});
+
+test('text in CID fonts without ToUnicode is reported, not silently dropped', () => {
+    const type0 = '<< /Type /Font /Subtype /Type0 /BaseFont /MSGothic /Encoding /Identity-H >>';
+    const { pages, warnings } = extractPdfPages(pdfWithPages(stream(Buffer.from('BT /F1 12 Tf <00410042> Tj ET')), type0));
+    assert.equal(pages[0].text, '');
+    assert.match(warnings[0], /page 1 uses fonts without a text mapping/);
+
+    assert.throws(() => readDocument('scan.pdf', pdfWithPages(stream(Buffer.from('BT /F1 12 Tf <0041> Tj ET')), type0)), {
+        status: 422,
+        message: /fonts have no text mapping/
+    });
+});
+
+test('a PDF that decodes to too much data is refused', () => {
+    // ~40 KB of compressed spaces: one 8 MB stream, drawn by 10 pages
+    const contents = zlib.deflateSync(Buffer.alloc(8 * 1024 * 1024, 32), { level: 9 });
+    const doc = pdfWithPages(stream(contents, '/Filter /FlateDecode'), HELVETICA, 10);
+    assert.throws(() => extractPdfPages(doc), error => error instanceof DocumentError && error.status === 413);
+});
+
+test('encrypted PDFs are refused', () => {
+    const doc = Buffer.concat([pdfWithPages(stream(Buffer.from('')), HELVETICA), Buffer.from('trailer << /Encrypt 9 0 R >>')]);
+    assert.throws(() => extractPdfPages(doc), { status: 422, message: /Encrypted/ });
+});
+
+test('ingestDocument reads the file in a worker', async () => {
+    const { document, chunks } = await ingestDocument('notes.txt', Buffer.from('A short note about retrieval.'), 'user-1');
+    assert.equal(document.kind, 'text');
+    assert.equal(chunks[0].content, 'A short note about retrieval.');
+
+    await assert.rejects(ingestDocument('photo.jpg', Buffer.from('data'), 'user-1'), error => error instanceof DocumentError && error.status === 415);
+});
+
+test('one file per user and DOCUMENT_MAX_PARSERS files are read at a time', async () => {
+    const file = Buffer.from('Some text.');
+    const first = ingestDocument('a.txt', file, 'user-1');
+    await assert.rejects(ingestDocument('b.txt', file, 'user-1'), { status: 429, message: /Another of your files/ });
+
+    const second = ingestDocument('b.txt', file, 'user-2');
+    await assert.rejects(ingestDocument('c.txt', file, 'user-3'), { status: 429, message: /Too many files/ });
+
+    await Promise.all([first, second]);
+    assert.equal((await ingestDocument('c.txt', file, 'user-1')).document.filename, 'c.txt');
+});
+
+// --- Retrieval ---
+
+function chunk(document_id, position, content) {
+    return { document_id, position, content, token_count: 2000, page: null, start_line: position + 1, end_line: position + 1 };
+}
+
+test('rankChunks orders chunks by BM25 score and drops those without query terms', () => {
+    const chunks = [
+        chunk('d1', 0, 'The cache stores search results.'),
+        chunk('d1', 1, 'Retrieval ranks chunks. Retrieval uses BM25 ranking for retrieval.'),
+        chunk('d1', 2, 'Nothing relevant here.')
+    ];
+    const ranked = rankChunks(chunks, 'retrieval ranking');
+    assert.deepEqual(ranked.map(({ chunk }) => chunk.position), [1]);
+    assert.deepEqual(rankChunks(chunks, ''), []);
+});
+
+test('selectChunks keeps the best matches within the token budget, in document order', () => {
+    const documents = [{ id: 'd1', filename: 'a.md' }, { id: 'd2', filename: 'b.md' }];
+    const chunks = [
+        chunk('d2', 0, 'quota limits apply per user'),
+        chunk('d1', 0, 'unrelated text'),
+        chunk('d1', 1, 'quota and limits and more quota')
+    ];
+    // 3 x 2000 tokens exceed the 3000-token budget: only the best match fits
+    const selected = selectChunks(documents, chunks, 'quota');
+    assert.deepEqual(selected.map(c => c.citation), ['a.md, line 2']);
+
+    // Nothing matches: the opening chunk is used
+    assert.deepEqual(selectChunks(documents, chunks, 'summarize').map(c => c.filename), ['a.md']);
+});
+
+test('citationFor names the page or lines of a chunk', () => {
+    assert.equal(citationFor('spec.pdf', { page: 3 }), 'spec.pdf, p. 3');
+    assert.equal(citationFor('notes.md', { page: null, start_line: 10, end_line: 42 }), 'notes.md, lines 10-42');
+    assert.equal(citationFor('notes.md', { page: null, start_line: 7, end_line: 7 }), 'notes.md, line 7');
+});
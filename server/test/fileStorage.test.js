@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createFileStorage } from '../storage/fileStorage.js';
+
+async function tempFile() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sanyai-storage-'));
+    return path.join(dir, 'db.json');
+}
+
+test('chats and messages survive a reload', async () => {
+    const file = await tempFile();
+    const storage = await createFileStorage(file);
+    const chat = await storage.createChat({ user_id: 'u1' });
+    await storage.appendMessage(chat.id, { role: 'user', content: 'hello' });
+
+    const reloaded = await createFileStorage(file);
+    assert.equal((await reloaded.getChat(chat.id)).user_id, 'u1');
+    assert.deepEqual((await reloaded.listMessages(chat.id)).map(m => m.content), ['hello']);
+});
+
+test('a failed write rejects for its caller only, and later writes catch the file up', async () => {
+    const file = await tempFile();
+    const storage = await createFileStorage(file);
+
+    // A directory where the temporary file goes makes the write fail with EISDIR
+    await fs.mkdir(`${file}.tmp`);
+    await assert.rejects(storage.createChat({ user_id: 'u1' }), { code: 'EISDIR' });
+
+    await fs.rmdir(`${file}.tmp`);
+    await storage.createChat({ user_id: 'u2' });
+    const onDisk = JSON.parse(await fs.readFile(file, 'utf8'));
+    assert.deepEqual(onDisk.chats.map(c => c.user_id).sort(), ['u1', 'u2']);
+});
+
+test('deleting a chat removes its messages', async () => {
+    const storage = await createFileStorage(':memory:');
+    const chat = await storage.createChat({ user_id: 'u1' });
+    await storage.appendMessage(chat.id, { role: 'user', content: 'hello' });
+
+    await storage.deleteChat(chat.id);
+    assert.equal(await storage.getChat(chat.id), null);
+    assert.deepEqual(await storage.listMessages(chat.id), []);
+});
@@ -0,0 +1,16 @@
+// Shared by the test files (node --test also runs this file; it has no tests of its own)
+
+// Runs an Express middleware for one request against a stand-in response.
+// Resolves { status, headers, body }: status 200 when it called next.
+export async function runMiddleware(middleware, req) {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        set(name, value) { this.headers[name] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    return { status: passed ? 200 : res.statusCode, headers: res.headers, body: res.body };
+}
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFileStorage } from '../storage/fileStorage.js';
+import { runMiddleware } from './helpers.js';
+
+// Limits are read on import
+process.env.RATE_LIMIT_PER_MINUTE = '3';
+process.env.DAILY_TOKEN_QUOTA = '1000';
+process.env.MONTHLY_TOKEN_QUOTA = '0';
+process.env.QUOTA_OVERRIDES = JSON.stringify({ vip: { perMinute: 0, dailyTokens: 0 } });
+const { createLimits } = await import('../limits.js');
+
+function request(enforce, user) {
+    return runMiddleware(enforce, { user });
+}
+
+test('requests over the per-minute limit get 429 with Retry-After', async () => {
+    const { enforce } = createLimits(await createFileStorage(':memory:'));
+    const user = { id: 'u1', username: 'alice' };
+
+    for (let i = 0; i < 3; i++) assert.equal((await request(enforce, user)).status, 200);
+    const rejected = await request(enforce, user);
+    assert.equal(rejected.status, 429);
+    assert.equal(rejected.headers['X-RateLimit-Remaining'], '0');
+    assert.ok(Number(rejected.headers['Retry-After']) >= 1);
+
+    // Other users have their own window
+    assert.equal((await request(enforce, { id: 'u2', username: 'bob' })).status, 200);
+});
+
+test('an exhausted daily quota blocks further requests', async () => {
+    const limits = createLimits(await createFileStorage(':memory:'));
+    const user = { id: 'u1', username: 'alice' };
+
+    await limits.recordTokens(user, { input_tokens: 600, output_tokens: 100 });
+    const allowed = await request(limits.enforce, user);
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers['X-Quota-Daily-Remaining'], '300');
+
+    await limits.recordTokens(user, { input_tokens: 300, output_tokens: 0 });
+    const rejected = await request(limits.enforce, user);
+    assert.equal(rejected.status, 429);
+    assert.match(rejected.body.error, /Daily token quota/);
+
+    const status = await limits.getStatus(user);
+    assert.equal(status.daily.used, 1000);
+    assert.equal(status.daily.remaining, 0);
+    assert.equal(status.monthly.limit, null);
+});
+
+test('QUOTA_OVERRIDES lift the limits for a user', async () => {
+    const limits = createLimits(await createFileStorage(':memory:'));
+    const vip = { id: 'u3', username: 'vip' };
+
+    await limits.recordTokens(vip, { input_tokens: 5000, output_tokens: 0 });
+    for (let i = 0; i < 5; i++) assert.equal((await request(limits.enforce, vip)).status, 200);
+});
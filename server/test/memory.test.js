@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFileStorage } from '../storage/fileStorage.js';
+import { createMemory } from '../memory.js';
+
+const user = { id: 'user-1' };
+
+test('near-duplicate memories are not added twice', async () => {
+    const memory = createMemory(await createFileStorage(':memory:'));
+
+    assert.ok(await memory.add(user, { content: 'Uses TypeScript and pnpm', kind: 'fact' }));
+    assert.equal(await memory.add(user, { content: 'uses typescript and pnpm!', kind: 'fact' }), null);
+    assert.ok(await memory.add(user, { content: 'Prefers short answers', kind: 'preference' }));
+    assert.equal((await memory.recall(user, 'anything')).length, 2);
+});
+
+test('learn resolves without a model call for short or non-string messages', async () => {
+    const memory = createMemory(await createFileStorage(':memory:'));
+
+    await memory.learn(user, { userMessage: 12345, assistantResponse: 'ok' });
+    await memory.learn(user, { userMessage: undefined, assistantResponse: 'ok' });
+    await memory.learn(user, { userMessage: 'thanks!', assistantResponse: 'ok' });
+    assert.deepEqual(await memory.recall(user, 'thanks'), []);
+});
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns';
+import http from 'http';
+import net from 'net';
+import { isPublicAddress, assertPublicUrl, fetchPublic, parseRobots, isAllowed } from '../search/pages.js';
+
+// --- Public Addresses ---
+
+test('loopback, private, link-local and reserved addresses are not public', () => {
+    for (const address of [
+        '127.0.0.1', '127.8.8.8', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', 'fe80::1', 'fc00::1', 'fd12:3456::1', 'ff02::1'
+    ]) {
+        assert.equal(isPublicAddress(address), false, address);
+    }
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111']) {
+        assert.equal(isPublicAddress(address), true, address);
+    }
+});
+
+test('IPv4-mapped IPv6 addresses are judged by the IPv4 address inside', () => {
+    assert.equal(isPublicAddress('::ffff:127.0.0.1'), false);
+    assert.equal(isPublicAddress('::ffff:10.0.0.1'), false);
+    assert.equal(isPublicAddress('::ffff:169.254.169.254'), false);
+    assert.equal(isPublicAddress('::ffff:8.8.8.8'), true);
+});
+
+test('only http(s) URLs on public hosts pass', async () => {
+    for (const link of ['file:///etc/passwd', 'ftp://8.8.8.8/', 'gopher://8.8.8.8/', 'data:text/plain,hi', 'javascript:alert(1)']) {
+        await assert.rejects(assertPublicUrl(new URL(link)), /unsupported protocol/, link);
+    }
+    for (const link of ['http://127.0.0.1/', 'http://[::1]:8080/', 'https://[::ffff:7f00:1]/', 'http://10.0.0.1/', 'http://169.254.169.254/latest/meta-data']) {
+        await assert.rejects(assertPublicUrl(new URL(link)), /not a public address/, link);
+    }
+    await assertPublicUrl(new URL('https://8.8.8.8/'));
+});
+
+test('hostnames are checked against every address they resolve to', async t => {
+    t.mock.method(dns.promises, 'lookup', async () => [{ address: '8.8.8.8', family: 4 }, { address: '10.0.0.1', family: 4 }]);
+    await assert.rejects(assertPublicUrl(new URL('http://mixed.example/')), /not a public address \(10\.0\.0\.1\)/);
+});
+
+// --- Redirects ---
+
+// Fake site on loopback. The tests treat 127.0.0.1 as public so the first hop can reach it;
+// every other non-public address stays blocked.
+const server = http.createServer((req, res) => {
+    const redirects = {
+        '/to-private': 'http://192.168.1.1/admin',
+        '/to-metadata': 'http://169.254.169.254/latest/meta-data',
+        '/to-file': 'file:///etc/passwd',
+        '/to-blocked': '/blocked/page',
+        '/loop': '/loop',
+        '/hop': '/page'
+    };
+    if (redirects[req.url]) {
+        res.writeHead(302, { Location: redirects[req.url] });
+        return res.end();
+    }
+    if (req.url === '/robots.txt') {
+        res.setHeader('Content-Type', 'text/plain');
+        return res.end('User-agent: *\nDisallow: /blocked\n');
+    }
+    res.setHeader('Content-Type', 'text/plain');
+    res.end(`page ${req.url}`);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const origin = `http://127.0.0.1:${server.address().port}`;
+
+function allowLoopback(t) {
+    const check = net.BlockList.prototype.check;
+    t.mock.method(net.BlockList.prototype, 'check', function (address, type) {
+        return address === '127.0.0.1' ? false : check.call(this, address, type);
+    });
+}
+
+test('a loopback URL is refused before anything is fetched', async () => {
+    await assert.rejects(fetchPublic(`${origin}/page`), /not a public address/);
+});
+
+test('redirects are followed, and each hop is checked again', async t => {
+    allowLoopback(t);
+
+    const res = await fetchPublic(`${origin}/hop`);
+    assert.equal(await res.text(), 'page /page');
+
+    await assert.rejects(fetchPublic(`${origin}/to-private`), /192\.168\.1\.1 is not a public address/);
+    await assert.rejects(fetchPublic(`${origin}/to-metadata`), /not a public address/);
+    await assert.rejects(fetchPublic(`${origin}/to-file`), /unsupported protocol file:/);
+    await assert.rejects(fetchPublic(`${origin}/loop`), /more than 5 redirects/);
+});
+
+test('robots.txt is checked on the hop a redirect leads to', async t => {
+    allowLoopback(t);
+
+    assert.equal(await fetchPublic(`${origin}/to-blocked`, { robots: true }), null);
+    assert.equal(await (await fetchPublic(`${origin}/hop`, { robots: true })).text(), 'page /page');
+});
+
+test('a hostname that resolves to a private address when connecting is refused', async t => {
+    // Passes the check with a public address, then answers the connection's own lookup with a private one
+    t.mock.method(dns.promises, 'lookup', async () => [{ address: '8.8.8.8', family: 4 }]);
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, [{ address: '10.0.0.1', family: 4 }]));
+
+    await assert.rejects(fetchPublic(`http://rebind.example:${server.address().port}/`), /resolves to a non-public address \(10\.0\.0\.1\)/);
+});
+
+test.after(() => server.close());
+
+// --- robots.txt ---
+
+test('our own user-agent group is used over the * group', () => {
+    const text = [
+        'User-agent: Googlebot',
+        'Disallow: /',
+        '',
+        'User-agent: *',
+        'Disallow: /private',
+        '',
+        'User-agent: otherbot',
+        'User-agent: SanyAI',
+        'Disallow: /drafts # work in progress',
+        'Allow: /'
+    ].join('\n');
+
+    assert.deepEqual(parseRobots(text), [{ allow: false, path: '/drafts' }, { allow: true, path: '/' }]);
+    assert.deepEqual(parseRobots(text.replace('SanyAI', 'somebot')), [{ allow: false, path: '/private' }]);
+    assert.deepEqual(parseRobots('User-agent: Googlebot\nDisallow: /'), []);
+});
+
+test('the longest matching rule wins, and Allow wins a tie', () => {
+    const rules = parseRobots([
+        'User-agent: *',
+        'Disallow: /docs',
+        'Allow: /docs/public',
+        'Disallow: /docs/public/drafts',
+        'Disallow: /*.pdf',
+        'Allow: /same',
+        'Disallow: /same'
+    ].join('\n'));
+
+    assert.equal(isAllowed(rules, '/'), true);
+    assert.equal(isAllowed(rules, '/docs/internal'), false);
+    assert.equal(isAllowed(rules, '/docs/public/guide'), true);
+    assert.equal(isAllowed(rules, '/docs/public/drafts/1'), false);
+    assert.equal(isAllowed(rules, '/files/report.pdf'), false);
+    assert.equal(isAllowed(rules, '/same/page'), true);
+    assert.equal(isAllowed([], '/anything'), true);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_MODELS } from '../models.js';
+import { parsePersonaFields, parseSearchMode, turnSettings } from '../personas.js';
+
+const CHAT_MODEL = DEFAULT_MODELS.chat;
+
+// --- Persona Fields ---
+
+test('a new persona needs a name and a system prompt, trimmed', () => {
+    assert.deepEqual(parsePersonaFields({ name: '  Reviewer ', system_prompt: ' Review code. ' }), {
+        fields: { name: 'Reviewer', system_prompt: 'Review code.' }
+    });
+    assert.deepEqual(parsePersonaFields({ system_prompt: 'Review code.' }), { error: 'name must be a non-empty string' });
+    assert.deepEqual(parsePersonaFields({ name: 'Reviewer', system_prompt: '   ' }), { error: 'system_prompt must be a non-empty string' });
+    assert.deepEqual(parsePersonaFields({ name: 42, system_prompt: 'x' }), { error: 'name must be a non-empty string' });
+    assert.deepEqual(parsePersonaFields(null), { error: 'name must be a non-empty string' });
+    assert.match(parsePersonaFields({ name: 'x'.repeat(61), system_prompt: 'x' }).error, /name can be at most 60 characters/);
+});
+
+test('defaults are checked against the registry and the known values, and may be cleared with null', () => {
+    const base = { name: 'Reviewer', system_prompt: 'Review code.' };
+
+    assert.deepEqual(parsePersonaFields({ ...base, model: CHAT_MODEL, depth: 'Large', web_search: 'always' }).fields,
+        { ...base, model: CHAT_MODEL, depth: 'Large', web_search: 'always' });
+    assert.deepEqual(parsePersonaFields({ ...base, model: null, depth: null, web_search: null }).fields,
+        { ...base, model: null, depth: null, web_search: null });
+
+    assert.match(parsePersonaFields({ ...base, model: 'nobody/nothing' }).error, /Unknown model "nobody\/nothing"/);
+    assert.match(parsePersonaFields({ ...base, depth: 'Huge' }).error, /depth must be one of: Concise, Short, Medium, Large/);
+    assert.match(parsePersonaFields({ ...base, web_search: true }).error, /web_search must be one of: off, auto, always/);
+});
+
+test('a partial update takes only the fields given, and needs at least one', () => {
+    assert.deepEqual(parsePersonaFields({ depth: 'Concise' }, { partial: true }), { fields: { depth: 'Concise' } });
+    assert.deepEqual(parsePersonaFields({ name: '' }, { partial: true }), { error: 'name must be a non-empty string' });
+    assert.match(parsePersonaFields({}, { partial: true }).error, /Nothing to update/);
+});
+
+// --- Turn Settings ---
+
+test('search modes accept the old boolean flag', () => {
+    assert.equal(parseSearchMode(undefined), 'off');
+    assert.equal(parseSearchMode(false), 'off');
+    assert.equal(parseSearchMode(true), 'always');
+    assert.equal(parseSearchMode('AUTO'), 'auto');
+    assert.equal(parseSearchMode('sometimes'), null);
+});
+
+test('a turn uses what the request asks for, else the persona defaults, else the built-in ones', () => {
+    const persona = { model: CHAT_MODEL, depth: 'Large', web_search: 'auto' };
+
+    assert.deepEqual(turnSettings(null, {}), { depth: 'Short', searchMode: 'off', model: undefined });
+    assert.deepEqual(turnSettings(persona, {}), { depth: 'Large', searchMode: 'auto', model: CHAT_MODEL });
+    assert.deepEqual(turnSettings(persona, { depth: 'Concise', webSearch: 'off', model: 'other/model' }),
+        { depth: 'Concise', searchMode: 'off', model: 'other/model' });
+    // false is a choice (off), not a missing value
+    assert.equal(turnSettings(persona, { webSearch: false }).searchMode, 'off');
+});
+
+test('a persona model that is no longer registered is ignored', () => {
+    assert.equal(turnSettings({ model: 'removed/model' }, {}).model, undefined);
+});
@@ -0,0 +1,129 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// Fake OpenAI-compatible server. Paths under /down/ answer 503; the others answer, and every
+// request is recorded as { provider, body } (the provider is the first path segment).
+const requests = [];
+const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        const body = JSON.parse(raw);
+        const provider = req.url.split('/')[1];
+        requests.push({ provider, body });
+
+        if (provider === 'down') {
+            res.writeHead(503, { 'Content-Type': 'application/json', 'retry-after-ms': '1' });
+            return res.end(JSON.stringify({ error: { message: 'overloaded' } }));
+        }
+        const content = `reply from ${provider}`;
+        if (body.stream) {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            for (const piece of content.split(' ')) {
+                res.write(`data: ${JSON.stringify({ id: 'c', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content: `${piece} ` } }] })}\n\n`);
+            }
+            return res.end('data: [DONE]\n\n');
+        }
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+            id: 'c',
+            object: 'chat.completion',
+            model: body.model,
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 1, completion_tokens: 3 }
+        }));
+    });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+after(() => server.close());
+
+// Providers and models are read from MODELS_CONFIG on import
+const base = `http://127.0.0.1:${server.address().port}`;
+const provider = (name, quirks = {}) => ({ baseURL: `${base}/${name}/v1`, apiKey: 'test-key', timeoutMs: 5000, quirks });
+const configPath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'sanyai-providers-')), 'models.json');
+await fs.writeFile(configPath, JSON.stringify({
+    providers: {
+        down: provider('down'),
+        keyless: { baseURL: `${base}/keyless/v1` },
+        plain: provider('plain'),
+        jsonmode: provider('jsonmode', { jsonMode: true }),
+        schema: provider('schema', { jsonMode: true, jsonSchema: true })
+    },
+    models: [
+        { id: 'test/fallback', endpoints: [{ provider: 'down', model: 'big' }, { provider: 'keyless' }, { provider: 'plain', model: 'small' }] },
+        { id: 'test/all-down', endpoints: [{ provider: 'down' }] },
+        { id: 'test/plain', endpoints: [{ provider: 'plain' }] },
+        { id: 'test/jsonmode', endpoints: [{ provider: 'jsonmode' }] },
+        { id: 'test/schema', endpoints: [{ provider: 'schema' }] }
+    ]
+}));
+process.env.MODELS_CONFIG = configPath;
+const { createChatCompletion } = await import('../providers.js');
+
+const messages = [{ role: 'user', content: 'hi' }];
+const JSON_SCHEMA = { type: 'json_schema', json_schema: { name: 'answer', schema: { type: 'object' } } };
+
+// --- Fallback ---
+
+test('a failing endpoint falls back to the next one, with that endpoint\'s model name', async () => {
+    requests.length = 0;
+    const completion = await createChatCompletion({ model: 'test/fallback', messages });
+
+    assert.equal(completion.choices[0].message.content, 'reply from plain');
+    // The 503 is retried once by the client; the keyless provider fails before any request
+    assert.deepEqual(requests.map(r => [r.provider, r.body.model]), [['down', 'big'], ['down', 'big'], ['plain', 'small']]);
+});
+
+test('a stream that fails before its first chunk falls back too', async () => {
+    requests.length = 0;
+    const stream = await createChatCompletion({ model: 'test/fallback', messages, stream: true });
+
+    let content = '';
+    for await (const chunk of stream) content += chunk.choices[0].delta.content;
+    assert.equal(content, 'reply from plain ');
+    assert.equal(requests.at(-1).provider, 'plain');
+});
+
+test('the last error is thrown when every endpoint fails', async () => {
+    await assert.rejects(createChatCompletion({ model: 'test/all-down', messages }), { status: 503 });
+});
+
+test('an aborted request does not fall back', async t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(createChatCompletion({ model: 'test/fallback', messages }, { signal: controller.signal }), /aborted/);
+    // Each endpoint tried after a failure logs a warning first
+    assert.equal(warn.mock.callCount(), 0);
+});
+
+// --- Quirks ---
+
+async function sentFormat(model, response_format) {
+    requests.length = 0;
+    await createChatCompletion({ model, messages, response_format });
+    return requests[0].body.response_format;
+}
+
+test('json_schema is kept with jsonSchema, sent as json_object with only jsonMode, and dropped otherwise', async () => {
+    assert.deepEqual(await sentFormat('test/schema', JSON_SCHEMA), JSON_SCHEMA);
+    assert.deepEqual(await sentFormat('test/jsonmode', JSON_SCHEMA), { type: 'json_object' });
+    assert.equal(await sentFormat('test/plain', JSON_SCHEMA), undefined);
+});
+
+test('json_object is kept with jsonMode and dropped otherwise', async () => {
+    assert.deepEqual(await sentFormat('test/jsonmode', { type: 'json_object' }), { type: 'json_object' });
+    assert.deepEqual(await sentFormat('test/schema', { type: 'json_object' }), { type: 'json_object' });
+    assert.equal(await sentFormat('test/plain', { type: 'json_object' }), undefined);
+});
+
+test('requests without response_format are sent as they are', async () => {
+    requests.length = 0;
+    await createChatCompletion({ model: 'test/plain', messages, temperature: 0.2, max_tokens: 50 });
+    assert.deepEqual(requests[0].body, { model: 'test/plain', messages, temperature: 0.2, max_tokens: 50 });
+});
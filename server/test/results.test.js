@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResultSet, mergeResults } from '../search/results.js';
+
+// --- Result Sets ---
+
+test('sources are numbered in order and deduplicated by link', () => {
+    const results = createResultSet();
+
+    assert.equal(results.addSource({ title: 'Node', link: 'https://nodejs.org/' }), 1);
+    assert.equal(results.addSource({ title: 'MDN', link: 'https://developer.mozilla.org/', favicon: 'https://developer.mozilla.org/favicon.ico' }), 2);
+    assert.equal(results.addSource({ title: 'Node again', link: 'https://nodejs.org/' }), 1);
+    assert.deepEqual(results.result().sources.map(s => [s.id, s.title, s.favicon]), [
+        [1, 'Node', null],
+        [2, 'MDN', 'https://developer.mozilla.org/favicon.ico']
+    ]);
+});
+
+test('only http(s) links and favicons are kept', () => {
+    const results = createResultSet();
+
+    for (const link of ['javascript:alert(1)', 'JAVASCRIPT:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:x', 'file:///etc/passwd', 'not a url', '', undefined]) {
+        assert.equal(results.addSource({ title: 'Bad', link }), null, String(link));
+    }
+    results.addSource({ title: 'Good', link: 'http://example.com/', favicon: 'javascript:alert(1)' });
+    assert.deepEqual(results.result().sources, [{ id: 1, title: 'Good', link: 'http://example.com/', favicon: null, snippet: '' }]);
+});
+
+// --- Merging ---
+
+function resultOf(entries) {
+    const results = createResultSet();
+    entries.forEach(([link, text]) => results.addChunk(text, results.addSource({ title: link, link })));
+    return results.result();
+}
+
+test('merged results interleave chunks and renumber sources, deduplicated by link', () => {
+    const first = resultOf([['https://a.example/', 'a1'], ['https://shared.example/', 'shared from first'], ['https://a.example/', 'a2']]);
+    const second = resultOf([['https://b.example/', 'b1'], ['https://shared.example/', 'shared from second']]);
+
+    const merged = mergeResults([first, null, second]);
+    assert.deepEqual(merged.sources.map(s => [s.id, s.link]), [[1, 'https://a.example/'], [2, 'https://b.example/'], [3, 'https://shared.example/']]);
+    assert.deepEqual(merged.chunks, [
+        { text: 'a1', source: 1 },
+        { text: 'b1', source: 2 },
+        { text: 'shared from first', source: 3 },
+        { text: 'shared from second', source: 3 },
+        { text: 'a2', source: 1 }
+    ]);
+});
+
+test('repeated chunks are kept once, and sources without chunks are still listed', () => {
+    const first = resultOf([['https://a.example/', 'same text']]);
+    const second = resultOf([['https://b.example/', 'same text']]);
+    const linkOnly = createResultSet();
+    linkOnly.addSource({ title: 'Only a link', link: 'https://c.example/' });
+
+    const merged = mergeResults([first, second, linkOnly.result()]);
+    assert.deepEqual(merged.chunks, [{ text: 'same text', source: 1 }]);
+    assert.deepEqual(merged.sources.map(s => s.link), ['https://a.example/', 'https://b.example/', 'https://c.example/']);
+});
+
+test('a merge keeps at most 8 sources; chunks of the others lose their source', () => {
+    const many = Array.from({ length: 5 }, (_, q) => resultOf([[`https://q${q}-1.example/`, `q${q} one`], [`https://q${q}-2.example/`, `q${q} two`]]));
+
+    const merged = mergeResults(many);
+    assert.equal(merged.sources.length, 8);
+    assert.deepEqual(merged.chunks.filter(chunk => chunk.source === null).map(chunk => chunk.text), ['q3 two', 'q4 two']);
+    assert.deepEqual(mergeResults([]), { chunks: [], sources: [] });
+});
@@ -0,0 +1,106 @@
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// Fake SearXNG instance: queries with "broken" get a 500 and queries with "slow" never get an answer.
+// Other queries find one page per word, plus a page every query finds.
+const server = http.createServer((req, res) => {
+    const query = new URL(req.url, 'http://searxng').searchParams.get('q');
+    if (query.includes('slow')) return;
+    if (query.includes('broken')) {
+        res.writeHead(500);
+        return res.end();
+    }
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+        results: [
+            ...query.split(' ').map(word => ({ title: word, url: `https://${word}.example/`, content: `All about ${word}.` })),
+            { title: 'Shared', url: 'https://shared.example/', content: `Shared page for ${query}.` }
+        ]
+    }));
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+// Providers are chosen on import: SearXNG first, then the offline fixture; the others aren't configured
+const fixturePath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'sanyai-search-')), 'web.json');
+await fs.writeFile(fixturePath, JSON.stringify([
+    { title: 'Fixing broken builds', link: 'https://local.example/builds', content: 'Broken builds are fixed one step at a time.' },
+    { title: 'Slow queries', link: 'https://local.example/slow', content: 'Slow queries need an index.' }
+]));
+process.env.SEARXNG_URL = `http://127.0.0.1:${server.address().port}`;
+process.env.SEARCH_FIXTURE_PATH = fixturePath;
+process.env.SEARCH_PROVIDERS = 'brave, searxng, nonsense, local';
+process.env.SEARCH_TIMEOUT_MS = '300';
+delete process.env.BRAVE_API_KEY;
+const { SEARCH_PROVIDERS, searchWeb, searchWebQueries } = await import('../search/index.js');
+const { createResponseCache } = await import('../cache.js');
+
+// Every search logs a line, and the Node 20 test runner sometimes fails to parse this file's output with them
+mock.method(console, 'log', () => {});
+
+// --- Provider Fallback ---
+
+test('unknown and unconfigured providers in SEARCH_PROVIDERS are skipped', () => {
+    assert.deepEqual(SEARCH_PROVIDERS.map(p => p.name), ['searxng', 'local']);
+});
+
+test('the first provider that answers is used', async () => {
+    const result = await searchWeb('alpha');
+    assert.equal(result.provider, 'searxng');
+    assert.deepEqual(result.sources.map(s => s.link), ['https://alpha.example/', 'https://shared.example/']);
+    assert.deepEqual(result.chunks[0], { text: 'All about alpha.', source: 1 });
+});
+
+test('a provider that fails or times out falls back to the next one', async () => {
+    const failed = await searchWeb('broken builds');
+    assert.equal(failed.provider, 'local');
+    assert.deepEqual(failed.sources.map(s => s.link), ['https://local.example/builds']);
+
+    const timedOut = await searchWeb('slow queries');
+    assert.equal(timedOut.provider, 'local');
+    assert.equal(timedOut.sources[0].link, 'https://local.example/slow');
+});
+
+// --- Several Queries ---
+
+test('the results of several queries are merged into one numbered set', async () => {
+    const result = await searchWebQueries(['alpha', 'beta']);
+
+    assert.deepEqual(result.sources.map(s => [s.id, s.link]), [
+        [1, 'https://alpha.example/'],
+        [2, 'https://beta.example/'],
+        [3, 'https://shared.example/']
+    ]);
+    assert.deepEqual(result.chunks.map(chunk => [chunk.text, chunk.source]), [
+        ['All about alpha.', 1],
+        ['All about beta.', 2],
+        ['Shared page for alpha.', 3],
+        ['Shared page for beta.', 3]
+    ]);
+    assert.deepEqual(result.cached, [false, false]);
+});
+
+test('a query that finds nothing leaves the others\' results, and null when none finds anything', async () => {
+    // "brokenx" fails on SearXNG and matches nothing in the fixture
+    const result = await searchWebQueries(['alpha', 'brokenx']);
+    assert.deepEqual(result.sources.map(s => s.link), ['https://alpha.example/', 'https://shared.example/']);
+    assert.deepEqual(result.cached, [false, false]);
+
+    assert.equal(await searchWebQueries(['brokenx']), null);
+});
+
+test('cached queries are answered from the cache and flagged', async () => {
+    const cache = createResponseCache(null);
+    await searchWebQueries(['alpha'], { cache });
+
+    const result = await searchWebQueries(['Alpha ', 'gamma'], { cache });
+    assert.deepEqual(result.cached, [true, false]);
+    assert.deepEqual(result.sources.map(s => s.link), ['https://alpha.example/', 'https://gamma.example/', 'https://shared.example/']);
+});
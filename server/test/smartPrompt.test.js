@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wordDiff } from '../smartPrompt.js';
+
+// The rewritten text is the equal and added parts; the original, the equal and removed parts
+function sides(parts) {
+    const join = types => parts.filter(part => types.includes(part.type)).map(part => part.text).join('');
+    return { original: join(['equal', 'removed']), rewritten: join(['equal', 'added']) };
+}
+
+test('wordDiff marks removed and added words', () => {
+    assert.deepEqual(wordDiff('write a long python script', 'write a short python function'), [
+        { type: 'equal', text: 'write a ' },
+        { type: 'removed', text: 'long ' },
+        { type: 'added', text: 'short ' },
+        { type: 'equal', text: 'python ' },
+        { type: 'removed', text: 'script' },
+        { type: 'added', text: 'function' }
+    ]);
+});
+
+test('wordDiff parts rebuild both texts', () => {
+    const original = 'Can you please  explain how the cache works, and why?';
+    const rewritten = '  Explain how the response cache works\nand when entries expire.';
+    const parts = wordDiff(original, rewritten);
+    assert.equal(sides(parts).rewritten, rewritten);
+    assert.equal(sides(parts).original.replace(/\s+/g, ' '), original.replace(/\s+/g, ' '));
+});
+
+test('wordDiff compares words without their trailing whitespace', () => {
+    assert.deepEqual(wordDiff('same words here', 'same  words\nhere'), [{ type: 'equal', text: 'same  words\nhere' }]);
+});
+
+test('wordDiff handles empty sides and very long texts', () => {
+    assert.deepEqual(wordDiff('', 'new prompt'), [{ type: 'added', text: 'new prompt' }]);
+    assert.deepEqual(wordDiff('old prompt', ''), [{ type: 'removed', text: 'old prompt' }]);
+
+    const long = Array.from({ length: 2000 }, (_, i) => `word${i}`).join(' ');
+    assert.deepEqual(wordDiff(long, `${long} more`).map(part => part.type), ['removed', 'added']);
+});
@@ -0,0 +1,115 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+// Fake OpenAI-compatible endpoint for the completion tests: replies are served in order, and
+// requests keeps the bodies received
+const replies = [];
+const requests = [];
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        requests.push(JSON.parse(body));
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+            id: 'fake',
+            object: 'chat.completion',
+            choices: [{ index: 0, message: { role: 'assistant', content: replies.shift() ?? '' }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 10, completion_tokens: 5 }
+        }));
+    });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+after(() => server.close());
+
+// Providers and models read their configuration on import
+process.env.LOCAL_LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+process.env.LOCAL_LLM_MODEL = 'fake';
+process.env.LOCAL_LLM_JSON_SCHEMA = 'true';
+const { validateSchema, createStructuredCompletion, StructuredOutputError } = await import('../structured.js');
+
+// --- Validation ---
+
+const SCHEMA = {
+    type: "object",
+    properties: {
+        title: { type: "string", minLength: 1, maxLength: 10 },
+        tags: { type: "array", maxItems: 2, items: { type: "string" } },
+        kind: { enum: ["fact", "preference"] },
+        score: { type: "number", minimum: 0, maximum: 1 },
+        count: { type: "integer" }
+    },
+    required: ["title", "kind"],
+    additionalProperties: false
+};
+
+test('validateSchema accepts matching values', () => {
+    assert.deepEqual(validateSchema({ title: 'Hi', tags: ['a'], kind: 'fact', score: 0.5, count: 3 }, SCHEMA), []);
+    assert.deepEqual(validateSchema({ title: 'Hi', kind: 'preference', score: 1 }, SCHEMA), []);
+});
+
+test('validateSchema reports every error with its path', () => {
+    assert.deepEqual(validateSchema({ title: '', tags: ['a', 2, 'c'], kind: 'other', score: 2, count: 1.5, extra: true }, SCHEMA), [
+        '$.title: must be at least 1 characters',
+        '$.tags: must have at most 2 items',
+        '$.tags[1]: expected string, got integer',
+        '$.kind: must be one of "fact", "preference"',
+        '$.score: must be at most 1',
+        '$.count: expected integer, got number',
+        '$.extra: is not allowed'
+    ]);
+    assert.deepEqual(validateSchema({}, SCHEMA), ['$.title: is required', '$.kind: is required']);
+    assert.deepEqual(validateSchema([], SCHEMA), ['$: expected object, got array']);
+    assert.deepEqual(validateSchema(null, { type: ["string", "null"] }), []);
+});
+
+// --- Completion ---
+
+const ANSWER_SCHEMA = { type: "object", properties: { answer: { type: "string" } }, required: ["answer"] };
+
+function complete(options) {
+    return createStructuredCompletion({
+        model: 'local/fake',
+        name: 'answer',
+        schema: ANSWER_SCHEMA,
+        messages: [{ role: 'user', content: 'Say hi' }]
+    }, { maxRetries: 0, ...options });
+}
+
+test('valid JSON is returned on the first attempt, even inside a code block', async () => {
+    requests.length = 0;
+    replies.push('```json\n{"answer": "hi"}\n```');
+    const metered = [];
+
+    const result = await complete({ kind: 'test', meter: async (kind, call) => metered.push({ kind, ...call }) });
+    assert.deepEqual(result, { value: { answer: 'hi' }, attempts: 1 });
+    assert.equal(requests[0].response_format.type, 'json_schema');
+    assert.deepEqual(requests[0].response_format.json_schema.schema, ANSWER_SCHEMA);
+    assert.deepEqual(metered.map(m => [m.kind, m.usage.input_tokens, m.usage.output_tokens]), [['test', 10, 5]]);
+});
+
+test('an invalid reply is sent back with its errors and retried', async () => {
+    requests.length = 0;
+    replies.push('{"reply": "hi"}', '{"answer": "hi"}');
+
+    const result = await complete({ retries: 1 });
+    assert.deepEqual(result, { value: { answer: 'hi' }, attempts: 2 });
+    const correction = requests[1].messages.at(-1);
+    assert.equal(correction.role, 'user');
+    assert.match(correction.content, /\$\.answer: is required/);
+    assert.equal(requests[1].messages.at(-2).content, '{"reply": "hi"}');
+});
+
+test('StructuredOutputError is thrown once the retries are used up', async () => {
+    replies.push('not json at all', '{"answer": 42}');
+
+    await assert.rejects(complete({ retries: 1 }), error => {
+        assert.ok(error instanceof StructuredOutputError);
+        assert.equal(error.schemaName, 'answer');
+        assert.equal(error.attempts, 2);
+        assert.deepEqual(error.errors, ['$.answer: expected string, got integer']);
+        assert.equal(error.rawContent, '{"answer": 42}');
+        return true;
+    });
+});
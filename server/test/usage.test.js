@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFileStorage } from '../storage/fileStorage.js';
+import { createLimits } from '../limits.js';
+import { createUsageLedger } from '../usage.js';
+
+const GPT = 'openai/gpt-oss-120b:groq';   // $0.15 / $0.75 per million tokens
+const KIMI = 'moonshotai/Kimi-K2-Instruct-0905:groq';   // $1 / $3
+const LLAMA = 'meta-llama/Llama-3.1-8B-Instruct:novita';   // $0.02 / $0.05
+
+const alice = { id: 'alice-id', username: 'alice' };
+const bob = { id: 'bob-id', username: 'bob' };
+
+// Costs are sums of small floats
+function roundCosts(entries) {
+    return entries.map(entry => ({ ...entry, cost: Number(entry.cost.toFixed(9)) }));
+}
+
+// Model calls spread over three UTC days, recorded through meters the way the routes do
+async function ledgerWithCalls(t) {
+    const storage = await createFileStorage(':memory:');
+    const ledger = createUsageLedger(storage, createLimits(storage));
+    const chatA = await storage.createChat({ user_id: alice.id });
+    const chatB = await storage.createChat({ user_id: alice.id });
+    await storage.updateChat(chatB.id, { title: 'Pricing questions' });
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-17T12:00:00Z') });
+    await ledger.meter(alice, chatA.id)('chat', { model: GPT, usage: { input_tokens: 1000, output_tokens: 200 }, latencyMs: 900 });
+
+    t.mock.timers.setTime(Date.parse('2026-10-18T23:59:59Z'));
+    await ledger.meter(alice, chatA.id)('title', { model: LLAMA, usage: { input_tokens: 100, output_tokens: 10 }, latencyMs: 200 });
+
+    t.mock.timers.setTime(Date.parse('2026-10-19T00:00:01Z'));
+    await ledger.meter(alice, chatB.id)('chat', { model: KIMI, usage: { input_tokens: 2000, output_tokens: 500 }, latencyMs: 1500 });
+    await ledger.meter(alice, 'local-1760832000000')('smart_prompt', { model: LLAMA, usage: { input_tokens: 50, output_tokens: 5 }, latencyMs: 100 });
+    await ledger.meter(bob)('chat', { model: KIMI, usage: { input_tokens: 9999, output_tokens: 9999 }, latencyMs: 100 });
+
+    t.mock.timers.setTime(Date.parse('2026-10-19T08:00:00Z'));
+    return { ledger, chatA, chatB };
+}
+
+test('usage is totalled by UTC day, oldest first, from the start of the first day in range', async t => {
+    const { ledger } = await ledgerWithCalls(t);
+
+    const report = await ledger.report(alice, { days: 2 });
+    assert.equal(report.since, '2026-10-18T00:00:00.000Z');
+    assert.deepEqual(roundCosts(report.by_day), [
+        { date: '2026-10-18', calls: 1, input_tokens: 100, output_tokens: 10, cost: 0.0000025 },
+        { date: '2026-10-19', calls: 2, input_tokens: 2050, output_tokens: 505, cost: 0.00350125 }
+    ]);
+    assert.deepEqual(roundCosts([report.totals]), [{ calls: 3, input_tokens: 2150, output_tokens: 515, cost: 0.00350375 }]);
+
+    const month = await ledger.report(alice);
+    assert.equal(month.days, 30);
+    assert.deepEqual(month.by_day.map(day => day.date), ['2026-10-17', '2026-10-18', '2026-10-19']);
+});
+
+test('usage is totalled by model, most expensive first', async t => {
+    const { ledger } = await ledgerWithCalls(t);
+
+    const { by_model } = await ledger.report(alice, { days: 30 });
+    assert.deepEqual(roundCosts(by_model), [
+        { model: KIMI, calls: 1, input_tokens: 2000, output_tokens: 500, cost: 0.0035 },
+        { model: GPT, calls: 1, input_tokens: 1000, output_tokens: 200, cost: 0.0003 },
+        { model: LLAMA, calls: 2, input_tokens: 150, output_tokens: 15, cost: 0.00000375 }
+    ]);
+});
+
+test('usage by chat carries chat titles and leaves out calls outside a stored chat', async t => {
+    const { ledger, chatA, chatB } = await ledgerWithCalls(t);
+
+    const { by_chat } = await ledger.report(alice, { days: 30 });
+    assert.deepEqual(by_chat.map(entry => [entry.chat_id, entry.chat_title, entry.calls]), [
+        [chatB.id, 'Pricing questions', 1],
+        [chatA.id, null, 2]
+    ]);
+});
+
+test('metered tokens count against the quota', async () => {
+    const storage = await createFileStorage(':memory:');
+    const limits = createLimits(storage);
+    const ledger = createUsageLedger(storage, limits);
+
+    await ledger.meter(alice)('chat', { model: GPT, usage: { input_tokens: 300, output_tokens: 20 } });
+    assert.equal((await limits.getStatus(alice)).daily.used, 320);
+});
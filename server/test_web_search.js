@@ -5,7 +5,8 @@ async function test() {
     try {
         const response = await fetch('http://localhost:3000/chat', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            // Token from POST /auth/login
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${process.env.SANYAI_TOKEN}` },
             body: JSON.stringify({
                 message: "Who won the Super Bowl 2024?",
                 webSearch: true
@@ -0,0 +1,21 @@
+import { encodingForModel } from "js-tiktoken";
+
+// Token Counter Helper
+// BPE time grows with the square of a word's length, so runs without whitespace longer than MAX_RUN
+// characters (minified code, base64, "aaaa...") are counted in MAX_RUN-sized pieces. The count stays
+// within a token or so per piece, and a long run can't stall the event loop.
+const MAX_RUN = 100;
+const LONG_RUN = new RegExp(`\\S{${MAX_RUN}}(?=\\S)`, 'g');
+
+let tokenEncoder = null;
+export function countTokens(text) {
+    try {
+        // Use gpt-4 encoding as a good approximation for most models (built once, it is expensive)
+        tokenEncoder = tokenEncoder || encodingForModel("gpt-4");
+        const tokens = tokenEncoder.encode(text.replace(LONG_RUN, '$& '));
+        return tokens.length;
+    } catch (e) {
+        console.error("Token counting error:", e);
+        return Math.ceil(text.length / 4); // Fallback
+    }
+}
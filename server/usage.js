@@ -0,0 +1,82 @@
+import { estimateCost } from './models.js';
+
+// Usage Ledger
+// One row per model call: who made it, for which chat, the kind of call
+// ('chat', 'web_search', 'router', 'query_plan', 'smart_prompt', 'title', 'summary', 'memory'), model, tokens, estimated cost and latency.
+// Recorded tokens also count against the caller's quotas (see limits.js).
+
+function emptyTotals() {
+    return { calls: 0, input_tokens: 0, output_tokens: 0, cost: 0 };
+}
+
+function addTo(totals, row) {
+    totals.calls += 1;
+    totals.input_tokens += row.input_tokens;
+    totals.output_tokens += row.output_tokens;
+    totals.cost += Number(row.cost);
+    return totals;
+}
+
+// Sum rows into one entry per key, highest cost first
+function groupBy(rows, keyOf, label) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = keyOf(row);
+        if (!groups.has(key)) groups.set(key, { [label]: key, ...emptyTotals() });
+        addTo(groups.get(key), row);
+    });
+    return [...groups.values()].sort((a, b) => b.cost - a.cost || b.calls - a.calls);
+}
+
+export function createUsageLedger(storage, limits) {
+    // A recorder bound to one user and chat, passed down to every helper that calls a model:
+    //   meter(kind, { model, usage: { input_tokens, output_tokens }, latencyMs })
+    // Failures are logged, never thrown, so bookkeeping can't break a reply.
+    function meter(user, chatId = null) {
+        return async (kind, { model, usage, latencyMs }) => {
+            const row = {
+                user_id: user.id,
+                chat_id: chatId && !String(chatId).startsWith('local-') ? chatId : null,
+                kind,
+                model,
+                input_tokens: usage?.input_tokens || 0,
+                output_tokens: usage?.output_tokens || 0,
+                cost: estimateCost(model, usage),
+                latency_ms: Math.round(latencyMs || 0)
+            };
+            try {
+                await storage.recordUsage(row);
+            } catch (error) {
+                console.warn("Usage Record Error:", error.message);
+            }
+            await limits.recordTokens(user, usage);
+        };
+    }
+
+    // Totals for the last `days` days (UTC), overall and by day, model and chat
+    async function report(user, { days = 30 } = {}) {
+        const since = new Date();
+        since.setUTCHours(0, 0, 0, 0);
+        since.setUTCDate(since.getUTCDate() - (days - 1));
+
+        const rows = await storage.listUsage(user.id, { since: since.toISOString() });
+
+        const byChat = groupBy(rows.filter(row => row.chat_id), row => row.chat_id, 'chat_id');
+        const chats = await Promise.all(byChat.map(entry => storage.getChat(entry.chat_id).catch(() => null)));
+        byChat.forEach((entry, i) => {
+            entry.chat_title = chats[i]?.title || null;
+        });
+
+        return {
+            since: since.toISOString(),
+            days,
+            totals: rows.reduce(addTo, emptyTotals()),
+            by_day: groupBy(rows, row => row.created_at.slice(0, 10), 'date')
+                .sort((a, b) => a.date.localeCompare(b.date)),
+            by_model: groupBy(rows, row => row.model, 'model'),
+            by_chat: byChat
+        };
+    }
+
+    return { meter, report };
+}